@@ -7,8 +7,18 @@ const { startServer } = require('./src/server');
 module.exports = app;
 module.exports.startServer = startServer;
 
-// If run directly (via npm start, flatcms, or node index.js), start the server
+// If run directly (via npm start, flatcms, or node index.js), start the server,
+// or run a subcommand such as `flatcms export` (see src/cli.js)
 if (require.main === module) {
-  startServer();
+  const cli = require('./src/cli');
+  const [command, ...args] = process.argv.slice(2);
+  
+  if (cli.COMMANDS.includes(command)) {
+    cli.run(command, args).then(code => {
+      process.exitCode = code;
+    });
+  } else {
+    startServer();
+  }
 }
 
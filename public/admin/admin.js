@@ -16,9 +16,13 @@ const state = {
     apiKey: ''
   },
   currentItem: null,
+  currentEtag: null,
+  pendingConflict: null,
   searchDebounce: null,
   editingCredentials: false,
-  richtextEditors: {}
+  richtextEditors: {},
+  eventStream: null,
+  listRefreshTimer: null
 };
 
 function $(selector) {
@@ -41,6 +45,7 @@ const elements = {
   refreshListButton: $('#refresh-list-button'),
   newEntryButton: $('#new-entry-button'),
   contentList: $('#content-list'),
+  paginationNav: $('#pagination-nav'),
   paginationInfo: $('#pagination-info'),
   prevPageButton: $('#prev-page-button'),
   nextPageButton: $('#next-page-button'),
@@ -59,7 +64,11 @@ const elements = {
   credentialsSummary: $('#credentials-summary'),
   editCredentialsButton: $('#edit-credentials-button'),
   editorDialog: $('#editor-dialog'),
-  closeDialogButton: $('#close-dialog-button')
+  closeDialogButton: $('#close-dialog-button'),
+  conflictDialog: $('#conflict-dialog'),
+  conflictMessage: $('#conflict-message'),
+  conflictReloadButton: $('#conflict-reload-button'),
+  conflictOverwriteButton: $('#conflict-overwrite-button')
 };
 
 function showToast(message, variant = 'success', timeout = 4000) {
@@ -155,6 +164,8 @@ async function fetchJson(path, options = {}) {
     const err = new Error(errorPayload.error || response.statusText);
     err.details = errorPayload.details;
     err.status = response.status;
+    err.payload = errorPayload;
+    err.etag = response.headers.get('ETag');
     throw err;
   }
 
@@ -162,7 +173,11 @@ async function fetchJson(path, options = {}) {
     return null;
   }
 
-  return response.json();
+  const data = await response.json();
+  if (options.withEtag) {
+    return { data, etag: response.headers.get('ETag') };
+  }
+  return data;
 }
 
 async function loadSchema() {
@@ -182,6 +197,7 @@ async function loadSchema() {
 
     const nextType = state.schemaTypes.find(type => type.name === state.selectedType)?.name || state.schemaTypes[0].name;
     selectType(nextType);
+    connectEventStream();
   } catch (error) {
     console.error('Failed to load schema', error);
     showToast(`Schema load failed: ${error.message}`, 'error', 6000);
@@ -202,14 +218,33 @@ function getCurrentTypeDefinition() {
   return state.schemaTypes.find(t => t.name === state.selectedType) || null;
 }
 
+function isSingletonType() {
+  return Boolean(getCurrentTypeDefinition()?.singleton);
+}
+
+// Singleton types have one document: no search, filters, paging or new entries
+function updateListControls() {
+  const singleton = isSingletonType();
+  elements.searchInput.closest('label').classList.toggle('hidden', singleton);
+  elements.statusFilter.closest('label').classList.toggle('hidden', singleton);
+  elements.newEntryButton.classList.toggle('hidden', singleton);
+  elements.paginationNav.classList.toggle('hidden', singleton);
+}
+
 function selectType(typeName) {
   state.selectedType = typeName;
   elements.contentTypeSelect.value = typeName;
   state.pagination.offset = 0;
   state.currentItem = null;
+  state.currentEtag = null;
   renderDynamicFields();
   renderEditor(null);
-  loadContentList();
+  updateListControls();
+  if (isSingletonType()) {
+    openSingleton();
+  } else {
+    loadContentList();
+  }
 }
 
 function ensureEditorDialogOpen() {
@@ -406,6 +441,10 @@ function createInputForSchema(fieldName, schema) {
 
 async function loadContentList() {
   if (!state.selectedType) return;
+  if (isSingletonType()) {
+    await loadSingleton();
+    return;
+  }
 
   const params = new URLSearchParams();
   params.set('limit', state.pagination.limit);
@@ -428,6 +467,31 @@ async function loadContentList() {
   }
 }
 
+async function loadSingleton() {
+  try {
+    const item = await fetchJson(`/api/content/${state.selectedType}`);
+    state.items = [item];
+  } catch (error) {
+    state.items = [];
+    if (error.status !== 404) {
+      console.error('Failed to load entry', error);
+      showToast(`Failed to load entry: ${error.message}`, 'error');
+    }
+  }
+  renderContentList();
+}
+
+// Singleton types open straight into the editor (empty until first saved)
+async function openSingleton() {
+  await loadSingleton();
+  const [item] = state.items;
+  if (item) {
+    await loadItemDetails(item.id);
+  } else {
+    ensureEditorDialogOpen();
+  }
+}
+
 function renderContentList() {
   elements.contentList.innerHTML = '';
   if (state.items.length === 0) {
@@ -465,8 +529,9 @@ function updatePaginationControls() {
 async function loadItemDetails(id) {
   if (!state.selectedType) return;
   try {
-    const item = await fetchJson(`/api/content/${state.selectedType}/${id}`);
+    const { data: item, etag } = await fetchJson(`/api/content/${state.selectedType}/${id}`, { withEtag: true });
     state.currentItem = item;
+    state.currentEtag = etag;
     renderEditor(item);
     highlightSelectedItem(id);
     ensureEditorDialogOpen();
@@ -484,8 +549,11 @@ function highlightSelectedItem(id) {
 
 function renderEditor(item) {
   elements.contentForm.reset();
-  elements.editorTitle.textContent = item ? 'Edit entry' : 'Create entry';
-  elements.deleteEntryButton.disabled = !item;
+  const singleton = isSingletonType();
+  elements.editorTitle.textContent = singleton
+    ? `Edit ${getCurrentTypeDefinition().title}`
+    : item ? 'Edit entry' : 'Create entry';
+  elements.deleteEntryButton.disabled = !item || singleton;
   elements.fieldId.value = item?.id || '';
   elements.fieldStatus.value = item?.status || 'draft';
   elements.fieldCreatedAt.value = item?.createdAt || '';
@@ -602,24 +670,37 @@ async function handleFormSubmit(event) {
     return;
   }
 
+  await saveEntry(payload, state.currentEtag);
+}
+
+async function saveEntry(payload, etag) {
   const isUpdate = Boolean(state.currentItem?.id);
-  const endpoint = isUpdate
+  const singleton = isSingletonType();
+  const endpoint = isUpdate && !singleton
     ? `/api/content/${state.selectedType}/${state.currentItem.id}`
     : `/api/content/${state.selectedType}`;
-  const method = isUpdate ? 'PUT' : 'POST';
+  const method = isUpdate || singleton ? 'PUT' : 'POST';
+  const headers = isUpdate && etag ? { 'If-Match': etag } : {};
 
   try {
-    const result = await fetchJson(endpoint, {
+    const { data: result, etag: newEtag } = await fetchJson(endpoint, {
       method,
-      body: payload
+      headers,
+      body: payload,
+      withEtag: true
     });
     state.currentItem = result;
+    state.currentEtag = newEtag;
     showToast(`Entry ${isUpdate ? 'updated' : 'created'} successfully`);
     renderEditor(result);
     await loadContentList();
     highlightSelectedItem(result.id);
     closeEditorDialog();
   } catch (error) {
+    if (error.status === 412 && error.payload?.current) {
+      openConflictDialog(payload, error.payload.current, error.etag);
+      return;
+    }
     console.error('Failed to save entry', error);
     const details = Array.isArray(error.details)
       ? error.details.map(detail => detail.message || JSON.stringify(detail)).join('\n')
@@ -628,27 +709,162 @@ async function handleFormSubmit(event) {
   }
 }
 
+function openConflictDialog(payload, current, etag) {
+  state.pendingConflict = { payload, current, etag };
+  const updated = current.updatedAt ? new Date(current.updatedAt).toLocaleString() : 'recently';
+  elements.conflictMessage.textContent = `This entry was changed by someone else (${updated}) after you opened it. Load their version to review it, or overwrite it with your edits.`;
+  if (!elements.conflictDialog.open) {
+    elements.conflictDialog.showModal();
+  }
+}
+
+function closeConflictDialog() {
+  state.pendingConflict = null;
+  if (elements.conflictDialog.open) {
+    elements.conflictDialog.close();
+  }
+}
+
+function handleConflictReload() {
+  const conflict = state.pendingConflict;
+  if (!conflict) return;
+  state.currentItem = conflict.current;
+  state.currentEtag = conflict.etag;
+  renderEditor(conflict.current);
+  closeConflictDialog();
+  showToast('Loaded the latest version of this entry');
+}
+
+async function handleConflictOverwrite() {
+  const conflict = state.pendingConflict;
+  if (!conflict) return;
+  closeConflictDialog();
+  await saveEntry(conflict.payload, conflict.etag);
+}
+
 async function handleDelete() {
   if (!state.currentItem?.id) return;
-  const confirmed = window.confirm('Delete this entry? This cannot be undone.');
+  const confirmed = window.confirm('Move this entry to the trash?');
   if (!confirmed) return;
 
   try {
     await fetchJson(`/api/content/${state.selectedType}/${state.currentItem.id}`, {
-      method: 'DELETE'
+      method: 'DELETE',
+      headers: state.currentEtag ? { 'If-Match': state.currentEtag } : {}
     });
-    showToast('Entry deleted');
+    showToast('Entry moved to trash');
     state.currentItem = null;
+    state.currentEtag = null;
     renderEditor(null);
     await loadContentList();
     highlightSelectedItem(null);
     closeEditorDialog();
   } catch (error) {
+    if (error.status === 412) {
+      showToast('Delete cancelled: this entry was changed by someone else. Reopen it to review.', 'error', 6000);
+      return;
+    }
     console.error('Failed to delete entry', error);
     showToast(`Delete failed: ${error.message}`, 'error');
   }
 }
 
+// Live updates from GET /api/events. EventSource cannot send the API key header,
+// so the stream is read with fetch and parsed here.
+function connectEventStream() {
+  if (state.eventStream) {
+    state.eventStream.abort();
+  }
+  const controller = new AbortController();
+  state.eventStream = controller;
+  readEventStream(controller.signal);
+}
+
+async function readEventStream(signal) {
+  let lastEventId = null;
+  let retryDelay = 3000;
+
+  while (!signal.aborted) {
+    try {
+      const url = new URL('/api/events', state.credentials.baseUrl || window.location.origin);
+      const headers = {
+        Accept: 'text/event-stream',
+        Authorization: `Bearer ${state.credentials.apiKey.trim()}`
+      };
+      if (lastEventId) {
+        headers['Last-Event-ID'] = lastEventId;
+      }
+
+      const response = await fetch(url.toString(), { headers, signal });
+      if (response.status === 401) {
+        return;
+      }
+      if (!response.ok || !response.body) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+      let buffered = '';
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffered += value;
+        const blocks = buffered.split(/\r?\n\r?\n/);
+        buffered = blocks.pop();
+        blocks.forEach(block => {
+          const message = parseEventBlock(block);
+          if (message.retry) retryDelay = message.retry;
+          if (message.id) lastEventId = message.id;
+          if (message.event) handleServerEvent(message);
+        });
+      }
+    } catch (error) {
+      if (signal.aborted) return;
+      console.warn('Live updates disconnected', error);
+    }
+    await new Promise(resolve => setTimeout(resolve, retryDelay));
+  }
+}
+
+function parseEventBlock(block) {
+  const message = { id: null, event: null, data: '', retry: null };
+  block.split(/\r?\n/).forEach(line => {
+    if (!line || line.startsWith(':')) return;
+    const separator = line.indexOf(':');
+    const field = separator === -1 ? line : line.slice(0, separator);
+    const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+    if (field === 'id') message.id = value;
+    if (field === 'event') message.event = value;
+    if (field === 'data') message.data += message.data ? `\n${value}` : value;
+    if (field === 'retry' && /^\d+$/.test(value)) message.retry = Number(value);
+  });
+  return message;
+}
+
+function handleServerEvent({ event, data }) {
+  if (event === 'reset') {
+    scheduleListRefresh();
+    return;
+  }
+  if (!event.startsWith('content.')) return;
+  try {
+    const change = JSON.parse(data);
+    if (change.type === state.selectedType) {
+      scheduleListRefresh();
+    }
+  } catch (error) {
+    console.warn('Ignoring malformed event', error);
+  }
+}
+
+// Bursts of changes (e.g. a bulk import) cause a single reload
+function scheduleListRefresh() {
+  clearTimeout(state.listRefreshTimer);
+  state.listRefreshTimer = setTimeout(() => {
+    loadContentList();
+  }, 300);
+}
+
 function handleSearchInput() {
   clearTimeout(state.searchDebounce);
   state.searchDebounce = setTimeout(() => {
@@ -708,6 +924,7 @@ function registerEventListeners() {
 
   elements.newEntryButton.addEventListener('click', () => {
     state.currentItem = null;
+    state.currentEtag = null;
     renderEditor(null);
     highlightSelectedItem(null);
     ensureEditorDialogOpen();
@@ -720,6 +937,8 @@ function registerEventListeners() {
 
   elements.contentForm.addEventListener('submit', handleFormSubmit);
   elements.deleteEntryButton.addEventListener('click', handleDelete);
+  elements.conflictReloadButton.addEventListener('click', handleConflictReload);
+  elements.conflictOverwriteButton.addEventListener('click', handleConflictOverwrite);
 }
 
 function init() {
@@ -0,0 +1,124 @@
+const fs = require('fs-extra');
+const archiveHandler = require('./utils/archiveHandler');
+const gitHandler = require('./utils/gitHandler');
+const requestContext = require('./utils/requestContext');
+
+/**
+ * Command line subcommands of the flatcms binary (see index.js)
+ *
+ *   flatcms export [--types post,page] [--versions] [--media] [--output file.ndjson]
+ *   flatcms import <file.ndjson | -> [--strategy skip|overwrite|merge] [--dry-run]
+ *
+ * They work on CONTENT_DIR/MEDIA_DIR directly, using the same configuration as the server.
+ */
+
+const COMMANDS = ['export', 'import'];
+
+const USAGE = `Usage:
+  flatcms                      Start the server
+  flatcms export [--types post,page] [--versions] [--media] [--output file.ndjson]
+  flatcms import <file.ndjson | -> [--strategy skip|overwrite|merge] [--dry-run]`;
+
+/**
+ * Split arguments into flags (--name value, --name=value, --switch) and positionals
+ * @param {array} switches - Flags that take no value
+ */
+function parseArgs(args, switches) {
+  const flags = {};
+  const positionals = [];
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+    const [name, inline] = arg.slice(2).split(/=(.*)/s);
+    if (switches.includes(name)) {
+      flags[name] = inline === undefined ? true : inline === 'true' || inline === '1';
+    } else if (inline !== undefined) {
+      flags[name] = inline;
+    } else {
+      flags[name] = args[++i];
+    }
+  }
+  return { flags, positionals };
+}
+
+async function runExport(args) {
+  const { flags } = parseArgs(args, ['versions', 'media']);
+  const types = flags.types ? flags.types.split(',').map(type => type.trim()).filter(Boolean) : null;
+  const output = flags.output ? fs.createWriteStream(flags.output) : process.stdout;
+  
+  // Write errors (e.g. a closed pipe) destroy the stream and end the export
+  let writeError = null;
+  output.on('error', error => {
+    writeError = error;
+  });
+  
+  let counts;
+  try {
+    counts = await archiveHandler.exportArchive(output, { types, versions: flags.versions, media: flags.media });
+  } catch (error) {
+    throw writeError || error;
+  }
+  if (output !== process.stdout) {
+    await new Promise((resolve, reject) => output.end(error => (error ? reject(error) : resolve())));
+  }
+  console.error(`Exported ${counts.content} item(s), ${counts.versions} version(s), ${counts.media} media file(s)`);
+  return 0;
+}
+
+async function runImport(args) {
+  const { flags, positionals } = parseArgs(args, ['dry-run']);
+  const [file] = positionals;
+  if (!file) {
+    console.error(USAGE);
+    return 1;
+  }
+  
+  if (file !== '-' && !(await fs.pathExists(file))) {
+    console.error(`Archive not found: ${file}`);
+    return 1;
+  }
+  
+  // With GIT_STORAGE, imported changes are committed like changes made through the API
+  await gitHandler.start();
+  const input = file === '-' ? process.stdin : fs.createReadStream(file);
+  const report = await requestContext.run({ actor: 'cli' }, () => archiveHandler.importArchive(input, {
+    strategy: flags.strategy,
+    dryRun: flags['dry-run']
+  }));
+  await gitHandler.flush();
+  gitHandler.stop();
+  console.log(JSON.stringify(report, null, 2));
+  if (!report.valid) {
+    console.error('Import validation failed. No changes were applied.');
+    return 1;
+  }
+  return 0;
+}
+
+/**
+ * Run a subcommand
+ * @returns {Promise<number>} - Process exit code
+ */
+async function run(command, args) {
+  try {
+    if (command === 'export') {
+      return await runExport(args);
+    }
+    if (command === 'import') {
+      return await runImport(args);
+    }
+    console.error(USAGE);
+    return 1;
+  } catch (error) {
+    console.error(`flatcms ${command} failed: ${error.message}`);
+    return 1;
+  }
+}
+
+module.exports = {
+  COMMANDS,
+  run
+};
@@ -8,6 +8,28 @@ const config = {
   schemaFile: process.env.SCHEMA_FILE || path.join(process.cwd(), 'schema.json'),
   mediaDir: process.env.MEDIA_DIR || path.join(process.cwd(), 'content', 'media'),
   maxFileSize: parseInt(process.env.MAX_FILE_SIZE, 10) || 10 * 1024 * 1024, // 10MB default
+  jsonBodyLimit: process.env.JSON_BODY_LIMIT || '100kb', // Raise for large bulk requests
+  populateMaxDepth: parseInt(process.env.POPULATE_MAX_DEPTH, 10) || 3, // Max nesting of ?populate= paths
+  schedulerInterval: parseInt(process.env.SCHEDULER_INTERVAL, 10) || 60, // Seconds between scheduled publishing scans
+  trashRetentionDays: process.env.TRASH_RETENTION_DAYS !== undefined
+    ? parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 0 // 0 = keep trash forever
+    : 30,
+  indexMaxMemory: (process.env.INDEX_MAX_MEMORY_MB !== undefined
+    ? parseInt(process.env.INDEX_MAX_MEMORY_MB, 10) || 0 // 0 = no limit
+    : 256) * 1024 * 1024, // Ceiling for the in-memory content index
+  locales: (process.env.LOCALES || 'en').split(',').map(locale => locale.trim()).filter(Boolean), // First locale is the default
+  localeFallbacks: Object.fromEntries(
+    (process.env.LOCALE_FALLBACKS || '') // e.g. "ca:es,pt:es"; every chain ends at the default locale
+      .split(',')
+      .map(pair => pair.split(':').map(locale => locale.trim()))
+      .filter(pair => pair.length === 2 && pair[0] && pair[1])
+  ),
+  gitStorage: process.env.GIT_STORAGE === 'true' || process.env.GIT_STORAGE === '1', // Commit every change to a git repository in CONTENT_DIR
+  eventsBufferSize: parseInt(process.env.EVENTS_BUFFER_SIZE, 10) || 1000, // Events kept for clients of GET /api/events that reconnect
+  webhooksFile: process.env.WEBHOOKS_FILE || null, // null = CONTENT_DIR/.webhooks/webhooks.json
+  webhookMaxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6, // Deliveries are given up after this many attempts
+  webhookRetryDelay: parseInt(process.env.WEBHOOK_RETRY_DELAY, 10) || 30, // Seconds before the first retry; doubles after each attempt
+  webhookTimeout: parseInt(process.env.WEBHOOK_TIMEOUT, 10) || 10, // Seconds to wait for a receiver to respond
   allowedMimeTypes: process.env.ALLOWED_MIME_TYPES ? process.env.ALLOWED_MIME_TYPES.split(',') : null, // null = allow all
   publicGetEnabled: process.env.PUBLIC_GET_ENABLED === 'true' || process.env.PUBLIC_GET_ENABLED === '1' // Allow GET requests without API key
 };
@@ -1,22 +1,12 @@
 const config = require('../config');
+const requestContext = require('../utils/requestContext');
 
 /**
  * API key authentication middleware
  * Supports both Authorization: Bearer <API_KEY> and X-API-Key: <API_KEY> headers
  */
 function authMiddleware(req, res, next) {
-  let apiKey = null;
-  
-  // Try Authorization Bearer header first
-  const authHeader = req.headers.authorization;
-  if (authHeader && authHeader.startsWith('Bearer ')) {
-    apiKey = authHeader.substring(7);
-  }
-  
-  // Fall back to X-API-Key header
-  if (!apiKey) {
-    apiKey = req.headers['x-api-key'];
-  }
+  const apiKey = getApiKey(req);
   
   // Check if API key is provided and matches
   if (!apiKey) {
@@ -31,8 +21,32 @@ function authMiddleware(req, res, next) {
     });
   }
   
-  next();
+  // Changes made by this request are attributed to the key (see requestContext)
+  requestContext.run({ actor: requestContext.getKeyFingerprint(apiKey) }, next);
+}
+
+/**
+ * Read the API key sent with a request, if any
+ */
+function getApiKey(req) {
+  // Try Authorization Bearer header first
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.substring(7);
+  }
+  
+  // Fall back to X-API-Key header
+  return req.headers['x-api-key'] || null;
+}
+
+/**
+ * Whether a request carries the right API key
+ * Used for public GET requests, which do not go through authMiddleware
+ */
+function hasApiKey(req) {
+  return getApiKey(req) === config.apiKey;
 }
 
 module.exports = authMiddleware;
+module.exports.hasApiKey = hasApiKey;
 
@@ -0,0 +1,87 @@
+const express = require('express');
+const archiveHandler = require('../utils/archiveHandler');
+
+const router = express.Router();
+
+const NDJSON_TYPE = 'application/x-ndjson';
+
+function isEnabled(value) {
+  return value === 'true' || value === '1';
+}
+
+/**
+ * GET /api/_export
+ * Download an NDJSON archive of stored content
+ *
+ * Query parameters:
+ * - types: Comma-separated content types (default: all)
+ * - versions: true to include version history
+ * - media: true to include media files
+ */
+router.get('/_export', async (req, res) => {
+  const types = req.query.types ? String(req.query.types).split(',').map(type => type.trim()).filter(Boolean) : null;
+  const options = { types, versions: isEnabled(req.query.versions), media: isEnabled(req.query.media) };
+
+  try {
+    const date = new Date().toISOString().slice(0, 10);
+    res.set('Content-Type', NDJSON_TYPE);
+    res.set('Content-Disposition', `attachment; filename="flatcms-export-${date}.ndjson"`);
+    await archiveHandler.exportArchive(res, options);
+    res.end();
+  } catch (error) {
+    if (res.headersSent) {
+      // The archive is already streaming; cut it short so the download fails
+      console.error('Error exporting content:', error);
+      return res.destroy(error);
+    }
+    if (error.code === 'INVALID_QUERY') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error exporting content:', error);
+    res.status(500).json({
+      error: 'Failed to export content',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/_import
+ * Import an NDJSON archive produced by GET /api/_export
+ *
+ * Query parameters:
+ * - strategy: skip | overwrite | merge for items that already exist (default: skip)
+ * - dryRun: true to validate and report without writing
+ */
+router.post('/_import', async (req, res) => {
+  try {
+    if (!req.is(NDJSON_TYPE)) {
+      return res.status(415).json({
+        error: `Import requires an ${NDJSON_TYPE} body (an archive from GET /api/_export)`
+      });
+    }
+
+    const report = await archiveHandler.importArchive(req, {
+      strategy: req.query.strategy,
+      dryRun: isEnabled(req.query.dryRun)
+    });
+    if (!report.valid) {
+      return res.status(400).json({
+        error: 'Import validation failed. No changes were applied.',
+        ...report
+      });
+    }
+    res.json(report);
+  } catch (error) {
+    if (error.code === 'INVALID_QUERY') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error importing content:', error);
+    res.status(500).json({
+      error: 'Failed to import content',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,118 +1,1034 @@
 const express = require('express');
 const router = express.Router();
+const config = require('../config');
 const fileHandler = require('../utils/fileHandler');
 const validator = require('../utils/validator');
-const { parseQuery } = require('../utils/queryParser');
+const { parseQuery, projectItem } = require('../utils/queryParser');
 const versionHandler = require('../utils/versionHandler');
+const bulkHandler = require('../utils/bulkHandler');
+const referenceHandler = require('../utils/referenceHandler');
+const { populateItems } = require('../utils/populate');
+const { applyFilterTypes } = require('../utils/filterTypes');
+const searchIndex = require('../utils/searchIndex');
+const { parseFacetSpecs, computeFacets } = require('../utils/facets');
+const scheduler = require('../utils/scheduler');
+const trashHandler = require('../utils/trashHandler');
+const contentIndex = require('../utils/contentIndex');
+const locales = require('../utils/locales');
+const { applyComputedFields, getChanges } = require('../utils/computedFields');
+const csv = require('../utils/csv');
+const gitHandler = require('../utils/gitHandler');
+const { computeEtag, matchesIfMatch } = require('../utils/etag');
+const { MERGE_PATCH_TYPE, JSON_PATCH_TYPE, applyMergePatch, applyJsonPatch } = require('../utils/patch');
+
+/**
+ * Respond with 412 and the current document (and its ETag)
+ */
+function sendPreconditionFailed(req, res, current) {
+  res.set('ETag', computeEtag(current));
+  const target = req.params.id ? `${req.params.type}/${req.params.id}` : req.params.type;
+  res.status(412).json({
+    error: `Precondition failed: ${target} has been modified`,
+    current
+  });
+}
+
+/**
+ * Ensure the request's If-Match header (if any) matches the current item.
+ * Responds with 412 and the current document when it does not.
+ * The write itself re-checks If-Match under the item's lock, so a change that
+ * lands between this check and the write is still caught (PRECONDITION_FAILED).
+ * @returns {boolean} - true if the request may proceed
+ */
+function checkPrecondition(req, res, content) {
+  if (matchesIfMatch(req.get('If-Match'), computeEtag(content))) {
+    return true;
+  }
+  
+  sendPreconditionFailed(req, res, content);
+  return false;
+}
+
+/**
+ * Build a function resolving stored items of a type to a locale
+ * @returns {function|null} - item -> localized item, or null without a locale
+ */
+async function getLocalizer(type, locale) {
+  if (!locale) {
+    return null;
+  }
+  const fields = await validator.getLocalizedFields(type);
+  return item => locales.localizeItem(item, locale, fields);
+}
+
+/**
+ * Resolve a stored item to the requested locale (if any) and set Content-Language
+ */
+async function localizeContent(res, type, content, locale) {
+  if (!locale) {
+    return content;
+  }
+  res.set('Content-Language', locale);
+  return (await getLocalizer(type, locale))(content);
+}
+
+/**
+ * Apply response-shaping query options to content items:
+ * populate references first, so projection can reach into them (author.name)
+ * Populated documents are resolved to the query's locale, like the items themselves
+ */
+async function shapeItems(type, items, queryOptions) {
+  const localizeReference = queryOptions.locale
+    ? async (refType, item) => (await getLocalizer(refType, queryOptions.locale))(item)
+    : null;
+  const populated = await populateItems(type, items, queryOptions.populate, localizeReference);
+  return populated.map(item => projectItem(item, queryOptions.fields, queryOptions.exclude));
+}
+
+/**
+ * Respond with the document of a singleton type (404 until it is first saved)
+ */
+async function sendSingleton(req, res, type) {
+  const content = await fileHandler.getContent(type, validator.SINGLETON_ID);
+  if (!content) {
+    return res.status(404).json({
+      error: `Content not found: ${type} has not been saved yet`
+    });
+  }
+  
+  res.set('ETag', computeEtag(content));
+  const queryOptions = parseQuery(req.query);
+  const localized = await localizeContent(res, type, content, queryOptions.locale);
+  const [shaped] = await shapeItems(type, [localized], queryOptions);
+  res.json(shaped);
+}
+
+/**
+ * Respond with 405 for requests a singleton type does not support
+ */
+function sendSingletonNotAllowed(res, type, allowed) {
+  res.set('Allow', allowed);
+  res.status(405).json({
+    error: `${type} is a singleton content type. Use GET or PUT /api/content/${type}`
+  });
+}
+
+/**
+ * Shared handler for POST /api/content/_bulk and POST /api/content/:type/_bulk
+ * Validates every operation first, then applies them all-or-nothing
+ */
+async function handleBulk(req, res, defaultType) {
+  try {
+    const operations = Array.isArray(req.body) ? req.body : req.body && req.body.operations;
+    if (!Array.isArray(operations) || operations.length === 0) {
+      return res.status(400).json({
+        error: 'Request body must be a non-empty array of operations (or { "operations": [...] })'
+      });
+    }
+    
+    const { valid, results, plan, cascade } = await bulkHandler.validateOperations(operations, defaultType);
+    if (!valid) {
+      return res.status(400).json({
+        error: 'Bulk validation failed. No changes were applied.',
+        results
+      });
+    }
+    
+    try {
+      const written = await bulkHandler.executePlan(plan);
+      // The plan starts with the requested operations; cascaded steps follow
+      results.forEach((result, index) => {
+        if (result.op !== 'delete') {
+          result.data = written[index];
+        }
+      });
+    } catch (error) {
+      console.error('Error applying bulk operations:', error);
+      return res.status(500).json({
+        error: 'Bulk operation failed. All changes were rolled back.',
+        message: error.message
+      });
+    }
+    
+    const cascaded = cascade.deleted.length > 0 || cascade.unlinked.length > 0;
+    res.json({ results, ...(cascaded && { cascade }) });
+  } catch (error) {
+    console.error('Error processing bulk operations:', error);
+    res.status(500).json({
+      error: 'Failed to process bulk operations',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * POST /api/content/_bulk
+ * Apply a batch of create/update/delete operations across types
+ * 
+ * Body: [{ "op": "create", "type": "post", "data": {...} },
+ *        { "op": "update", "type": "post", "id": "...", "data": {...} },
+ *        { "op": "delete", "type": "post", "id": "..." }]
+ */
+router.post('/_bulk', (req, res) => handleBulk(req, res, null));
+
+/**
+ * POST /api/content/:type/_bulk
+ * Same as /_bulk, with :type used for operations that do not name a type
+ */
+router.post('/:type/_bulk', (req, res) => handleBulk(req, res, req.params.type));
+
+/**
+ * POST /api/content/:type/_import/csv
+ * Create and update items of a type from CSV rows
+ * The header row names schema properties (or their titles); rows whose id
+ * exists update that item, other rows create one. Rows are validated like bulk
+ * operations and applied all-or-nothing.
+ * 
+ * Query parameters:
+ * - dryRun: true to validate and report without writing
+ * - delimiter: cell delimiter (default ",")
+ */
+router.post('/:type/_import/csv', express.text({ type: ['text/csv', 'application/csv', 'text/plain'], limit: config.jsonBodyLimit }), async (req, res) => {
+  try {
+    const { type } = req.params;
+    
+    if (typeof req.body !== 'string') {
+      return res.status(415).json({
+        error: 'CSV import requires a text/csv body'
+      });
+    }
+    
+    const delimiter = csv.assertDelimiter(req.query.delimiter || ',');
+    const dryRun = req.query.dryRun === 'true' || req.query.dryRun === '1';
+    
+    const definition = await validator.getSchemaDefinition(type);
+    if (!definition) {
+      return res.status(404).json({
+        error: `Unknown content type: ${type}`
+      });
+    }
+    
+    const [headers, ...lines] = csv.parseCsv(req.body, delimiter);
+    const columns = csv.mapColumns(headers || [], definition);
+    const existingIds = new Set((await fileHandler.listContent(type, {})).data.map(item => item.id));
+    
+    // Row numbers count the header as row 1, as in a spreadsheet
+    const operations = [];
+    const rowNumbers = [];
+    lines.forEach((cells, index) => {
+      if (cells.every(cell => cell.trim() === '')) {
+        return;
+      }
+      const data = csv.rowToData(cells, columns.fields, definition);
+      operations.push(data.id && existingIds.has(data.id) ? { op: 'update', id: data.id, data } : { op: 'create', data });
+      rowNumbers.push(index + 2);
+    });
+    
+    if (operations.length === 0) {
+      return res.status(400).json({
+        error: 'CSV must have a header row and at least one data row'
+      });
+    }
+    
+    const { valid, results, plan } = await bulkHandler.validateOperations(operations, type);
+    const report = {
+      valid,
+      dryRun,
+      columns: { mapped: columns.mapped, ignored: columns.ignored },
+      summary: {
+        rows: operations.length,
+        created: operations.filter(operation => operation.op === 'create').length,
+        updated: operations.filter(operation => operation.op === 'update').length
+      },
+      rows: results.map((result, index) => ({
+        row: rowNumbers[index],
+        op: result.op,
+        id: result.id,
+        status: result.status,
+        ...(result.error && { error: result.error }),
+        ...(result.details && { details: result.details })
+      }))
+    };
+    
+    if (!valid) {
+      return res.status(400).json({
+        error: 'CSV validation failed. No changes were applied.',
+        ...report
+      });
+    }
+    
+    if (!dryRun) {
+      try {
+        await bulkHandler.executePlan(plan);
+      } catch (error) {
+        console.error('Error applying CSV import:', error);
+        return res.status(500).json({
+          error: 'CSV import failed. All changes were rolled back.',
+          message: error.message
+        });
+      }
+    }
+    res.json(report);
+  } catch (error) {
+    if (error.code === 'INVALID_QUERY') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error importing CSV:', error);
+    res.status(500).json({
+      error: 'Failed to import CSV',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/content/_scheduled
+ * List queued scheduled publish/unpublish transitions, soonest first
+ */
+router.get('/_scheduled', async (req, res) => {
+  try {
+    const scheduled = await scheduler.listScheduled();
+    res.json({ data: scheduled });
+  } catch (error) {
+    console.error('Error listing scheduled content:', error);
+    res.status(500).json({
+      error: 'Failed to list scheduled content',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/content/_trash
+ * List deleted items in the trash, newest first
+ * 
+ * Query parameters:
+ * - type: (optional) Only list items of this content type
+ */
+router.get('/_trash', async (req, res) => {
+  try {
+    const entries = await trashHandler.listTrash(req.query.type || null);
+    res.json({ data: entries });
+  } catch (error) {
+    console.error('Error listing trash:', error);
+    res.status(500).json({
+      error: 'Failed to list trash',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/content/_trash
+ * DELETE /api/content/_trash/:type
+ * DELETE /api/content/_trash/:type/:id
+ * Permanently delete trashed items (everything, one type, or one item)
+ */
+router.delete(['/_trash', '/_trash/:type', '/_trash/:type/:id'], async (req, res) => {
+  try {
+    const { type = null, id = null } = req.params;
+    const purged = await trashHandler.purge(type, id);
+    
+    if (id && purged === 0) {
+      return res.status(404).json({
+        error: `Content item not found in trash: ${type}/${id}`
+      });
+    }
+    
+    res.json({
+      message: `Permanently deleted ${purged} item(s) from the trash`,
+      purged
+    });
+  } catch (error) {
+    console.error('Error purging trash:', error);
+    res.status(500).json({
+      error: 'Failed to purge trash',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/content/_index
+ * Show which content types are held in the in-memory index and their size
+ */
+router.get('/_index', (req, res) => {
+  res.json(contentIndex.getStats());
+});
+
+/**
+ * POST /api/content/_index/rebuild
+ * POST /api/content/_index/rebuild/:type
+ * Discard the in-memory index (every indexed type, or one type) and reload it from disk
+ */
+router.post(['/_index/rebuild', '/_index/rebuild/:type'], async (req, res) => {
+  try {
+    const stats = await contentIndex.rebuild(req.params.type || null);
+    res.json({
+      message: req.params.type ? `Index rebuilt for ${req.params.type}` : 'Index rebuilt',
+      ...stats
+    });
+  } catch (error) {
+    console.error('Error rebuilding content index:', error);
+    res.status(500).json({
+      error: 'Failed to rebuild content index',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/content/:type.csv
+ * Download the items of a type as CSV, one row per item
+ * Accepts the query parameters of GET /api/content/:type (filters, search, sort,
+ * pagination, fields, locale), plus delimiter (default ",")
+ */
+router.get('/:type.csv', async (req, res) => {
+  try {
+    const { type } = req.params;
+    const { delimiter = ',', ...query } = req.query;
+    csv.assertDelimiter(delimiter);
+    
+    const queryOptions = await applyFilterTypes(type, parseQuery(query));
+    queryOptions.localize = await getLocalizer(type, queryOptions.locale);
+    if (queryOptions.search) {
+      queryOptions.rank = await searchIndex.search(type, queryOptions.search, queryOptions.locale);
+    }
+    
+    const result = await fileHandler.listContent(type, queryOptions);
+    const items = await shapeItems(type, result.data, queryOptions);
+    const columns = csv.getColumns(await validator.getSchemaDefinition(type), items, queryOptions.fields);
+    const rows = items.map(item => columns.map(column => csv.formatValue(item[column])));
+    
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${type}.csv"`);
+    if (queryOptions.locale) {
+      res.set('Content-Language', queryOptions.locale);
+    }
+    res.send(csv.formatCsv([columns, ...rows], delimiter));
+  } catch (error) {
+    if (error.code === 'INVALID_QUERY') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error exporting CSV:', error);
+    res.status(500).json({
+      error: 'Failed to export CSV',
+      message: error.message
+    });
+  }
+});
 
 /**
  * GET /api/content/:type
  * List all content items of a specific type
+ * (for a singleton type, get its document instead)
  * 
  * Query parameters:
  * - filter: ?field=value (equality), ?field__gt=10, ?field__lt=20, ?field__gte=5, ?field__lte=15, ?field__ne=value
+ *   (compared by the field's schema type; ?strict=false allows undeclared fields)
  * - array: ?field__in=value1,value2,value3
- * - search: ?search=text (searches across string fields)
+ * - search: ?search=text (ranked full-text search, best matches first), ?highlight=true adds snippets
  * - status: ?status=published|draft|archived
  * - sort: ?sort=field or ?sort=-field (descending)
  * - pagination: ?limit=10&offset=0
+ * - populate: ?populate=author,related.author (inline referenced documents)
+ * - projection: ?fields=title,author.name or ?exclude=body
+ * - locale: ?locale=es (localized fields resolved through the locale's fallback chain)
  */
 router.get('/:type', async (req, res) => {
   try {
     const { type } = req.params;
-    const queryOptions = parseQuery(req.query);
+    if (await validator.isSingleton(type)) {
+      return sendSingleton(req, res, type);
+    }
+    
+    const queryOptions = await applyFilterTypes(type, parseQuery(req.query));
+    queryOptions.localize = await getLocalizer(type, queryOptions.locale);
+    if (queryOptions.search) {
+      queryOptions.rank = await searchIndex.search(type, queryOptions.search, queryOptions.locale);
+    }
+    
     const result = await fileHandler.listContent(type, queryOptions);
+    const highlights = queryOptions.search && queryOptions.highlight
+      ? await searchIndex.highlight(type, result.data, queryOptions.search)
+      : null;
+    result.data = await shapeItems(type, result.data, queryOptions);
+    if (highlights) {
+      result.data = result.data.map((item, index) => ({ ...item, _highlights: highlights[index] }));
+    }
+    if (queryOptions.locale) {
+      res.set('Content-Language', queryOptions.locale);
+    }
     res.json(result);
   } catch (error) {
-    console.error('Error listing content:', error);
+    if (error.code === 'INVALID_QUERY') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error listing content:', error);
+    res.status(500).json({
+      error: 'Failed to list content',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/content/:type/_facets
+ * Count values across the items matching the list filters (for filter sidebars)
+ *
+ * Query parameters:
+ * - fields: ?fields=category,tags,publishedAt:month (required)
+ *   arrays are counted per element, dates are bucketed by :day (default), :month or :year,
+ *   and number fields also get min/max/avg/sum
+ * - filter, search, status, strict and locale: as for GET /api/content/:type
+ */
+router.get('/:type/_facets', async (req, res) => {
+  try {
+    const { type } = req.params;
+    const queryOptions = await applyFilterTypes(type, parseQuery(req.query));
+    const specs = await parseFacetSpecs(type, queryOptions.fields, queryOptions.strict);
+    if (queryOptions.search) {
+      queryOptions.rank = await searchIndex.search(type, queryOptions.search, queryOptions.locale);
+    }
+
+    const { data } = await fileHandler.listContent(type, {
+      filters: queryOptions.filters,
+      expression: queryOptions.expression,
+      fieldTypes: queryOptions.fieldTypes,
+      rank: queryOptions.rank,
+      localize: await getLocalizer(type, queryOptions.locale)
+    });
+    res.json({
+      total: data.length,
+      facets: computeFacets(data, specs)
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_QUERY') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error computing facets:', error);
+    res.status(500).json({
+      error: 'Failed to compute facets',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/content/:type/by/:field/:value
+ * Get a single content item by the value of a unique field (e.g. slug)
+ * Matching is case-insensitive for strings, like the uniqueness check
+ * With ?locale=, localized fields are matched by their value in that locale
+ */
+router.get('/:type/by/:field/:value', async (req, res) => {
+  try {
+    const { type, field, value } = req.params;
+    
+    const uniqueFields = await validator.getUniqueFields(type);
+    if (!uniqueFields.includes(field)) {
+      return res.status(400).json({
+        error: `Field '${field}' is not marked as unique for content type: ${type}`
+      });
+    }
+    
+    const queryOptions = parseQuery(req.query);
+    const content = await validator.findByUniqueField(type, field, value, queryOptions.locale);
+    if (!content) {
+      return res.status(404).json({
+        error: `Content item not found: ${type} with ${field}='${value}'`
+      });
+    }
+    
+    res.set('ETag', computeEtag(content));
+    const localized = await localizeContent(res, type, content, queryOptions.locale);
+    const [shaped] = await shapeItems(type, [localized], queryOptions);
+    res.json(shaped);
+  } catch (error) {
+    if (error.code === 'INVALID_QUERY') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error getting content by field:', error);
+    res.status(500).json({
+      error: 'Failed to get content',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/content/:type/:id
+ * Get a single content item by ID
+ * 
+ * Query parameters:
+ * - populate: ?populate=author,related (inline referenced documents)
+ * - projection: ?fields=title,author.name or ?exclude=body
+ * - locale: ?locale=es (localized fields resolved through the locale's fallback chain)
+ */
+router.get('/:type/:id', async (req, res) => {
+  try {
+    const { type, id } = req.params;
+    const queryOptions = parseQuery(req.query);
+    const content = await fileHandler.getContent(type, id);
+    
+    if (!content) {
+      return res.status(404).json({
+        error: `Content item not found: ${type}/${id}`
+      });
+    }
+    
+    res.set('ETag', computeEtag(content));
+    const localized = await localizeContent(res, type, content, queryOptions.locale);
+    const [shaped] = await shapeItems(type, [localized], queryOptions);
+    res.json(shaped);
+  } catch (error) {
+    if (error.code === 'INVALID_QUERY') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error getting content:', error);
+    res.status(500).json({
+      error: 'Failed to get content',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/content/:type
+ * Create a new content item
+ */
+router.post('/:type', express.json(), async (req, res) => {
+  try {
+    const { type } = req.params;
+    
+    if (await validator.isSingleton(type)) {
+      return sendSingletonNotAllowed(res, type, 'GET, PUT');
+    }
+    
+    // Fill in schema defaults and computed fields
+    const data = await applyComputedFields(type, await validator.applyDefaults(type, req.body));
+    
+    // Validate content against schema
+    const validation = await validator.validateContent(type, data);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: validation.errors
+      });
+    }
+    
+    // Validate uniqueness of unique fields
+    const uniquenessValidation = await validator.validateUniqueness(type, data);
+    if (!uniquenessValidation.valid) {
+      return res.status(409).json({
+        error: 'Uniqueness validation failed',
+        details: uniquenessValidation.errors
+      });
+    }
+    
+    // Create content
+    const content = await fileHandler.createContent(type, data);
+    res.set('ETag', computeEtag(content));
+    res.status(201).json(content);
+  } catch (error) {
+    console.error('Error creating content:', error);
+    
+    if (error.message.includes('already exists')) {
+      return res.status(409).json({
+        error: error.message
+      });
+    }
+    
+    res.status(500).json({
+      error: 'Failed to create content',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/content/:type
+ * Save the document of a singleton type, creating it on first save
+ * Like PUT /api/content/:type/:id, fields are merged over the stored document
+ * (and the previous document is kept as a version)
+ */
+router.put('/:type', express.json(), async (req, res) => {
+  try {
+    const { type } = req.params;
+    const id = validator.SINGLETON_ID;
+    const data = req.body;
+    
+    if (!(await validator.isSingleton(type))) {
+      res.set('Allow', 'GET, POST');
+      return res.status(405).json({
+        error: `PUT requires an id for content type: ${type}. Use PUT /api/content/${type}/:id`
+      });
+    }
+    
+    const existing = await fileHandler.getContent(type, id);
+    if (existing && !checkPrecondition(req, res, existing)) {
+      return;
+    }
+    if (!existing && req.get('If-Match')) {
+      return res.status(412).json({
+        error: `Precondition failed: ${type} has not been saved yet`
+      });
+    }
+    
+    // Defaults are only filled in on first save
+    const mergedData = existing ? { ...existing, ...data, id } : await validator.applyDefaults(type, { ...data, id });
+    const prepared = await applyComputedFields(type, mergedData);
+    
+    // Validate merged content against schema
+    const validation = await validator.validateContent(type, prepared);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: validation.errors
+      });
+    }
+    
+    // Validate uniqueness of unique fields (exclude current item)
+    const uniquenessValidation = await validator.validateUniqueness(type, prepared, id);
+    if (!uniquenessValidation.valid) {
+      return res.status(409).json({
+        error: 'Uniqueness validation failed',
+        details: uniquenessValidation.errors
+      });
+    }
+    
+    const saved = existing
+      ? await fileHandler.updateContent(type, id, { ...data, ...getChanges(mergedData, prepared), id }, { ifMatch: req.get('If-Match') })
+      : await fileHandler.createContent(type, prepared);
+    res.set('ETag', computeEtag(saved));
+    res.status(existing ? 200 : 201).json(saved);
+  } catch (error) {
+    if (error.code === 'PRECONDITION_FAILED') {
+      return sendPreconditionFailed(req, res, error.current);
+    }
+    if (error.message.includes('already exists')) {
+      return res.status(409).json({
+        error: `${req.params.type} was created by another request; retry the update`
+      });
+    }
+    console.error('Error saving singleton content:', error);
+    res.status(500).json({
+      error: 'Failed to save content',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/content/:type/:id
+ * Update an existing content item
+ */
+router.put('/:type/:id', express.json(), async (req, res) => {
+  try {
+    const { type, id } = req.params;
+    const data = req.body;
+    
+    // Get existing content to merge
+    const existing = await fileHandler.getContent(type, id);
+    if (!existing) {
+      return res.status(404).json({
+        error: `Content item not found: ${type}/${id}`
+      });
+    }
+    
+    if (!checkPrecondition(req, res, existing)) {
+      return;
+    }
+    
+    // Merge existing with new data for validation
+    const mergedData = { ...existing, ...data, id };
+    const prepared = await applyComputedFields(type, mergedData);
+    
+    // Validate merged content against schema
+    const validation = await validator.validateContent(type, prepared);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: validation.errors
+      });
+    }
+    
+    // Validate uniqueness of unique fields (exclude current item)
+    const uniquenessValidation = await validator.validateUniqueness(type, prepared, id);
+    if (!uniquenessValidation.valid) {
+      return res.status(409).json({
+        error: 'Uniqueness validation failed',
+        details: uniquenessValidation.errors
+      });
+    }
+    
+    // Update content (with any computed fields that changed)
+    const updated = await fileHandler.updateContent(type, id, { ...data, ...getChanges(mergedData, prepared) }, { ifMatch: req.get('If-Match') });
+    res.set('ETag', computeEtag(updated));
+    res.json(updated);
+  } catch (error) {
+    if (error.code === 'PRECONDITION_FAILED') {
+      return sendPreconditionFailed(req, res, error.current);
+    }
+    console.error('Error updating content:', error);
+    res.status(500).json({
+      error: 'Failed to update content',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PATCH /api/content/:type/:id
+ * Partially update an existing content item
+ * 
+ * Content types:
+ * - application/merge-patch+json (RFC 7386): null removes a field, objects merge recursively
+ * - application/json-patch+json (RFC 6902): add/remove/replace/move/copy/test operations
+ * - application/json is treated as a merge patch
+ */
+router.patch('/:type/:id', express.json({ type: [MERGE_PATCH_TYPE, JSON_PATCH_TYPE, 'application/json'] }), async (req, res) => {
+  try {
+    const { type, id } = req.params;
+    
+    if (!req.is([MERGE_PATCH_TYPE, JSON_PATCH_TYPE, 'application/json'])) {
+      return res.status(415).json({
+        error: `Unsupported patch format. Use ${MERGE_PATCH_TYPE} or ${JSON_PATCH_TYPE}`
+      });
+    }
+    
+    const existing = await fileHandler.getContent(type, id);
+    if (!existing) {
+      return res.status(404).json({
+        error: `Content item not found: ${type}/${id}`
+      });
+    }
+    
+    if (!checkPrecondition(req, res, existing)) {
+      return;
+    }
+    
+    let patched;
+    try {
+      patched = req.is(JSON_PATCH_TYPE)
+        ? applyJsonPatch(existing, req.body)
+        : applyMergePatch(existing, req.body);
+    } catch (error) {
+      if (error.code === 'PATCH_TEST_FAILED') {
+        return res.status(409).json({ error: error.message });
+      }
+      if (error.code === 'INVALID_PATCH') {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+    
+    if (!patched || typeof patched !== 'object' || Array.isArray(patched)) {
+      return res.status(400).json({
+        error: 'Patch must produce a JSON object'
+      });
+    }
+    
+    const patchedData = await applyComputedFields(type, { ...patched, id });
+    
+    // Validate patched content against schema
+    const validation = await validator.validateContent(type, patchedData);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: validation.errors
+      });
+    }
+    
+    // Validate uniqueness of unique fields (exclude current item)
+    const uniquenessValidation = await validator.validateUniqueness(type, patchedData, id);
+    if (!uniquenessValidation.valid) {
+      return res.status(409).json({
+        error: 'Uniqueness validation failed',
+        details: uniquenessValidation.errors
+      });
+    }
+    
+    // Replace content (fields removed by the patch are dropped)
+    const updated = await fileHandler.replaceContent(type, id, patchedData, { ifMatch: req.get('If-Match') });
+    res.set('ETag', computeEtag(updated));
+    res.json(updated);
+  } catch (error) {
+    if (error.code === 'PRECONDITION_FAILED') {
+      return sendPreconditionFailed(req, res, error.current);
+    }
+    console.error('Error patching content:', error);
     res.status(500).json({
-      error: 'Failed to list content',
+      error: 'Failed to patch content',
       message: error.message
     });
   }
 });
 
 /**
- * GET /api/content/:type/:id
- * Get a single content item by ID
+ * DELETE /api/content/:type/:id
+ * Delete a content item (moves it and its versions to the trash)
+ * References to the item follow their onDelete policy: restrict (the default)
+ * refuses the delete with 409 and the referrers, cascade deletes the referrers
+ * too, and nullify removes the references (409 if an item would no longer be
+ * valid without its reference). All of it is applied or none of it.
  */
-router.get('/:type/:id', async (req, res) => {
+router.delete('/:type/:id', async (req, res) => {
   try {
     const { type, id } = req.params;
-    const content = await fileHandler.getContent(type, id);
     
-    if (!content) {
+    if (await validator.isSingleton(type)) {
+      return sendSingletonNotAllowed(res, type, 'GET, PUT');
+    }
+    
+    const existing = await fileHandler.getContent(type, id);
+    if (!existing) {
+      return res.status(404).json({
+        error: `Content item not found: ${type}/${id}`
+      });
+    }
+    
+    if (!checkPrecondition(req, res, existing)) {
+      return;
+    }
+    
+    const deletePlan = await referenceHandler.planDelete([{ type, id }]);
+    if (deletePlan.blocked.length > 0) {
+      return res.status(409).json({
+        error: `Content item ${type}/${id} is referenced by ${deletePlan.blocked.length} item(s)`,
+        referrers: deletePlan.blocked.map(({ type: refType, id: refId, field }) => ({ type: refType, id: refId, field }))
+      });
+    }
+    if (deletePlan.invalid.length > 0) {
+      return res.status(409).json({
+        error: `Removing references to ${type}/${id} would make ${deletePlan.invalid.length} item(s) invalid`,
+        referrers: deletePlan.invalid.map(({ type: refType, id: refId, field, details }) => ({ type: refType, id: refId, field, details }))
+      });
+    }
+    
+    const cascadeSteps = referenceHandler.getCascadeSteps(deletePlan);
+    let deleted;
+    if (cascadeSteps.length === 0) {
+      deleted = await fileHandler.deleteContent(type, id, { ifMatch: req.get('If-Match') });
+    } else {
+      const written = await bulkHandler.executePlan([
+        ...cascadeSteps,
+        { op: 'delete', type, id, ifMatch: req.get('If-Match') }
+      ]);
+      deleted = written[written.length - 1];
+    }
+    
+    if (!deleted) {
       return res.status(404).json({
         error: `Content item not found: ${type}/${id}`
       });
     }
     
-    res.json(content);
+    res.json({
+      message: `Content item ${type}/${id} moved to trash`,
+      trashId: deleted.trashId,
+      ...(cascadeSteps.length > 0 && {
+        cascade: { deleted: deletePlan.cascaded, unlinked: deletePlan.unlinked }
+      })
+    });
   } catch (error) {
-    console.error('Error getting content:', error);
+    if (error.code === 'PRECONDITION_FAILED') {
+      return sendPreconditionFailed(req, res, error.current);
+    }
+    console.error('Error deleting content:', error);
     res.status(500).json({
-      error: 'Failed to get content',
+      error: 'Failed to delete content',
       message: error.message
     });
   }
 });
 
 /**
- * POST /api/content/:type
- * Create a new content item
+ * GET /api/content/:type/:id/referrers
+ * List the items, across all content types, that reference a content item
  */
-router.post('/:type', express.json(), async (req, res) => {
+router.get('/:type/:id/referrers', async (req, res) => {
   try {
-    const { type } = req.params;
-    const data = req.body;
-    
-    // Validate content against schema
-    const validation = await validator.validateContent(type, data);
-    if (!validation.valid) {
-      return res.status(400).json({
-        error: 'Validation failed',
-        details: validation.errors
-      });
-    }
+    const { type, id } = req.params;
+    const content = await fileHandler.getContent(type, id);
     
-    // Validate uniqueness of unique fields
-    const uniquenessValidation = await validator.validateUniqueness(type, data);
-    if (!uniquenessValidation.valid) {
-      return res.status(409).json({
-        error: 'Uniqueness validation failed',
-        details: uniquenessValidation.errors
+    if (!content) {
+      return res.status(404).json({
+        error: `Content item not found: ${type}/${id}`
       });
     }
     
-    // Create content
-    const content = await fileHandler.createContent(type, data);
-    res.status(201).json(content);
+    const referrers = await referenceHandler.findReferrers(type, id);
+    res.json({
+      data: referrers,
+      total: referrers.length
+    });
   } catch (error) {
-    console.error('Error creating content:', error);
+    console.error('Error finding referrers:', error);
+    res.status(500).json({
+      error: 'Failed to find referrers',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/content/:type/:id/locales
+ * List the locales an item has content for
+ */
+router.get('/:type/:id/locales', async (req, res) => {
+  try {
+    const { type, id } = req.params;
+    const content = await fileHandler.getContent(type, id);
     
-    if (error.message.includes('already exists')) {
-      return res.status(409).json({
-        error: error.message
+    if (!content) {
+      return res.status(404).json({
+        error: `Content item not found: ${type}/${id}`
       });
     }
     
+    res.json({
+      id,
+      defaultLocale: locales.getDefaultLocale(),
+      locales: locales.getItemLocales(content),
+      available: config.locales
+    });
+  } catch (error) {
+    console.error('Error listing locales:', error);
     res.status(500).json({
-      error: 'Failed to create content',
+      error: 'Failed to list locales',
       message: error.message
     });
   }
 });
 
 /**
- * PUT /api/content/:type/:id
- * Update an existing content item
+ * Check the :locale of a locale variant route
+ * @returns {string|null} - Error message, or null if the locale can hold a variant
  */
-router.put('/:type/:id', express.json(), async (req, res) => {
+function checkVariantLocale(locale) {
+  if (!config.locales.includes(locale)) {
+    return `Unknown locale '${locale}'. Expected one of ${config.locales.join(', ')}`;
+  }
+  if (locale === locales.getDefaultLocale()) {
+    return `'${locale}' is the default locale; update the item itself instead`;
+  }
+  return null;
+}
+
+/**
+ * PUT /api/content/:type/:id/locales/:locale
+ * Set the variant of an item in a locale (replacing any previous one)
+ * Body: the localized fields in that locale, e.g. { "title": "Hola", "slug": "hola" }
+ */
+router.put('/:type/:id/locales/:locale', express.json(), async (req, res) => {
   try {
-    const { type, id } = req.params;
-    const data = req.body;
+    const { type, id, locale } = req.params;
+    
+    const localeError = checkVariantLocale(locale);
+    if (localeError) {
+      return res.status(400).json({ error: localeError });
+    }
     
-    // Get existing content to merge
     const existing = await fileHandler.getContent(type, id);
     if (!existing) {
       return res.status(404).json({
@@ -120,11 +1036,17 @@ router.put('/:type/:id', express.json(), async (req, res) => {
       });
     }
     
-    // Merge existing with new data for validation
-    const mergedData = { ...existing, ...data, id };
+    if (!checkPrecondition(req, res, existing)) {
+      return;
+    }
     
-    // Validate merged content against schema
-    const validation = await validator.validateContent(type, mergedData);
+    const next = await applyComputedFields(type, {
+      ...existing,
+      [locales.LOCALES_FIELD]: { ...existing[locales.LOCALES_FIELD], [locale]: req.body }
+    });
+    
+    // Validate the item with its new variant
+    const validation = await validator.validateContent(type, next);
     if (!validation.valid) {
       return res.status(400).json({
         error: 'Validation failed',
@@ -132,8 +1054,8 @@ router.put('/:type/:id', express.json(), async (req, res) => {
       });
     }
     
-    // Validate uniqueness of unique fields (exclude current item)
-    const uniquenessValidation = await validator.validateUniqueness(type, mergedData, id);
+    // Validate uniqueness of unique fields within each locale (exclude current item)
+    const uniquenessValidation = await validator.validateUniqueness(type, next, id);
     if (!uniquenessValidation.valid) {
       return res.status(409).json({
         error: 'Uniqueness validation failed',
@@ -141,40 +1063,106 @@ router.put('/:type/:id', express.json(), async (req, res) => {
       });
     }
     
-    // Update content
-    const updated = await fileHandler.updateContent(type, id, data);
+    const updated = await fileHandler.replaceContent(type, id, next, { ifMatch: req.get('If-Match') });
+    res.set('ETag', computeEtag(updated));
     res.json(updated);
   } catch (error) {
-    console.error('Error updating content:', error);
+    if (error.code === 'PRECONDITION_FAILED') {
+      return sendPreconditionFailed(req, res, error.current);
+    }
+    console.error('Error saving locale variant:', error);
     res.status(500).json({
-      error: 'Failed to update content',
+      error: 'Failed to save locale variant',
       message: error.message
     });
   }
 });
 
 /**
- * DELETE /api/content/:type/:id
- * Delete a content item
+ * DELETE /api/content/:type/:id/locales/:locale
+ * Remove the variant of an item in a locale (it then falls back again)
  */
-router.delete('/:type/:id', async (req, res) => {
+router.delete('/:type/:id/locales/:locale', async (req, res) => {
+  try {
+    const { type, id, locale } = req.params;
+    
+    const localeError = checkVariantLocale(locale);
+    if (localeError) {
+      return res.status(400).json({ error: localeError });
+    }
+    
+    const existing = await fileHandler.getContent(type, id);
+    const variants = existing && existing[locales.LOCALES_FIELD];
+    if (!variants || variants[locale] === undefined) {
+      return res.status(404).json({
+        error: `Locale variant not found: ${type}/${id} (${locale})`
+      });
+    }
+    
+    if (!checkPrecondition(req, res, existing)) {
+      return;
+    }
+    
+    const remaining = { ...variants };
+    delete remaining[locale];
+    const next = { ...existing, [locales.LOCALES_FIELD]: remaining };
+    if (Object.keys(remaining).length === 0) {
+      delete next[locales.LOCALES_FIELD];
+    }
+    
+    const updated = await fileHandler.replaceContent(type, id, next, { ifMatch: req.get('If-Match') });
+    res.set('ETag', computeEtag(updated));
+    res.json(updated);
+  } catch (error) {
+    if (error.code === 'PRECONDITION_FAILED') {
+      return sendPreconditionFailed(req, res, error.current);
+    }
+    console.error('Error deleting locale variant:', error);
+    res.status(500).json({
+      error: 'Failed to delete locale variant',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/content/:type/:id/untrash
+ * Restore the most recently deleted copy of a content item from the trash
+ * 409 if the id is taken again or a unique field value is now used by another item
+ */
+router.post('/:type/:id/untrash', async (req, res) => {
   try {
     const { type, id } = req.params;
-    const deleted = await fileHandler.deleteContent(type, id);
+    const restored = await trashHandler.untrash(type, id, {
+      checkUniqueness: content => validator.validateUniqueness(type, content, id)
+    });
     
-    if (!deleted) {
+    if (!restored) {
       return res.status(404).json({
-        error: `Content item not found: ${type}/${id}`
+        error: `Content item not found in trash: ${type}/${id}`
       });
     }
     
+    res.set('ETag', computeEtag(restored));
     res.json({
-      message: `Content item ${type}/${id} deleted successfully`
+      message: `Content item ${type}/${id} restored from trash`,
+      content: restored
     });
   } catch (error) {
-    console.error('Error deleting content:', error);
+    if (error.code === 'ALREADY_EXISTS') {
+      return res.status(409).json({
+        error: error.message
+      });
+    }
+    if (error.code === 'UNIQUENESS_FAILED') {
+      return res.status(409).json({
+        error: error.message,
+        details: error.details
+      });
+    }
+    console.error('Error restoring content from trash:', error);
     res.status(500).json({
-      error: 'Failed to delete content',
+      error: 'Failed to restore content from trash',
       message: error.message
     });
   }
@@ -256,6 +1244,10 @@ router.post('/:type/:id/restore/:versionId', async (req, res) => {
       });
     }
     
+    if (!checkPrecondition(req, res, content)) {
+      return;
+    }
+    
     // Get the version to restore
     const version = await versionHandler.getVersion(type, id, versionId);
     if (!version) {
@@ -268,13 +1260,17 @@ router.post('/:type/:id/restore/:versionId', async (req, res) => {
     const { versionId: _, versionedAt: __, ...restoredData } = version;
     
     // Restore the content (this will create a new version of the current state)
-    const restored = await fileHandler.updateContent(type, id, restoredData);
+    const restored = await fileHandler.updateContent(type, id, restoredData, { ifMatch: req.get('If-Match'), restored: true });
     
+    res.set('ETag', computeEtag(restored));
     res.json({
       message: `Content item ${type}/${id} restored to version ${versionId}`,
       content: restored
     });
   } catch (error) {
+    if (error.code === 'PRECONDITION_FAILED') {
+      return sendPreconditionFailed(req, res, error.current);
+    }
     console.error('Error restoring version:', error);
     res.status(500).json({
       error: 'Failed to restore version',
@@ -283,6 +1279,139 @@ router.post('/:type/:id/restore/:versionId', async (req, res) => {
   }
 });
 
+/**
+ * Respond with 404 when git storage is off
+ * @returns {boolean} - true if git storage is enabled
+ */
+function checkGitStorage(res) {
+  if (gitHandler.isEnabled()) {
+    return true;
+  }
+  res.status(404).json({
+    error: 'Git storage is not enabled. Set GIT_STORAGE=true to record history in git.'
+  });
+  return false;
+}
+
+/**
+ * GET /api/content/:type/:id/history
+ * List the git commits that changed a content item, newest first (GIT_STORAGE)
+ * Deleted items keep their history.
+ * 
+ * Query parameters:
+ * - limit: Commits per page (default 50)
+ * - offset: Commits to skip
+ */
+router.get('/:type/:id/history', async (req, res) => {
+  try {
+    const { type, id } = req.params;
+    if (!checkGitStorage(res)) {
+      return;
+    }
+    
+    const limit = parseInt(req.query.limit, 10) > 0 ? parseInt(req.query.limit, 10) : 50;
+    const offset = parseInt(req.query.offset, 10) > 0 ? parseInt(req.query.offset, 10) : 0;
+    
+    // Fetch one extra commit to know whether there are more
+    const commits = await gitHandler.getHistory(type, id, { limit: limit + 1, offset });
+    if (commits.length === 0 && offset === 0) {
+      return res.status(404).json({
+        error: `No history found for ${type}/${id}`
+      });
+    }
+    
+    res.json({
+      data: commits.slice(0, limit),
+      pagination: { limit, offset, hasMore: commits.length > limit }
+    });
+  } catch (error) {
+    console.error('Error listing history:', error);
+    res.status(500).json({
+      error: 'Failed to list history',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/content/:type/:id/history/:commit
+ * Get a content item as it was at a commit (GIT_STORAGE)
+ */
+router.get('/:type/:id/history/:commit', async (req, res) => {
+  try {
+    const { type, id, commit } = req.params;
+    if (!checkGitStorage(res)) {
+      return;
+    }
+    
+    const snapshot = await gitHandler.getContentAt(type, id, commit);
+    if (!snapshot) {
+      return res.status(404).json({
+        error: `${type}/${id} not found at commit ${commit}`
+      });
+    }
+    
+    res.json(snapshot);
+  } catch (error) {
+    console.error('Error getting content from history:', error);
+    res.status(500).json({
+      error: 'Failed to get content from history',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/content/:type/:id/history/:commit/restore
+ * Roll a content item back to its state at a commit (GIT_STORAGE)
+ * The restored document replaces the current one (or recreates a deleted
+ * item) and is committed as a new change, so later history is kept.
+ */
+router.post('/:type/:id/history/:commit/restore', async (req, res) => {
+  try {
+    const { type, id, commit } = req.params;
+    if (!checkGitStorage(res)) {
+      return;
+    }
+    
+    const content = await fileHandler.getContent(type, id);
+    if (content && !checkPrecondition(req, res, content)) {
+      return;
+    }
+    
+    const snapshot = await gitHandler.getContentAt(type, id, commit);
+    if (!snapshot) {
+      return res.status(404).json({
+        error: `${type}/${id} not found at commit ${commit}`
+      });
+    }
+    
+    const restored = content
+      ? await fileHandler.replaceContent(type, id, { ...snapshot.content, id }, { ifMatch: req.get('If-Match'), restored: true })
+      : await fileHandler.createContent(type, { ...snapshot.content, id }, { restored: true });
+    
+    res.set('ETag', computeEtag(restored));
+    res.json({
+      message: `Content item ${type}/${id} restored to commit ${snapshot.commit}`,
+      content: restored
+    });
+  } catch (error) {
+    if (error.code === 'PRECONDITION_FAILED') {
+      return sendPreconditionFailed(req, res, error.current);
+    }
+    if (error.message.includes('already exists')) {
+      return res.status(409).json({
+        error: `${req.params.type}/${req.params.id} was recreated by another request; retry the restore`
+      });
+    }
+    console.error('Error restoring from history:', error);
+    res.status(500).json({
+      error: 'Failed to restore from history',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/content/:type/:id/related
  * Get related content items (by tags, categories, or relations)
@@ -290,6 +1419,7 @@ router.post('/:type/:id/restore/:versionId', async (req, res) => {
  * Query parameters:
  * - limit: Maximum number of related items to return
  * - offset: Offset for pagination
+ * - projection: ?fields=title,slug or ?exclude=body
  */
 router.get('/:type/:id/related', async (req, res) => {
   try {
@@ -309,8 +1439,12 @@ router.get('/:type/:id/related', async (req, res) => {
       offset: queryOptions.offset
     });
     
+    result.data = await shapeItems(type, result.data, queryOptions);
     res.json(result);
   } catch (error) {
+    if (error.code === 'INVALID_QUERY') {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Error getting related content:', error);
     res.status(500).json({
       error: 'Failed to get related content',
@@ -0,0 +1,73 @@
+const express = require('express');
+const eventStream = require('../utils/eventStream');
+
+const router = express.Router();
+
+// Reconnection delay suggested to clients, in milliseconds
+const RETRY_DELAY = 3000;
+
+// Comment lines sent while idle, so proxies do not close the connection
+const HEARTBEAT_INTERVAL = 25000;
+
+function formatEvent(id, event, data) {
+  return `id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * GET /api/events
+ * Stream content and media changes as Server-Sent Events
+ *
+ * Events: content.create, content.update, content.delete, content.restore
+ * ({ type, id, status, updatedAt }), media.upload, media.delete
+ * ({ type, filename, updatedAt }), plus `ready` once connected and `reset`
+ * when missed events cannot be replayed.
+ *
+ * Query parameters:
+ * - types: Comma-separated content (or media) types to receive (default: all)
+ *
+ * Headers:
+ * - Last-Event-ID: Resume after this event (sent by EventSource when it reconnects)
+ */
+router.get('/', (req, res) => {
+  const types = req.query.types
+    ? String(req.query.types).split(',').map(type => type.trim()).filter(Boolean)
+    : null;
+  const send = entry => {
+    if (!types || types.includes(entry.data.type)) {
+      res.write(formatEvent(entry.id, entry.event, entry.data));
+    }
+  };
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_DELAY}\n\n`);
+
+  // Replaying and subscribing happen in one go, so no event falls in between
+  const lastEventId = req.get('Last-Event-ID');
+  if (lastEventId) {
+    const missed = eventStream.getEventsSince(lastEventId);
+    if (missed) {
+      missed.forEach(send);
+    } else {
+      res.write(formatEvent(eventStream.getLastEventId(), 'reset', {}));
+    }
+  }
+  const unsubscribe = eventStream.subscribe(send);
+  res.write(formatEvent(eventStream.getLastEventId(), 'ready', { types }));
+
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+  }, HEARTBEAT_INTERVAL);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+module.exports = router;
@@ -4,6 +4,7 @@ const path = require('path');
 const fs = require('fs-extra');
 const config = require('../config');
 const mediaHandler = require('../utils/mediaHandler');
+const requestContext = require('../utils/requestContext');
 
 const router = express.Router();
 
@@ -45,7 +46,7 @@ const upload = multer({
  * - file: The file to upload
  * - type: (optional) Media type/category (default: 'general')
  */
-router.post('/upload', upload.single('file'), async (req, res) => {
+router.post('/upload', requestContext.preserve(upload.single('file')), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -3,50 +3,6 @@ const validator = require('../utils/validator');
 
 const router = express.Router();
 
-/**
- * Collect content type summaries from schema definitions.
- * Supports both `definitions` objects and top-level type entries.
- */
-function extractContentTypes(schema) {
-  const types = {};
-
-  // Helper to add a type entry if it looks like a schema object
-  function addType(name, definition) {
-    if (!definition || typeof definition !== 'object') {
-      return;
-    }
-
-    const properties = definition.properties || {};
-    const uniqueFields = Object.entries(properties)
-      .filter(([, fieldSchema]) => fieldSchema && fieldSchema.unique === true)
-      .map(([fieldName]) => fieldName);
-
-    types[name] = {
-      name,
-      title: definition.title || name,
-      description: definition.description || '',
-      properties,
-      required: definition.required || [],
-      uniqueFields
-    };
-  }
-
-  if (schema.definitions && typeof schema.definitions === 'object') {
-    for (const [name, definition] of Object.entries(schema.definitions)) {
-      addType(name, definition);
-    }
-  }
-
-  for (const [name, definition] of Object.entries(schema)) {
-    if (name === 'definitions' || name === '$schema') {
-      continue;
-    }
-    addType(name, definition);
-  }
-
-  return Object.values(types);
-}
-
 /**
  * GET /api/schema
  * Returns the raw schema along with derived metadata for admin UI consumption.
@@ -54,7 +10,7 @@ function extractContentTypes(schema) {
 router.get('/', async (req, res) => {
   try {
     const schema = await validator.loadSchema();
-    const types = extractContentTypes(schema);
+    const types = validator.extractContentTypes(schema);
 
     res.json({
       schema,
@@ -0,0 +1,118 @@
+const express = require('express');
+const fileHandler = require('../utils/fileHandler');
+const validator = require('../utils/validator');
+const searchIndex = require('../utils/searchIndex');
+const locales = require('../utils/locales');
+const { parseQuery, parseList, projectItem } = require('../utils/queryParser');
+
+const router = express.Router();
+
+// Query parameters shared with the content list endpoint
+const PAGE_PARAMETERS = ['limit', 'offset', 'highlight', 'fields', 'exclude', 'locale'];
+
+/**
+ * GET /api/search
+ * Search every content type in the schema at once
+ * Like other GET endpoints, this is public when PUBLIC_GET_ENABLED is on and
+ * requires the API key otherwise. Public searches only return published items:
+ * status defaults to published, and other statuses need the API key (401).
+ *
+ * Query parameters:
+ * - q: Search text (required)
+ * - types: Comma-separated content types to search (default: all)
+ * - status: Comma-separated statuses to include (e.g. published)
+ * - limit, offset: Pagination over the merged results
+ * - highlight: true adds highlighted snippets
+ * - fields, exclude: Projection applied to each result's data
+ * - locale: Search and return documents resolved in this locale
+ */
+router.get('/', async (req, res) => {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!q) {
+      return res.status(400).json({
+        error: 'Query parameter q is required'
+      });
+    }
+
+    const allTypes = await validator.listContentTypes();
+    const types = req.query.types ? parseList(req.query.types) : allTypes;
+    const unknownTypes = types.filter(type => !allTypes.includes(type));
+    if (unknownTypes.length > 0) {
+      return res.status(400).json({
+        error: `Unknown content type(s): ${unknownTypes.join(', ')}`
+      });
+    }
+
+    let statuses = req.query.status ? parseList(req.query.status) : [];
+    if (req.isPublic) {
+      if (statuses.length === 0) {
+        statuses = ['published'];
+      } else if (statuses.some(status => status !== 'published')) {
+        return res.status(401).json({
+          error: 'Authentication required to search items that are not published'
+        });
+      }
+    }
+    const pageQuery = Object.fromEntries(
+      PAGE_PARAMETERS.filter(key => req.query[key] !== undefined).map(key => [key, req.query[key]])
+    );
+    const { limit, offset, highlight, fields, exclude, locale } = parseQuery(pageQuery);
+
+    // Collect matches from every type, then rank them together
+    const results = [];
+    for (const type of types) {
+      const rank = await searchIndex.search(type, q, locale);
+      if (rank.size === 0) {
+        continue;
+      }
+      const filters = statuses.length > 0 ? { status: { in: statuses } } : {};
+      const localizedFields = locale ? await validator.getLocalizedFields(type) : [];
+      const localize = locale ? item => locales.localizeItem(item, locale, localizedFields) : null;
+      const { data } = await fileHandler.listContent(type, { rank, filters, localize });
+      data.forEach(item => results.push({ type, score: rank.get(item.id), item }));
+    }
+
+    results.sort((a, b) =>
+      b.score - a.score ||
+      a.type.localeCompare(b.type) ||
+      String(a.item.id).localeCompare(String(b.item.id))
+    );
+
+    const total = results.length;
+    const page = limit ? results.slice(offset, offset + limit) : results.slice(offset);
+
+    const data = [];
+    for (const { type, score, item } of page) {
+      const result = { type, score, data: projectItem(item, fields, exclude) };
+      if (highlight) {
+        [result.highlights] = await searchIndex.highlight(type, [item], q);
+      }
+      data.push(result);
+    }
+
+    if (locale) {
+      res.set('Content-Language', locale);
+    }
+    res.json({
+      data,
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: limit ? offset + limit < total : false
+      }
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_QUERY') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error searching content:', error);
+    res.status(500).json({
+      error: 'Failed to search content',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,283 @@
+const express = require('express');
+const webhookHandler = require('../utils/webhookHandler');
+
+const router = express.Router();
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+/**
+ * Hooks are returned without their secret, which is only shown when it is set
+ */
+function withoutSecret({ secret, ...hook }) {
+  return hook;
+}
+
+function sendInvalidWebhook(res, error) {
+  return res.status(400).json({
+    error: error.message,
+    details: error.details
+  });
+}
+
+/**
+ * Shared handler for the delivery log, optionally for one hook
+ */
+async function sendDeliveries(req, res, webhookId) {
+  const { status, event } = req.query;
+  if (status && !DELIVERY_STATUSES.includes(status)) {
+    return res.status(400).json({
+      error: `status must be one of: ${DELIVERY_STATUSES.join(', ')}`
+    });
+  }
+
+  const limit = parseInt(req.query.limit, 10) > 0 ? parseInt(req.query.limit, 10) : 50;
+  const offset = parseInt(req.query.offset, 10) > 0 ? parseInt(req.query.offset, 10) : 0;
+  res.json(await webhookHandler.listDeliveries({ webhookId, status, event, limit, offset }));
+}
+
+/**
+ * GET /api/webhooks
+ * List configured webhooks
+ */
+router.get('/', async (req, res) => {
+  try {
+    const hooks = await webhookHandler.listWebhooks();
+    res.json({ data: hooks.map(withoutSecret) });
+  } catch (error) {
+    console.error('Error listing webhooks:', error);
+    res.status(500).json({
+      error: 'Failed to list webhooks',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/webhooks
+ * Add a webhook
+ *
+ * Body: { url, events, types, secret, enabled, description }
+ * The response includes the secret (generated unless given).
+ */
+router.post('/', async (req, res) => {
+  try {
+    const hook = await webhookHandler.createWebhook(req.body || {});
+    res.status(201).json(hook);
+  } catch (error) {
+    if (error.code === 'INVALID_WEBHOOK') {
+      return sendInvalidWebhook(res, error);
+    }
+    console.error('Error creating webhook:', error);
+    res.status(500).json({
+      error: 'Failed to create webhook',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/webhooks/_deliveries
+ * List deliveries to all webhooks, newest first
+ *
+ * Query parameters:
+ * - status: pending | delivered | failed
+ * - event: e.g. content.publish
+ * - limit: Deliveries per page (default 50)
+ * - offset: Deliveries to skip
+ */
+router.get('/_deliveries', async (req, res) => {
+  try {
+    await sendDeliveries(req, res, null);
+  } catch (error) {
+    console.error('Error listing webhook deliveries:', error);
+    res.status(500).json({
+      error: 'Failed to list webhook deliveries',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/webhooks/_deliveries/:deliveryId
+ * Get a delivery with its payload and attempts
+ */
+router.get('/_deliveries/:deliveryId', async (req, res) => {
+  try {
+    const delivery = await webhookHandler.getDelivery(req.params.deliveryId);
+    if (!delivery) {
+      return res.status(404).json({
+        error: `Delivery not found: ${req.params.deliveryId}`
+      });
+    }
+
+    res.json(delivery);
+  } catch (error) {
+    console.error('Error getting webhook delivery:', error);
+    res.status(500).json({
+      error: 'Failed to get webhook delivery',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/webhooks/_deliveries/:deliveryId/redeliver
+ * Send a delivery's event again, as a new delivery (pending and failed deliveries only)
+ */
+router.post('/_deliveries/:deliveryId/redeliver', async (req, res) => {
+  try {
+    const delivery = await webhookHandler.getDelivery(req.params.deliveryId);
+    if (!delivery) {
+      return res.status(404).json({
+        error: `Delivery not found: ${req.params.deliveryId}`
+      });
+    }
+    const hook = await webhookHandler.getWebhook(delivery.webhookId);
+    if (!hook) {
+      return res.status(404).json({
+        error: `Webhook not found: ${delivery.webhookId}`
+      });
+    }
+    if (!hook.enabled) {
+      return res.status(409).json({
+        error: `Webhook ${hook.id} is disabled`
+      });
+    }
+
+    const redelivered = await webhookHandler.redeliver(delivery, hook);
+    if (!redelivered) {
+      return res.status(409).json({
+        error: `Delivery ${delivery.id} succeeded and its payload is no longer kept`
+      });
+    }
+
+    res.status(202).json(redelivered);
+  } catch (error) {
+    console.error('Error redelivering webhook:', error);
+    res.status(500).json({
+      error: 'Failed to redeliver webhook',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/webhooks/:id
+ * Get a webhook
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const hook = await webhookHandler.getWebhook(req.params.id);
+    if (!hook) {
+      return res.status(404).json({
+        error: `Webhook not found: ${req.params.id}`
+      });
+    }
+
+    res.json(withoutSecret(hook));
+  } catch (error) {
+    console.error('Error getting webhook:', error);
+    res.status(500).json({
+      error: 'Failed to get webhook',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/webhooks/:id
+ * Update a webhook; fields left out keep their values
+ * The response includes the secret only when the body sets a new one.
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const hook = await webhookHandler.updateWebhook(req.params.id, body);
+    if (!hook) {
+      return res.status(404).json({
+        error: `Webhook not found: ${req.params.id}`
+      });
+    }
+
+    res.json(body.secret !== undefined ? hook : withoutSecret(hook));
+  } catch (error) {
+    if (error.code === 'INVALID_WEBHOOK') {
+      return sendInvalidWebhook(res, error);
+    }
+    console.error('Error updating webhook:', error);
+    res.status(500).json({
+      error: 'Failed to update webhook',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/webhooks/:id
+ * Remove a webhook; its delivery log is kept
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!(await webhookHandler.deleteWebhook(req.params.id))) {
+      return res.status(404).json({
+        error: `Webhook not found: ${req.params.id}`
+      });
+    }
+
+    res.json({
+      message: `Webhook ${req.params.id} deleted`
+    });
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.status(500).json({
+      error: 'Failed to delete webhook',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/webhooks/:id/ping
+ * Send a test `ping` event to a webhook
+ */
+router.post('/:id/ping', async (req, res) => {
+  try {
+    const hook = await webhookHandler.getWebhook(req.params.id);
+    if (!hook) {
+      return res.status(404).json({
+        error: `Webhook not found: ${req.params.id}`
+      });
+    }
+    if (!hook.enabled) {
+      return res.status(409).json({
+        error: `Webhook ${req.params.id} is disabled`
+      });
+    }
+
+    res.status(202).json(await webhookHandler.pingWebhook(hook));
+  } catch (error) {
+    console.error('Error pinging webhook:', error);
+    res.status(500).json({
+      error: 'Failed to ping webhook',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/webhooks/:id/deliveries
+ * List deliveries to one webhook, newest first (same query parameters as /_deliveries)
+ */
+router.get('/:id/deliveries', async (req, res) => {
+  try {
+    await sendDeliveries(req, res, req.params.id);
+  } catch (error) {
+    console.error('Error listing webhook deliveries:', error);
+    res.status(500).json({
+      error: 'Failed to list webhook deliveries',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
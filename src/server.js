@@ -5,11 +5,21 @@ const authMiddleware = require('./middleware/auth');
 const contentRoutes = require('./routes/content');
 const mediaRoutes = require('./routes/media');
 const schemaRoutes = require('./routes/schema');
+const searchRoutes = require('./routes/search');
+const archiveRoutes = require('./routes/archive');
+const webhookRoutes = require('./routes/webhooks');
+const eventRoutes = require('./routes/events');
+const scheduler = require('./utils/scheduler');
+const trashHandler = require('./utils/trashHandler');
+const contentIndex = require('./utils/contentIndex');
+const gitHandler = require('./utils/gitHandler');
+const webhookHandler = require('./utils/webhookHandler');
+const eventStream = require('./utils/eventStream');
 
 const app = express();
 
 // Middleware
-app.use(express.json());
+app.use(express.json({ limit: config.jsonBodyLimit }));
 
 // Apply authentication middleware to all API routes
 app.use('/api', (req, res, next) => {
@@ -19,10 +29,14 @@ app.use('/api', (req, res, next) => {
   }
   
   // If PUBLIC_GET_ENABLED is true, allow GET requests without auth
-  // All write operations (POST, PUT, DELETE) always require auth
+  // All write operations (POST, PUT, DELETE) always require auth, and so do
+  // exports, which include drafts and version history, and webhooks
   // Normalize method to uppercase to ensure consistent comparison
   const method = req.method.toUpperCase();
-  if (config.publicGetEnabled && method === 'GET') {
+  const isPrivate = req.path === '/_export' || /^\/webhooks(\/|$)/.test(req.path);
+  if (config.publicGetEnabled && method === 'GET' && !isPrivate) {
+    // Routes that show less to anonymous callers check req.isPublic (see routes/search.js)
+    req.isPublic = !authMiddleware.hasApiKey(req);
     return next();
   }
   
@@ -40,6 +54,10 @@ app.use(express.static(publicDir));
 app.use('/api/content', contentRoutes);
 app.use('/api/media', mediaRoutes);
 app.use('/api/schema', schemaRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api', archiveRoutes);
 
 // Admin UI entry point
 app.get('/admin', (req, res, next) => {
@@ -74,13 +92,29 @@ app.use((req, res) => {
 });
 
 /**
- * Start the server
+ * Start the server, with scheduled publishing, trash purging, git storage,
+ * webhooks and the event stream (all stopped again when the server closes)
+ * @param {number} port - Port to listen on (default PORT; 0 for any free port)
  */
-function startServer() {
-  const server = app.listen(config.port, () => {
-    console.log(`FlatCMS server running on port ${config.port}`);
+function startServer(port = config.port) {
+  const server = app.listen(port, () => {
+    console.log(`FlatCMS server running on port ${server.address().port}`);
     console.log(`Content directory: ${config.contentDir}`);
     console.log(`Schema file: ${config.schemaFile}`);
+    scheduler.start();
+    trashHandler.startAutoPurge();
+    gitHandler.start();
+    webhookHandler.start();
+    eventStream.start();
+  });
+  
+  server.on('close', () => {
+    scheduler.stop();
+    trashHandler.stopAutoPurge();
+    gitHandler.stop();
+    webhookHandler.stop();
+    eventStream.stop();
+    contentIndex.clear();
   });
   
   return server;
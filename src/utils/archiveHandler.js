@@ -0,0 +1,362 @@
+const fs = require('fs-extra');
+const path = require('path');
+const readline = require('readline');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const fileHandler = require('./fileHandler');
+const validator = require('./validator');
+const versionHandler = require('./versionHandler');
+const mediaHandler = require('./mediaHandler');
+const bulkHandler = require('./bulkHandler');
+const { queryError } = require('./queryParser');
+
+/**
+ * Content archives for moving content between FlatCMS instances
+ *
+ * An archive is NDJSON: one JSON record per line, starting with a header.
+ *
+ *   { "kind": "header", "format": "flatcms-archive", "version": 1, "exportedAt": "...", "types": [...], ... }
+ *   { "kind": "content", "type": "post", "data": { "id": "...", ... } }
+ *   { "kind": "version", "type": "post", "id": "...", "data": { "versionId": "...", ... } }
+ *   { "kind": "media", "metadata": { "type": "general", "filename": "...", ... }, "data": "<base64>" }
+ *
+ * Versions follow the content record of their item. Only stored content is
+ * exported: trash, temporary uploads and indexes are not part of an archive.
+ */
+
+const ARCHIVE_FORMAT = 'flatcms-archive';
+const ARCHIVE_VERSION = 1;
+
+// How an import treats items that already exist (same type and id)
+// - skip: keep the existing item
+// - overwrite: replace it with the archived document
+// - merge: write the archived fields over it, keeping fields the archive lacks
+const IMPORT_STRATEGIES = ['skip', 'overwrite', 'merge'];
+
+// Ids, media types and filenames become file names, so they must not leave their directory
+function isSafeSegment(value) {
+  return typeof value === 'string' && value !== '' && value !== '.' && value !== '..' && !/[/\\\0]/.test(value);
+}
+
+/**
+ * Write one record, waiting for the stream to drain when its buffer is full
+ * Throws once the stream is closed (e.g. the client disconnected).
+ */
+async function writeRecord(output, record) {
+  if (output.destroyed) {
+    throw new Error('Output closed before the archive was written');
+  }
+  if (!output.write(`${JSON.stringify(record)}\n`)) {
+    await new Promise((resolve, reject) => {
+      const onDrain = () => {
+        output.off('close', onClose);
+        resolve();
+      };
+      const onClose = () => {
+        output.off('drain', onDrain);
+        reject(new Error('Output closed before the archive was written'));
+      };
+      output.once('drain', onDrain);
+      output.once('close', onClose);
+    });
+  }
+}
+
+/**
+ * Check the types requested for an export against the schema
+ * Throws with code INVALID_QUERY for unknown types
+ * @param {array|null} types - Requested types; null or empty means all types
+ */
+async function resolveExportTypes(types) {
+  const known = await validator.listContentTypes();
+  if (!types || types.length === 0) {
+    return known;
+  }
+  const unknown = types.filter(type => !known.includes(type));
+  if (unknown.length > 0) {
+    throw queryError(`Unknown content type(s): ${unknown.join(', ')}`);
+  }
+  return types;
+}
+
+/**
+ * Write an archive of stored content to a stream
+ * @param {stream.Writable} output - Destination (not ended here)
+ * @param {object} options
+ * - types: content types to export (default: all types in the schema)
+ * - versions: include each item's version history
+ * - media: include media files and their metadata
+ * @returns {object} - Counts of exported { content, versions, media }
+ */
+async function exportArchive(output, options = {}) {
+  const types = await resolveExportTypes(options.types);
+  const counts = { content: 0, versions: 0, media: 0 };
+
+  await writeRecord(output, {
+    kind: 'header',
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: new Date().toISOString(),
+    types,
+    versions: Boolean(options.versions),
+    media: Boolean(options.media)
+  });
+
+  for (const type of types) {
+    const { data } = await fileHandler.listContent(type, {});
+    for (const item of data) {
+      await writeRecord(output, { kind: 'content', type, data: item });
+      counts.content++;
+
+      if (options.versions) {
+        for (const version of await versionHandler.listVersions(type, item.id)) {
+          await writeRecord(output, { kind: 'version', type, id: item.id, data: version });
+          counts.versions++;
+        }
+      }
+    }
+  }
+
+  if (options.media) {
+    for (const metadata of await mediaHandler.listMedia()) {
+      const { path: filePath, ...exported } = metadata;
+      try {
+        const file = await fs.readFile(mediaHandler.getMediaFilePath(metadata.type, metadata.filename));
+        await writeRecord(output, { kind: 'media', metadata: exported, data: file.toString('base64') });
+        counts.media++;
+      } catch (error) {
+        console.warn(`Warning: Could not export media file ${metadata.type}/${metadata.filename}:`, error.message);
+      }
+    }
+  }
+
+  return counts;
+}
+
+/**
+ * Read and check the records of an archive
+ * Media files are decoded into spoolDir (when given) so they are not kept in memory.
+ * @returns {object} - { contents, versions, media, errors }
+ */
+async function readArchive(input, spoolDir) {
+  const knownTypes = await validator.listContentTypes();
+  const contents = [];
+  const versions = [];
+  const media = [];
+  const errors = [];
+  const seen = new Set();
+  let header = null;
+  let line = 0;
+
+  const reader = readline.createInterface({ input, crlfDelay: Infinity });
+  for await (const text of reader) {
+    line++;
+    if (text.trim() === '') {
+      continue;
+    }
+
+    let record;
+    try {
+      record = JSON.parse(text);
+    } catch (error) {
+      errors.push({ line, status: 400, error: `Invalid JSON: ${error.message}` });
+      continue;
+    }
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      errors.push({ line, status: 400, error: 'Record must be a JSON object' });
+      continue;
+    }
+
+    if (!header) {
+      if (record.kind !== 'header' || record.format !== ARCHIVE_FORMAT) {
+        errors.push({ line, status: 400, error: `Not a FlatCMS archive: the first record must be a "${ARCHIVE_FORMAT}" header` });
+        break;
+      }
+      if (record.version > ARCHIVE_VERSION) {
+        errors.push({ line, status: 400, error: `Unsupported archive version ${record.version} (expected at most ${ARCHIVE_VERSION})` });
+        break;
+      }
+      header = record;
+      continue;
+    }
+
+    if (record.kind === 'content') {
+      const { type, data } = record;
+      const id = data && data.id;
+      if (!knownTypes.includes(type)) {
+        errors.push({ line, type, id, status: 400, error: `Unknown content type: ${type}` });
+      } else if (!data || typeof data !== 'object' || Array.isArray(data) || !isSafeSegment(id)) {
+        errors.push({ line, type, id, status: 400, error: 'Content record requires a data object with a valid id' });
+      } else if (seen.has(`${type}/${id}`)) {
+        errors.push({ line, type, id, status: 400, error: `Duplicate content record: ${type}/${id}` });
+      } else {
+        seen.add(`${type}/${id}`);
+        contents.push({ line, type, id, data });
+      }
+    } else if (record.kind === 'version') {
+      const { type, id, data } = record;
+      if (!seen.has(`${type}/${id}`)) {
+        errors.push({ line, type, id, status: 400, error: 'Version record must follow the content record of its item' });
+      } else if (!data || typeof data !== 'object' || !isSafeSegment(data.versionId)) {
+        errors.push({ line, type, id, status: 400, error: 'Version record requires data with a valid versionId' });
+      } else {
+        versions.push({ line, type, id, data });
+      }
+    } else if (record.kind === 'media') {
+      const { metadata, data } = record;
+      if (!metadata || !isSafeSegment(metadata.type) || !isSafeSegment(metadata.filename) || typeof data !== 'string') {
+        errors.push({ line, status: 400, error: 'Media record requires metadata with a type and filename, and base64 data' });
+      } else {
+        const entry = { line, metadata, spoolPath: null };
+        if (spoolDir) {
+          entry.spoolPath = path.join(spoolDir, `${media.length}`);
+          await fs.writeFile(entry.spoolPath, Buffer.from(data, 'base64'));
+        }
+        media.push(entry);
+      }
+    } else {
+      errors.push({ line, status: 400, error: `Unknown record kind: ${record.kind}` });
+    }
+  }
+
+  if (!header && errors.length === 0) {
+    errors.push({ line, status: 400, error: 'Archive is empty' });
+  }
+
+  return { contents, versions, media, errors };
+}
+
+/**
+ * Work out the write for each archived document and validate it
+ * Documents are checked in order against a working copy of each type, so
+ * unique fields must be unique among the archive as well as the stored items.
+ * @returns {object} - { plan, conflicts, skipped, errors }
+ */
+async function planImport(contents, strategy) {
+  const workingSets = {};
+  const plan = [];
+  const conflicts = [];
+  const skipped = new Set();
+  const errors = [];
+
+  async function getWorkingSet(type) {
+    if (!workingSets[type]) {
+      const { data } = await fileHandler.listContent(type, {});
+      workingSets[type] = new Map(data.map(item => [item.id, item]));
+    }
+    return workingSets[type];
+  }
+
+  for (const { line, type, id, data } of contents) {
+    const workingSet = await getWorkingSet(type);
+    const existing = workingSet.get(id);
+
+    if (existing && strategy === 'skip') {
+      conflicts.push({ type, id, resolution: 'skipped' });
+      skipped.add(`${type}/${id}`);
+      continue;
+    }
+
+    const candidate = existing && strategy === 'merge' ? { ...existing, ...data, id } : data;
+
+    const validation = await validator.validateContent(type, candidate);
+    if (!validation.valid) {
+      errors.push({ line, type, id, status: 400, error: 'Validation failed', details: validation.errors });
+      continue;
+    }
+
+    const uniquenessValidation = await validator.validateUniqueness(type, candidate, id, Array.from(workingSet.values()));
+    if (!uniquenessValidation.valid) {
+      errors.push({ line, type, id, status: 409, error: 'Uniqueness validation failed', details: uniquenessValidation.errors });
+      continue;
+    }
+
+    workingSet.set(id, candidate);
+    if (!existing) {
+      plan.push({ op: 'create', type, id, data });
+    } else {
+      const op = strategy === 'merge' ? 'update' : 'replace';
+      conflicts.push({ type, id, resolution: strategy === 'merge' ? 'merged' : 'overwritten' });
+      plan.push({ op, type, id, data });
+    }
+  }
+
+  return { plan, conflicts, skipped, errors };
+}
+
+/**
+ * Import an archive written by exportArchive
+ * Every document is validated against the schema before anything is written;
+ * if any record is invalid, nothing is imported. Content is written
+ * all-or-nothing (see bulkHandler.executePlan), then versions and media files.
+ * @param {stream.Readable} input - NDJSON archive
+ * @param {object} options
+ * - strategy: skip | overwrite | merge for items that already exist (default skip)
+ * - dryRun: validate and report without writing
+ * @returns {object} - Report: { valid, dryRun, strategy, summary, conflicts, errors }
+ */
+async function importArchive(input, options = {}) {
+  const strategy = options.strategy || 'skip';
+  if (!IMPORT_STRATEGIES.includes(strategy)) {
+    throw queryError(`Unknown import strategy: ${strategy}. Expected one of ${IMPORT_STRATEGIES.join(', ')}`);
+  }
+  const dryRun = Boolean(options.dryRun);
+
+  const spoolDir = dryRun ? null : path.join(config.mediaDir, '.temp', `import-${uuidv4()}`);
+  if (spoolDir) {
+    await fs.ensureDir(spoolDir);
+  }
+
+  try {
+    const archive = await readArchive(input, spoolDir);
+    const { plan, conflicts, skipped, errors } = await planImport(archive.contents, strategy);
+    errors.push(...archive.errors);
+    errors.sort((a, b) => a.line - b.line);
+
+    const versions = archive.versions.filter(({ type, id }) => !skipped.has(`${type}/${id}`));
+    const summary = {
+      created: plan.filter(step => step.op === 'create').length,
+      overwritten: conflicts.filter(conflict => conflict.resolution === 'overwritten').length,
+      merged: conflicts.filter(conflict => conflict.resolution === 'merged').length,
+      skipped: skipped.size,
+      versions: versions.length,
+      media: archive.media.length
+    };
+    const report = { valid: errors.length === 0, dryRun, strategy, summary, conflicts, errors };
+    if (!report.valid || dryRun) {
+      return report;
+    }
+
+    await bulkHandler.executePlan(plan);
+
+    summary.versions = 0;
+    for (const { type, id, data } of versions) {
+      if (await versionHandler.importVersion(type, id, data)) {
+        summary.versions++;
+      }
+    }
+
+    summary.media = 0;
+    for (const { metadata, spoolPath } of archive.media) {
+      const imported = await mediaHandler.importMedia(metadata, spoolPath, { overwrite: strategy !== 'skip' });
+      if (imported) {
+        summary.media++;
+      } else {
+        conflicts.push({ media: `${metadata.type}/${metadata.filename}`, resolution: 'skipped' });
+      }
+    }
+
+    return report;
+  } finally {
+    if (spoolDir) {
+      await fs.remove(spoolDir);
+    }
+  }
+}
+
+module.exports = {
+  ARCHIVE_FORMAT,
+  IMPORT_STRATEGIES,
+  exportArchive,
+  importArchive
+};
@@ -0,0 +1,60 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Write JSON to disk so readers only ever see the old or the new file
+ * Data goes to a temporary file in the same directory, is fsynced, and is then
+ * renamed over the target. A crash mid-write leaves at worst a stray hidden
+ * `.tmp` file, never a truncated `.json` file.
+ * @param {string} filePath - Target file
+ * @param {*} data - JSON-serializable data
+ */
+async function writeJsonAtomic(filePath, data) {
+  const dir = path.dirname(filePath);
+  const suffix = `${process.pid}.${crypto.randomBytes(6).toString('hex')}`;
+  const tempPath = path.join(dir, `.${path.basename(filePath)}.${suffix}.tmp`);
+  const json = `${JSON.stringify(data, null, 2)}\n`;
+
+  await fs.ensureDir(dir);
+
+  let handle;
+  try {
+    handle = await fs.promises.open(tempPath, 'w');
+    await handle.writeFile(json, 'utf8');
+    await handle.sync();
+    await handle.close();
+    handle = null;
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    if (handle) {
+      await handle.close().catch(() => {});
+    }
+    await fs.remove(tempPath).catch(() => {});
+    throw error;
+  }
+
+  await syncDir(dir);
+}
+
+/**
+ * Flush a directory entry so a completed rename survives a power loss
+ * Not every platform allows opening directories; failures there are ignored.
+ */
+async function syncDir(dir) {
+  let handle;
+  try {
+    handle = await fs.promises.open(dir, 'r');
+    await handle.sync();
+  } catch (error) {
+    // EISDIR/EPERM/EINVAL on platforms without directory fsync
+  } finally {
+    if (handle) {
+      await handle.close().catch(() => {});
+    }
+  }
+}
+
+module.exports = {
+  writeJsonAtomic
+};
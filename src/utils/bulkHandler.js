@@ -0,0 +1,233 @@
+const { v4: uuidv4 } = require('uuid');
+const fileHandler = require('./fileHandler');
+const validator = require('./validator');
+const events = require('./events');
+const trashHandler = require('./trashHandler');
+const referenceHandler = require('./referenceHandler');
+const { applyComputedFields, getChanges } = require('./computedFields');
+
+const OPERATIONS = ['create', 'update', 'delete'];
+
+/**
+ * Validate a batch of bulk operations without writing anything
+ * Operations are checked in order against a working copy of each type, so
+ * uniqueness is enforced among the batch itself as well as against stored items.
+ * @param {array} operations - [{ op, type, id, data }]
+ * @param {string} defaultType - Type used when an operation does not name one
+ * Deletes are checked against references to the deleted items as the batch
+ * leaves them (see referenceHandler); cascaded deletes and removed references
+ * are added to the plan, and a delete is refused if removing a reference would
+ * leave the referencing item invalid.
+ * @returns {object} - { valid, results, plan, cascade: { deleted, unlinked } }
+ */
+async function validateOperations(operations, defaultType = null) {
+  const workingSets = {};
+  const results = [];
+  const plan = [];
+
+  // Load each type once instead of once per operation
+  async function getWorkingSet(type) {
+    if (!workingSets[type]) {
+      const { data } = await fileHandler.listContent(type, {});
+      workingSets[type] = new Map(data.map(item => [item.id, item]));
+    }
+    return workingSets[type];
+  }
+
+  for (const [index, operation] of operations.entries()) {
+    const op = operation && operation.op;
+    const type = (operation && operation.type) || defaultType;
+    const result = { index, op, type, id: (operation && operation.id) || null };
+    results.push(result);
+
+    if (!OPERATIONS.includes(op)) {
+      Object.assign(result, { status: 400, error: `Unknown operation: ${op}. Expected one of ${OPERATIONS.join(', ')}` });
+      continue;
+    }
+    if (!type) {
+      Object.assign(result, { status: 400, error: 'Operation is missing a content type' });
+      continue;
+    }
+    if (op !== 'update' && await validator.isSingleton(type)) {
+      Object.assign(result, { status: 405, error: `${type} is a singleton content type; only update operations are allowed` });
+      continue;
+    }
+    if (op !== 'create' && !operation.id) {
+      Object.assign(result, { status: 400, error: `${op} operation requires an id` });
+      continue;
+    }
+    if (op !== 'delete' && (!operation.data || typeof operation.data !== 'object' || Array.isArray(operation.data))) {
+      Object.assign(result, { status: 400, error: `${op} operation requires a data object` });
+      continue;
+    }
+
+    const workingSet = await getWorkingSet(type);
+
+    if (op === 'delete') {
+      if (!workingSet.has(operation.id)) {
+        Object.assign(result, { status: 404, error: `Content item not found: ${type}/${operation.id}` });
+        continue;
+      }
+      workingSet.delete(operation.id);
+      result.status = 200;
+      plan.push({ op, type, id: operation.id });
+      continue;
+    }
+
+    let id;
+    let merged;
+    if (op === 'create') {
+      id = operation.data.id || uuidv4();
+      if (workingSet.has(id)) {
+        Object.assign(result, { id, status: 409, error: `Content with ID ${id} already exists` });
+        continue;
+      }
+      merged = await validator.applyDefaults(type, operation.data);
+    } else {
+      id = operation.id;
+      const existing = workingSet.get(id);
+      if (!existing) {
+        Object.assign(result, { status: 404, error: `Content item not found: ${type}/${id}` });
+        continue;
+      }
+      merged = { ...existing, ...operation.data, id };
+    }
+    result.id = id;
+
+    // Computed fields (slugs are kept free among the batch too)
+    const candidate = await applyComputedFields(type, merged, { id, existingItems: Array.from(workingSet.values()) });
+
+    const validation = await validator.validateContent(type, candidate);
+    if (!validation.valid) {
+      Object.assign(result, { status: 400, error: 'Validation failed', details: validation.errors });
+      continue;
+    }
+
+    const uniquenessValidation = await validator.validateUniqueness(type, candidate, id, Array.from(workingSet.values()));
+    if (!uniquenessValidation.valid) {
+      Object.assign(result, { status: 409, error: 'Uniqueness validation failed', details: uniquenessValidation.errors });
+      continue;
+    }
+
+    workingSet.set(id, { ...candidate, id });
+    result.status = op === 'create' ? 201 : 200;
+    plan.push({
+      op,
+      type,
+      id,
+      data: op === 'create' ? { ...candidate, id } : { ...operation.data, ...getChanges(merged, candidate) }
+    });
+  }
+
+  // Deletes follow the onDelete policies of references to the deleted items
+  const cascade = { deleted: [], unlinked: [] };
+  const deleteTargets = plan.filter(step => step.op === 'delete').map(({ type, id }) => ({ type, id }));
+  if (deleteTargets.length > 0 && results.every(result => !result.error)) {
+    const deletePlan = await referenceHandler.planDelete(deleteTargets, {
+      getItems: async type => Array.from((await getWorkingSet(type)).values())
+    });
+    const isFor = result => referrer => referrer.refType === result.type && referrer.refId === result.id;
+    for (const result of results.filter(result => result.op === 'delete')) {
+      const referrers = deletePlan.blocked.filter(isFor(result));
+      const invalid = deletePlan.invalid.filter(isFor(result));
+      if (referrers.length > 0) {
+        Object.assign(result, {
+          status: 409,
+          error: `Content item ${result.type}/${result.id} is still referenced`,
+          referrers: referrers.map(({ type, id, field }) => ({ type, id, field }))
+        });
+      } else if (invalid.length > 0) {
+        Object.assign(result, {
+          status: 409,
+          error: `Removing references to ${result.type}/${result.id} would make the referencing items invalid`,
+          referrers: invalid.map(({ type, id, field, details }) => ({ type, id, field, details }))
+        });
+      }
+    }
+    plan.push(...referenceHandler.getCascadeSteps(deletePlan));
+    cascade.deleted = deletePlan.cascaded;
+    cascade.unlinked = deletePlan.unlinked;
+  }
+
+  return {
+    valid: results.every(result => !result.error),
+    results,
+    plan,
+    cascade
+  };
+}
+
+/**
+ * Apply a validated plan all-or-nothing
+ * Every write records how to undo itself; if any write fails, completed writes
+ * are undone in reverse order and the original error is rethrown.
+ * Deleted items go to the trash and are restored from it on rollback, and
+ * 'content' events are only emitted once the whole batch is committed.
+ * Besides create/update/delete, a plan can hold 'replace' steps, which write
+ * data as the complete document (see archiveHandler), and 'unlink' steps, which
+ * remove the reference to refId from an item's field (see referenceHandler).
+ * Delete steps can carry an ifMatch value.
+ * @param {array} plan - Plan returned by validateOperations
+ * @returns {array} - Written documents (trash entries for deletes), in plan order
+ */
+async function executePlan(plan) {
+  const undoSteps = [];
+  const written = [];
+  const pendingEvents = [];
+
+  try {
+    for (const { op, type, id, data, field, refId, ifMatch } of plan) {
+      if (op === 'create') {
+        const content = await fileHandler.createContent(type, data, { silent: true });
+        undoSteps.push(() => fileHandler.revertContent(type, id, null));
+        pendingEvents.push({ action: 'create', type, id, content, previous: null });
+        written.push(content);
+      } else if (op === 'update' || op === 'replace' || op === 'unlink') {
+        // The document and snapshot replaced by the write, as seen under the item's lock
+        let undo = null;
+        const options = { silent: true, onWrite: write => { undo = write; } };
+        let updated;
+        if (op === 'update') {
+          updated = await fileHandler.updateContent(type, id, data, options);
+        } else if (op === 'replace') {
+          updated = await fileHandler.replaceContent(type, id, data, options);
+        } else {
+          const original = await fileHandler.getContent(type, id);
+          updated = original && await fileHandler.replaceContent(type, id, referenceHandler.removeReference(original, field, refId), options);
+        }
+        if (!updated) {
+          throw new Error(`Content item not found: ${type}/${id}`);
+        }
+        undoSteps.push(() => fileHandler.revertContent(type, id, undo.existing, undo.versionId));
+        pendingEvents.push({ action: 'update', type, id, content: updated, previous: undo.existing });
+        written.push(updated);
+      } else {
+        const original = await fileHandler.getContent(type, id);
+        const entry = await fileHandler.deleteContent(type, id, { silent: true, ifMatch });
+        if (!entry) {
+          throw new Error(`Content item not found: ${type}/${id}`);
+        }
+        undoSteps.push(() => trashHandler.restoreEntry(type, entry.trashId, { silent: true }));
+        pendingEvents.push({ action: 'delete', type, id, content: null, previous: original });
+        written.push(entry);
+      }
+    }
+  } catch (error) {
+    for (const undo of undoSteps.reverse()) {
+      try {
+        await undo();
+      } catch (undoError) {
+        console.warn('Warning: Could not roll back bulk operation:', undoError.message);
+      }
+    }
+    throw error;
+  }
+
+  pendingEvents.forEach(event => events.emit('content', event));
+  return written;
+}
+
+module.exports = {
+  validateOperations,
+  executePlan
+};
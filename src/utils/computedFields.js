@@ -0,0 +1,244 @@
+const fileHandler = require('./fileHandler');
+const validator = require('./validator');
+const locales = require('./locales');
+
+/**
+ * Computed fields declared in the schema, applied to content before validation
+ *
+ * - "x-normalize": "trim" | "lowercase" | "uppercase" (or an array of them)
+ *   rewrites string values (and strings in arrays)
+ * - "x-slug": "<field>" generates a slug from another field when none is given;
+ *   on a unique field, "-2", "-3", ... is appended until the slug is free
+ * - "x-computed": { "readingTime": "<field>" } or { "wordCount": "<field>" }
+ *   derives minutes of reading / number of words from a (rich) text field,
+ *   recomputed on every save
+ *
+ * Normalizers run first, so slugs and metrics see the normalized values. Locale
+ * variants get their own slugs and metrics for localized fields.
+ */
+
+const NORMALIZERS = {
+  trim: value => value.trim(),
+  lowercase: value => value.toLowerCase(),
+  uppercase: value => value.toUpperCase()
+};
+
+const METRICS = ['readingTime', 'wordCount'];
+
+// Words per minute used for readingTime
+const READING_SPEED = 200;
+
+// Letters that do not decompose into a base letter plus accents
+const TRANSLITERATIONS = {
+  ß: 'ss', æ: 'ae', ø: 'o', œ: 'oe', ł: 'l', đ: 'd', þ: 'th', ð: 'd', ı: 'i'
+};
+
+/**
+ * Turn text into a URL slug ("Crème Brûlée!" -> "creme-brulee")
+ */
+function slugify(text) {
+  return String(text)
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[ßæøœłđþðı]/g, letter => TRANSLITERATIONS[letter])
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Count the words of a text, ignoring HTML markup
+ */
+function countWords(text) {
+  if (typeof text !== 'string') {
+    return 0;
+  }
+  const plain = text
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&[a-z0-9#]+;/gi, ' ');
+  return (plain.match(/[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu) || []).length;
+}
+
+function computeMetric(metric, text) {
+  const words = countWords(text);
+  return metric === 'wordCount' ? words : Math.ceil(words / READING_SPEED);
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function normalizeValue(value, normalizers) {
+  if (typeof value === 'string') {
+    return normalizers.reduce((result, name) => NORMALIZERS[name](result), value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(entry => normalizeValue(entry, normalizers));
+  }
+  return value;
+}
+
+/**
+ * Read the computed field declarations of a content type
+ * @returns {object} - { normalize: [{ field, normalizers }], slugs: [{ field, source, unique, localized }],
+ *   metrics: [{ field, metric, source, localized }] }
+ */
+async function getComputedFields(type) {
+  const definition = await validator.getSchemaDefinition(type);
+  const properties = (definition && definition.properties) || {};
+  const localizedFields = locales.getLocalizedFields(definition);
+  const declared = { normalize: [], slugs: [], metrics: [] };
+
+  for (const [field, property] of Object.entries(properties)) {
+    if (!property || typeof property !== 'object') {
+      continue;
+    }
+    const localized = localizedFields.includes(field);
+
+    if (property['x-normalize'] !== undefined) {
+      const normalizers = [].concat(property['x-normalize']).filter(name => NORMALIZERS[name]);
+      if (normalizers.length > 0) {
+        declared.normalize.push({ field, normalizers });
+      }
+    }
+
+    if (typeof property['x-slug'] === 'string') {
+      declared.slugs.push({ field, source: property['x-slug'], unique: property.unique === true, localized });
+    }
+
+    const computed = property['x-computed'];
+    if (computed && typeof computed === 'object') {
+      const metric = METRICS.find(name => typeof computed[name] === 'string');
+      if (metric) {
+        declared.metrics.push({ field, metric, source: computed[metric], localized });
+      }
+    }
+  }
+
+  return declared;
+}
+
+/**
+ * Find a slug not yet used by another item (in the given locale)
+ */
+function findFreeSlug(base, field, locale, items, excludeId) {
+  const taken = new Set(items
+    .filter(item => !excludeId || item.id !== excludeId)
+    .map(item => locales.getLocaleValue(item, field, locale))
+    .filter(value => typeof value === 'string')
+    .map(value => value.toLowerCase()));
+
+  let slug = base;
+  for (let suffix = 2; taken.has(slug); suffix++) {
+    slug = `${base}-${suffix}`;
+  }
+  return slug;
+}
+
+/**
+ * Apply normalizers, slugs and metrics to the fields of one locale
+ * @param {object} values - Document (default locale) or locale variant; modified in place
+ * @param {object} context - { id, getItems } where getItems lazily loads the items slugs must not collide with
+ */
+async function applyToValues(values, declared, locale, context) {
+  const isDefault = locale === locales.getDefaultLocale();
+
+  for (const { field, normalizers } of declared.normalize) {
+    if (values[field] !== undefined) {
+      values[field] = normalizeValue(values[field], normalizers);
+    }
+  }
+
+  for (const { field, source, unique, localized } of declared.slugs) {
+    if ((!isDefault && !localized) || !isEmpty(values[field]) || isEmpty(values[source])) {
+      continue;
+    }
+    const base = slugify(values[source]);
+    if (!base) {
+      continue;
+    }
+    values[field] = unique
+      ? findFreeSlug(base, field, locale, await context.getItems(), context.id)
+      : base;
+  }
+
+  for (const { field, metric, source, localized } of declared.metrics) {
+    if (!isDefault && (!localized || values[source] === undefined)) {
+      continue;
+    }
+    if (values[source] === undefined) {
+      delete values[field];
+    } else {
+      values[field] = computeMetric(metric, values[source]);
+    }
+  }
+}
+
+/**
+ * Apply the computed fields of a content type to content about to be saved
+ * @param {string} type - Content type
+ * @param {object} data - Complete content (after merging updates); not modified
+ * @param {object} options
+ * - id: ID of the item being updated (its own slug is not a collision)
+ * - existingItems: items to check slugs against instead of the stored content
+ * @returns {object} - Copy of data with computed fields applied
+ */
+async function applyComputedFields(type, data, options = {}) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return data;
+  }
+
+  const declared = await getComputedFields(type);
+  if (declared.normalize.length === 0 && declared.slugs.length === 0 && declared.metrics.length === 0) {
+    return data;
+  }
+
+  let items = options.existingItems || null;
+  const context = {
+    id: options.id || data.id || null,
+    getItems: async () => {
+      if (!items) {
+        items = (await fileHandler.listContent(type, {})).data;
+      }
+      return items;
+    }
+  };
+
+  const prepared = { ...data };
+  await applyToValues(prepared, declared, locales.getDefaultLocale(), context);
+
+  const variants = data[locales.LOCALES_FIELD];
+  if (variants && typeof variants === 'object' && !Array.isArray(variants)) {
+    prepared[locales.LOCALES_FIELD] = {};
+    for (const [locale, variant] of Object.entries(variants)) {
+      if (variant && typeof variant === 'object' && !Array.isArray(variant)) {
+        const values = { ...variant };
+        await applyToValues(values, declared, locale, context);
+        prepared[locales.LOCALES_FIELD][locale] = values;
+      } else {
+        // Invalid variants are left for validation to report
+        prepared[locales.LOCALES_FIELD][locale] = variant;
+      }
+    }
+  }
+
+  return prepared;
+}
+
+/**
+ * Get the top-level fields of prepared content that differ from the content it
+ * was prepared from, so updates can write them along with the requested changes
+ */
+function getChanges(before, after) {
+  return Object.keys(after)
+    .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+    .reduce((changes, field) => ({ ...changes, [field]: after[field] }), {});
+}
+
+module.exports = {
+  slugify,
+  countWords,
+  applyComputedFields,
+  getChanges
+};
@@ -0,0 +1,388 @@
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('../config');
+
+/**
+ * In-memory index of content items, one entry per content type
+ * A type is loaded from disk the first time it is listed and then kept current:
+ * - by our own writes (fileHandler calls setItem/removeItem after writing)
+ * - by fs.watch on the type directory, for files edited outside the API
+ *
+ * The index holds at most config.indexMaxMemory bytes (measured as JSON size)
+ * and MAX_TYPES types. Least recently used types are evicted to make room; a type
+ * that does not fit on its own is read from disk on every request, as if there
+ * were no index (no entry or watcher), until it is rebuilt. Types without a directory (no content yet, or a mistyped URL)
+ * are not indexed at all.
+ *
+ * Items returned by getItems are shared with the index and must not be mutated.
+ * Other in-memory structures (e.g. the search index) can follow changes with onChange.
+ */
+
+const WATCH_DEBOUNCE = 50; // ms to wait for an external write to settle
+const MAX_TYPES = 100; // Each indexed type holds a directory watcher
+
+// type -> { type, items: Map<id, { item, size }>, bytes, watcher, loading, ready, touched, timers }
+const entries = new Map();
+
+// Listeners for changes to indexed items (see onChange)
+const listeners = new Set();
+
+// Types too large to index, read from disk instead until rebuild() clears them
+const oversized = new Set();
+
+function getTypeDir(type) {
+  return path.join(config.contentDir, type);
+}
+
+/**
+ * Content files are `<id>.json`; hidden files (e.g. atomic write temp files) are ignored
+ */
+function getIdFromFilename(filename) {
+  if (!filename || filename.startsWith('.') || path.extname(filename) !== '.json') {
+    return null;
+  }
+  return path.basename(filename, '.json');
+}
+
+function getTotalBytes() {
+  let total = 0;
+  for (const entry of entries.values()) {
+    total += entry.bytes;
+  }
+  return total;
+}
+
+/**
+ * Read one content file
+ * @returns {object|null} - { item, size }, or null if the file is missing or not valid JSON
+ */
+async function readItem(type, filename) {
+  try {
+    const raw = await fs.readFile(path.join(getTypeDir(type), filename), 'utf8');
+    return { item: JSON.parse(raw), size: Buffer.byteLength(raw) };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      // Skip files that can't be parsed as JSON
+      console.warn(`Warning: Could not parse ${type}/${filename} as JSON`);
+    }
+    return null;
+  }
+}
+
+/**
+ * Read every content file of a type straight from disk
+ * @returns {Map} - id -> { item, size }
+ */
+async function readAll(type) {
+  const dir = getTypeDir(type);
+  await fs.ensureDir(dir);
+  const items = new Map();
+  for (const filename of await fs.readdir(dir)) {
+    const id = getIdFromFilename(filename);
+    if (!id) {
+      continue;
+    }
+    const read = await readItem(type, filename);
+    if (read) {
+      items.set(id, read);
+    }
+  }
+  return items;
+}
+
+function notify(change) {
+  for (const listener of listeners) {
+    listener(change);
+  }
+}
+
+function storeItem(entry, id, read) {
+  const previous = entry.items.get(id);
+  entry.bytes += read.size - (previous ? previous.size : 0);
+  entry.items.set(id, read);
+  notify({ type: entry.type, id, item: read.item });
+}
+
+function deleteItem(entry, id) {
+  const previous = entry.items.get(id);
+  if (previous) {
+    entry.bytes -= previous.size;
+    entry.items.delete(id);
+    notify({ type: entry.type, id, item: null });
+  }
+}
+
+/**
+ * Re-read a single file after the watcher reported a change
+ */
+async function refreshItem(type, filename) {
+  const entry = entries.get(type);
+  const id = getIdFromFilename(filename);
+  if (!entry || !id) {
+    return;
+  }
+
+  const read = await readItem(type, filename);
+  // The entry may have been evicted or rebuilt while reading
+  if (entries.get(type) !== entry) {
+    return;
+  }
+  if (entry.loading) {
+    entry.touched.add(id);
+  }
+  if (read) {
+    storeItem(entry, id, read);
+  } else {
+    deleteItem(entry, id);
+  }
+  enforceLimit(type);
+}
+
+function watchType(type, entry) {
+  try {
+    entry.watcher = fs.watch(getTypeDir(type), (eventType, filename) => {
+      if (!filename) {
+        // The platform did not say which file changed: reload the whole type
+        invalidate(type);
+        return;
+      }
+      if (!getIdFromFilename(filename)) {
+        return;
+      }
+      clearTimeout(entry.timers.get(filename));
+      entry.timers.set(filename, setTimeout(() => {
+        entry.timers.delete(filename);
+        refreshItem(type, filename).catch(error => {
+          console.warn(`Warning: Could not refresh ${type}/${filename}:`, error.message);
+        });
+      }, WATCH_DEBOUNCE));
+    });
+    entry.watcher.on('error', () => invalidate(type));
+    entry.watcher.unref();
+  } catch (error) {
+    // Without a watcher, external edits would go unnoticed, so don't cache the type
+    console.warn(`Warning: Could not watch ${type} for changes, it will not be indexed:`, error.message);
+    entry.watcher = null;
+    entry.unwatched = true;
+  }
+}
+
+/**
+ * Drop a type from the index; it is reloaded on next use
+ */
+function invalidate(type) {
+  const entry = entries.get(type);
+  if (!entry) {
+    return;
+  }
+  entries.delete(type);
+  if (entry.watcher) {
+    entry.watcher.close();
+  }
+  entry.timers.forEach(timer => clearTimeout(timer));
+  notify({ type, reset: true });
+}
+
+/**
+ * Evict least recently used types until the index fits in its memory ceiling
+ * and type count. The type that was just used is evicted last, or alone if it
+ * is too large to fit by itself.
+ */
+function enforceLimit(currentType) {
+  const limit = config.indexMaxMemory;
+  const isOverLimit = () => (limit && getTotalBytes() > limit) || entries.size > MAX_TYPES;
+  if (!isOverLimit()) {
+    return;
+  }
+
+  const current = entries.get(currentType);
+  if (limit && current && !current.loading && current.bytes > limit) {
+    // Evicting other types would not help
+    if (!oversized.has(currentType)) {
+      oversized.add(currentType);
+      console.warn(`Warning: ${currentType} content exceeds the index memory limit and will be read from disk`);
+    }
+    invalidate(currentType);
+    return;
+  }
+
+  for (const type of Array.from(entries.keys())) {
+    if (type !== currentType && !entries.get(type).loading) {
+      invalidate(type);
+      if (!isOverLimit()) {
+        return;
+      }
+    }
+  }
+}
+
+/**
+ * Load a type into the index
+ * Writes that land while loading are recorded in `touched` so the (possibly
+ * older) copy read from disk does not overwrite them.
+ */
+async function loadType(type, entry) {
+  try {
+    await fs.ensureDir(getTypeDir(type));
+    // Watch before reading so no change between the two is missed
+    watchType(type, entry);
+
+    const items = await readAll(type);
+    for (const [id, read] of items) {
+      if (!entry.touched.has(id)) {
+        storeItem(entry, id, read);
+      }
+    }
+  } catch (error) {
+    invalidate(type);
+    throw error;
+  } finally {
+    entry.loading = false;
+    entry.touched.clear();
+  }
+
+  return entry;
+}
+
+/**
+ * Get every content item of a type
+ * @returns {array} - A new array of the indexed items
+ */
+async function getItems(type) {
+  let entry = entries.get(type);
+  if (!entry) {
+    if (!(await fs.pathExists(getTypeDir(type)))) {
+      return [];
+    }
+    entry = entries.get(type);
+  }
+  if (!entry && oversized.has(type)) {
+    return Array.from((await readAll(type)).values(), ({ item }) => item);
+  }
+  if (!entry) {
+    entry = { type, items: new Map(), bytes: 0, watcher: null, loading: true, touched: new Set(), timers: new Map() };
+    entries.set(type, entry);
+    entry.ready = loadType(type, entry);
+  }
+  if (entry.loading) {
+    await entry.ready;
+  }
+
+  const items = Array.from(entry.items.values(), ({ item }) => item);
+
+  if (entry.unwatched) {
+    invalidate(type);
+    return items;
+  }
+
+  // Mark as most recently used
+  if (entries.get(type) === entry) {
+    entries.delete(type);
+    entries.set(type, entry);
+    enforceLimit(type);
+  }
+  return items;
+}
+
+/**
+ * Record a content item written through the API
+ * A no-op if the type is not currently indexed.
+ */
+function setItem(type, item) {
+  const entry = entries.get(type);
+  if (!entry) {
+    return;
+  }
+  if (entry.loading) {
+    entry.touched.add(item.id);
+  }
+  storeItem(entry, item.id, { item, size: Buffer.byteLength(JSON.stringify(item, null, 2)) + 1 });
+  enforceLimit(type);
+}
+
+/**
+ * Record a content item removed through the API
+ */
+function removeItem(type, id) {
+  const entry = entries.get(type);
+  if (!entry) {
+    return;
+  }
+  if (entry.loading) {
+    entry.touched.add(id);
+  }
+  deleteItem(entry, id);
+}
+
+/**
+ * Check whether a type is currently held in the index
+ * (loaded, and kept current by writes and the watcher)
+ */
+function has(type) {
+  const entry = entries.get(type);
+  return Boolean(entry && !entry.loading);
+}
+
+/**
+ * Follow changes to indexed items
+ * The listener receives { type, id, item } when an item is written (item is
+ * null when removed), and { type, reset: true } when a type leaves the index,
+ * after which no further changes are reported for it until it is loaded again.
+ * @returns {function} - Call to stop listening
+ */
+function onChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Describe what is currently indexed
+ * @returns {object} - { types: [{ type, items, bytes }], bytes, limit }
+ */
+function getStats() {
+  return {
+    types: Array.from(entries.entries())
+      .filter(([, entry]) => !entry.loading)
+      .map(([type, entry]) => ({ type, items: entry.items.size, bytes: entry.bytes })),
+    bytes: getTotalBytes(),
+    limit: config.indexMaxMemory || null
+  };
+}
+
+/**
+ * Discard the index for one type (or every indexed type) and reload it from disk
+ * Types found too large to index are tried again.
+ * @param {string} type - Optional content type
+ * @returns {object} - Index stats after the rebuild (see getStats)
+ */
+async function rebuild(type = null) {
+  const types = type ? [type] : Array.from(new Set([...entries.keys(), ...oversized]));
+  types.forEach(name => {
+    invalidate(name);
+    oversized.delete(name);
+  });
+  for (const name of types) {
+    await getItems(name);
+  }
+  return getStats();
+}
+
+/**
+ * Drop every type and stop all watchers
+ */
+function clear() {
+  Array.from(entries.keys()).forEach(invalidate);
+  oversized.clear();
+}
+
+module.exports = {
+  getItems,
+  setItem,
+  removeItem,
+  invalidate,
+  has,
+  onChange,
+  rebuild,
+  getStats,
+  clear
+};
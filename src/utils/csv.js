@@ -0,0 +1,284 @@
+/**
+ * CSV import and export of content items
+ *
+ * Cells hold the text form of a value: arrays of plain values are comma
+ * separated ("news, featured"), objects and arrays of objects are JSON, and
+ * empty cells stand for missing values. Importing converts cells back using the
+ * property's schema type, like the admin UI's coerceValue (public/admin/admin.js).
+ *
+ * Text that a spreadsheet would run as a formula (starting with =, +, -, @, a
+ * tab or a carriage return) is exported with a leading apostrophe, which
+ * importing removes again. Text already starting with an apostrophe gets a
+ * second one, so it survives the round trip.
+ */
+
+// Managed by FlatCMS, so never imported (as in the admin UI form)
+const READ_ONLY_FIELDS = ['createdAt', 'updatedAt', 'publishedAt'];
+
+// Columns mapped without a schema property
+const SYSTEM_COLUMNS = ['id', 'status'];
+
+// First characters of cells that spreadsheets treat as formulas, plus the escape itself
+const ESCAPED_START = /^[=+\-@\t\r']/;
+
+/**
+ * Check a delimiter option (a single character other than a quote or line break)
+ * Throws with code INVALID_QUERY for anything else
+ */
+function assertDelimiter(delimiter) {
+  if (typeof delimiter !== 'string' || delimiter.length !== 1 || /["\r\n]/.test(delimiter)) {
+    const error = new Error('delimiter must be a single character (e.g. "," or ";")');
+    error.code = 'INVALID_QUERY';
+    throw error;
+  }
+  return delimiter;
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted cells may contain delimiters, quotes and line breaks)
+ * @returns {array} - Rows as arrays of strings (a blank line is a row with one empty cell)
+ */
+function parseCsv(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+function formatCell(value, delimiter) {
+  const text = String(value);
+  return text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim()
+    ? `"${text.replace(/"/g, '""')}"`
+    : text;
+}
+
+/**
+ * Format rows of cells as CSV text (CRLF line endings, as spreadsheets expect)
+ */
+function formatCsv(rows, delimiter = ',') {
+  return rows.map(cells => cells.map(cell => formatCell(cell, delimiter)).join(delimiter)).join('\r\n') + '\r\n';
+}
+
+/**
+ * Text form of a value for a CSV cell
+ * Text that could run as a formula is escaped (numbers such as -5 are left alone).
+ */
+function formatValue(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return String(value);
+  }
+  let text;
+  if (Array.isArray(value)) {
+    text = value.some(entry => entry !== null && typeof entry === 'object')
+      ? JSON.stringify(value)
+      : value.join(', ');
+  } else {
+    text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+  return ESCAPED_START.test(text) ? `'${text}` : text;
+}
+
+/**
+ * Undo formatValue's formula escape
+ */
+function unescapeCell(value) {
+  return value.startsWith("'") && ESCAPED_START.test(value.slice(1)) ? value.slice(1) : value;
+}
+
+/**
+ * Columns to export: id, the schema's properties, then any other fields of the items
+ * With a fields projection, the projected fields in the order requested.
+ */
+function getColumns(definition, items, fields = []) {
+  const columns = ['id'];
+  const add = field => {
+    if (!columns.includes(field)) {
+      columns.push(field);
+    }
+  };
+
+  if (fields.length > 0) {
+    fields.forEach(field => add(field.split('.')[0]));
+    return columns;
+  }
+
+  Object.keys((definition && definition.properties) || {}).forEach(add);
+  items.forEach(item => Object.keys(item).filter(field => field !== '_locales').forEach(add));
+  return columns;
+}
+
+// "Event date", "event_date" and "eventDate" name the same column
+function normalizeHeader(header) {
+  return header.toLowerCase().replace(/[\s_-]+/g, '');
+}
+
+/**
+ * Match CSV headers to schema properties: by name, then ignoring case, spaces,
+ * dashes and underscores by name or title. Read-only and unknown columns are ignored.
+ * @returns {object} - { fields: property per column (null if ignored), mapped: { header: field }, ignored: [header] }
+ */
+function mapColumns(headers, definition) {
+  const properties = (definition && definition.properties) || {};
+  const names = [...SYSTEM_COLUMNS, ...Object.keys(properties).filter(name => !SYSTEM_COLUMNS.includes(name))];
+  const mapped = {};
+  const ignored = [];
+
+  const fields = headers.map(rawHeader => {
+    const header = rawHeader.trim();
+    const normalized = normalizeHeader(header);
+    const field = names.find(name => name === header)
+      || names.find(name => normalizeHeader(name) === normalized)
+      || names.find(name => properties[name] && typeof properties[name].title === 'string' && normalizeHeader(properties[name].title) === normalized);
+
+    if (!field || READ_ONLY_FIELDS.includes(field) || Object.values(mapped).includes(field)) {
+      ignored.push(header);
+      return null;
+    }
+    mapped[header] = field;
+    return field;
+  });
+
+  return { fields, mapped, ignored };
+}
+
+function getPrimaryType(schema) {
+  const type = schema && schema.type;
+  return Array.isArray(type) ? type.find(t => t !== 'null') : type;
+}
+
+/**
+ * Convert a CSV cell to the property's type
+ * Like the admin UI's coerceValue; values that do not convert (e.g. "abc" for a
+ * number) are kept as text so validation reports them. An apostrophe that
+ * escapes a formula is removed first.
+ */
+function coerceValue(value, schema = {}) {
+  return coerceText(unescapeCell(value), schema);
+}
+
+function coerceText(value, schema = {}) {
+  switch (getPrimaryType(schema)) {
+    case 'number':
+    case 'integer': {
+      const number = Number(value);
+      return Number.isNaN(number) ? value : number;
+    }
+    case 'boolean': {
+      const lower = value.toLowerCase();
+      if (['true', '1', 'on'].includes(lower)) return true;
+      if (['false', '0', 'off'].includes(lower)) return false;
+      return value;
+    }
+    case 'array':
+      if (value.startsWith('[')) {
+        try {
+          return JSON.parse(value);
+        } catch {
+          // Not JSON: a comma separated list
+        }
+      }
+      return value
+        .split(',')
+        .map(v => v.trim())
+        .filter(Boolean)
+        .map(v => coerceText(v, schema.items || {}));
+    case 'object':
+      try {
+        return JSON.parse(value);
+      } catch {
+        return value;
+      }
+    case 'string':
+      return coerceDate(value, schema.format);
+    default:
+      return value;
+  }
+}
+
+/**
+ * Spreadsheets write dates their own way; convert parseable ones to the schema's format
+ */
+function coerceDate(value, format) {
+  if (format !== 'date' && format !== 'date-time') {
+    return value;
+  }
+  if (format === 'date' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return value;
+  }
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    return value;
+  }
+  if (format === 'date-time' || value.includes('T')) {
+    return format === 'date' ? date.toISOString().slice(0, 10) : date.toISOString();
+  }
+  // Dates without a time ("Jan 15, 2024", "2024/01/15") are read as local midnight
+  const pad = number => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Build the content of one CSV row
+ * Empty cells are left out, so updates keep the stored value.
+ */
+function rowToData(cells, fields, definition) {
+  const properties = (definition && definition.properties) || {};
+  const data = {};
+  fields.forEach((field, index) => {
+    const value = (cells[index] || '').trim();
+    if (field && value !== '') {
+      data[field] = SYSTEM_COLUMNS.includes(field) ? unescapeCell(value) : coerceValue(value, properties[field]);
+    }
+  });
+  return data;
+}
+
+module.exports = {
+  assertDelimiter,
+  parseCsv,
+  formatCsv,
+  formatValue,
+  getColumns,
+  mapColumns,
+  coerceValue,
+  rowToData
+};
@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+
+/**
+ * Compute a strong ETag for a content item
+ * The tag is a hash of the stored JSON, so any change on disk produces a new tag
+ */
+function computeEtag(content) {
+  const hash = crypto.createHash('sha1').update(JSON.stringify(content)).digest('hex');
+  return `"${hash}"`;
+}
+
+/**
+ * Check an If-Match header value against the current ETag
+ * A missing header always passes; `*` matches any existing item
+ * @param {string} header - Raw If-Match header value
+ * @param {string} etag - Current ETag of the item
+ * @returns {boolean}
+ */
+function matchesIfMatch(header, etag) {
+  if (!header) {
+    return true;
+  }
+
+  const candidates = header.split(',').map(tag => tag.trim()).filter(Boolean);
+  return candidates.some(tag => {
+    if (tag === '*') {
+      return true;
+    }
+    // Weak comparison is not allowed for If-Match, but tolerate the W/ prefix
+    // that proxies sometimes add
+    const normalized = tag.startsWith('W/') ? tag.substring(2) : tag;
+    return normalized === etag;
+  });
+}
+
+module.exports = {
+  computeEtag,
+  matchesIfMatch
+};
@@ -0,0 +1,107 @@
+const config = require('../config');
+const events = require('./events');
+
+/**
+ * Live change feed behind GET /api/events (Server-Sent Events)
+ *
+ * Content and media events are numbered and kept in a bounded in-memory buffer
+ * (EVENTS_BUFFER_SIZE), so a client that reconnects with Last-Event-ID gets
+ * what it missed. Ids are "<boot>-<sequence>": a client that comes back after a
+ * restart, or from further back than the buffer reaches, cannot be caught up
+ * and should reload what it shows instead.
+ */
+
+const BOOT_ID = Date.now().toString(36);
+
+let sequence = 0;
+let buffer = [];
+const subscribers = new Set();
+let started = false;
+
+function getLastEventId() {
+  return `${BOOT_ID}-${sequence}`;
+}
+
+function publish(event, data) {
+  sequence += 1;
+  const entry = { id: getLastEventId(), sequence, event, data };
+
+  buffer.push(entry);
+  if (buffer.length > config.eventsBufferSize) {
+    buffer = buffer.slice(buffer.length - config.eventsBufferSize);
+  }
+  subscribers.forEach(listener => listener(entry));
+}
+
+function handleContentEvent({ action, type, id, content, previous, restored }) {
+  const item = content || previous;
+  publish(restored ? 'content.restore' : `content.${action}`, {
+    type,
+    id,
+    status: item ? item.status || null : null,
+    // Deletes have no stored document left; they are stamped with the time of the delete
+    updatedAt: content ? content.updatedAt : new Date().toISOString()
+  });
+}
+
+function handleMediaEvent({ action, type, filename }) {
+  publish(`media.${action}`, { type, filename, updatedAt: new Date().toISOString() });
+}
+
+/**
+ * Start recording events
+ */
+function start() {
+  if (started) {
+    return;
+  }
+  started = true;
+
+  events.on('content', handleContentEvent);
+  events.on('media', handleMediaEvent);
+}
+
+/**
+ * Stop recording events (connected clients stay open but receive nothing new)
+ */
+function stop() {
+  started = false;
+  events.removeListener('content', handleContentEvent);
+  events.removeListener('media', handleMediaEvent);
+}
+
+/**
+ * Events published after a given event id, oldest first
+ * @returns {array|null} - null if they cannot be replayed (unknown id, another
+ * server run, or older than the buffer)
+ */
+function getEventsSince(lastEventId) {
+  const match = /^([0-9a-z]+)-(\d+)$/.exec(lastEventId);
+  if (!match || match[1] !== BOOT_ID) {
+    return null;
+  }
+
+  const last = Number(match[2]);
+  const oldest = buffer.length > 0 ? buffer[0].sequence : sequence + 1;
+  if (last > sequence || last < oldest - 1) {
+    return null;
+  }
+  return buffer.filter(entry => entry.sequence > last);
+}
+
+/**
+ * Call listener with every event published from now on
+ * @returns {function} - Unsubscribes the listener
+ */
+function subscribe(listener) {
+  subscribers.add(listener);
+  return () => subscribers.delete(listener);
+}
+
+module.exports = {
+  start,
+  stop,
+  getLastEventId,
+  getEventsSince,
+  subscribe
+};
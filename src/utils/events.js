@@ -0,0 +1,19 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Process-wide emitter for changes made through fileHandler and mediaHandler
+ * 
+ * Events:
+ * - 'content': { action: 'create' | 'update' | 'delete', type, id, content, previous }
+ *   `content` is the stored document after the change (null for deletes),
+ *   `previous` the document before it (null for creates); `restored: true` is
+ *   added when the change brings back earlier content (trash, version or git history)
+ * - 'media': { action: 'upload' | 'delete', type, filename, metadata }
+ *   `metadata` is the media metadata (the removed metadata for deletes, if any)
+ */
+const events = new EventEmitter();
+
+// Several subsystems subscribe; none of them should trigger the leak warning
+events.setMaxListeners(0);
+
+module.exports = events;
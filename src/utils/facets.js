@@ -0,0 +1,127 @@
+const { resolveField } = require('./filterTypes');
+const validator = require('./validator');
+const { queryError, getNestedValue } = require('./queryParser');
+
+const INTERVALS = {
+  day: 10, // 2024-01-31
+  month: 7, // 2024-01
+  year: 4 // 2024
+};
+
+/**
+ * Parse facet specs such as `category`, `tags` or `publishedAt:month`
+ * Each field is looked up in the schema: date fields are bucketed (by day
+ * unless an interval is given) and number fields also get numeric aggregates.
+ * Throws with code INVALID_QUERY for undeclared fields (unless strict is false)
+ * and for intervals on non-date fields.
+ * @param {string} type - Content type
+ * @param {array} specs - Facet specs
+ * @param {boolean} strict - Reject fields the type does not declare
+ * @returns {array} - [{ field, kind, interval }]
+ */
+async function parseFacetSpecs(type, specs, strict = true) {
+  if (specs.length === 0) {
+    throw queryError('fields is required, e.g. fields=category,tags,publishedAt:month');
+  }
+
+  const definition = await validator.getSchemaDefinition(type);
+  const schema = await validator.loadSchema();
+
+  return specs.map(spec => {
+    const [field, interval = null] = spec.split(':');
+    const { declared, kind } = definition
+      ? resolveField(schema, definition, field)
+      : { declared: true, kind: null };
+
+    if (!declared && strict) {
+      throw queryError(`'${field}' is not a field of ${type} (use strict=false to facet on undeclared fields)`);
+    }
+    if (interval !== null && !INTERVALS[interval]) {
+      throw queryError(`${spec}: unknown interval '${interval}'. Expected one of ${Object.keys(INTERVALS).join(', ')}`);
+    }
+    if (interval !== null && kind !== 'date') {
+      throw queryError(`${spec}: intervals can only be used on date fields`);
+    }
+
+    return { field, kind, interval: kind === 'date' ? interval || 'day' : null };
+  });
+}
+
+/**
+ * Turn a stored value into its bucket key, or null if it cannot be counted
+ */
+function getBucket(value, spec) {
+  if (value === null || value === undefined || typeof value === 'object') {
+    return null;
+  }
+  if (spec.kind === 'date') {
+    const time = typeof value === 'string' ? Date.parse(value) : NaN;
+    return isNaN(time) ? null : new Date(time).toISOString().substring(0, INTERVALS[spec.interval]);
+  }
+  return String(value);
+}
+
+/**
+ * Count values (and aggregate numbers) across items
+ * Array values are counted per distinct element. Items without a value are
+ * counted under `missing`. Number fields also get count/min/max/sum/avg.
+ * Values are a list rather than an object keyed by value, since objects put
+ * integer-like keys ("10", "2024") first whatever order they were added in.
+ * @param {array} items - Content items (already filtered)
+ * @param {array} specs - Result of parseFacetSpecs
+ * @returns {object} - { field: { values: [{ value, count }], missing, interval?, stats? } }
+ */
+function computeFacets(items, specs) {
+  const facets = {};
+
+  for (const spec of specs) {
+    const counts = new Map();
+    let missing = 0;
+    const stats = { count: 0, min: null, max: null, sum: 0, avg: null };
+
+    for (const item of items) {
+      const value = getNestedValue(item, spec.field);
+      const values = Array.isArray(value) ? value : [value];
+      const buckets = new Set(values.map(entry => getBucket(entry, spec)).filter(bucket => bucket !== null));
+
+      if (buckets.size === 0) {
+        missing++;
+      }
+      for (const bucket of buckets) {
+        counts.set(bucket, (counts.get(bucket) || 0) + 1);
+      }
+      if (spec.kind === 'integer' || spec.kind === 'number') {
+        for (const entry of values) {
+          if (typeof entry === 'number' && Number.isFinite(entry)) {
+            stats.count++;
+            stats.sum += entry;
+            stats.min = stats.min === null || entry < stats.min ? entry : stats.min;
+            stats.max = stats.max === null || entry > stats.max ? entry : stats.max;
+          }
+        }
+      }
+    }
+
+    // Most common first; date buckets in chronological order
+    const sorted = Array.from(counts.entries()).sort((a, b) =>
+      spec.kind === 'date' ? a[0].localeCompare(b[0]) : b[1] - a[1] || a[0].localeCompare(b[0])
+    );
+
+    const facet = { values: sorted.map(([value, count]) => ({ value, count })), missing };
+    if (spec.interval) {
+      facet.interval = spec.interval;
+    }
+    if (spec.kind === 'integer' || spec.kind === 'number') {
+      stats.avg = stats.count > 0 ? stats.sum / stats.count : null;
+      facet.stats = stats;
+    }
+    facets[spec.field] = facet;
+  }
+
+  return facets;
+}
+
+module.exports = {
+  parseFacetSpecs,
+  computeFacets
+};
@@ -2,8 +2,17 @@ const fs = require('fs-extra');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const config = require('../config');
-const { matchesFilters, matchesSearch, sortItems, paginateItems } = require('./queryParser');
+const { matchesFilters, matchesExpression, sortItems, encodeCursor, applyCursor, paginateItems } = require('./queryParser');
 const versionHandler = require('./versionHandler');
+const events = require('./events');
+const trashHandler = require('./trashHandler');
+const contentIndex = require('./contentIndex');
+const { writeJsonAtomic } = require('./atomicFile');
+const { withLock, getItemLockKey: getLockKey } = require('./lock');
+const { computeEtag, matchesIfMatch } = require('./etag');
+
+// Order used for paged requests that do not ask for one, so pages are stable
+const DEFAULT_SORT = { field: 'id', direction: 'asc' };
 
 /**
  * Get the content directory path for a specific type
@@ -23,49 +32,60 @@ async function ensureContentDir(type) {
 
 /**
  * List all content items of a specific type
+ * Pages can be requested by offset or by cursor. A cursor points just after the
+ * last item of the previous page (by sort value and id), so items published or
+ * deleted while a client is paging do not shift later pages.
  * @param {string} type - Content type
- * @param {object} options - Query options (filters, search, sort, limit, offset)
+ * @param {object} options - Query options (filters, expression, rank, sort, limit, offset, cursor)
+ * - rank: Map of id -> relevance from searchIndex.search; only ranked items are
+ *   listed, best first unless a sort is given
+ * - localize: item -> item resolving a locale (see locales.localizeItem); filters,
+ *   sorting and cursors then use the localized values
  * @returns {object} - Object with data array and pagination info
  */
 async function listContent(type, options = {}) {
-  const dir = await ensureContentDir(type);
-  const files = await fs.readdir(dir);
-  
-  const contents = [];
-  for (const file of files) {
-    if (path.extname(file) === '.json') {
-      try {
-        const filePath = path.join(dir, file);
-        const content = await fs.readJson(filePath);
-        contents.push(content);
-      } catch (error) {
-        // Skip files that can't be parsed as JSON
-        console.warn(`Warning: Could not parse ${file} as JSON`);
-      }
-    }
+  if (options.cursor && options.offset) {
+    const error = new Error('cursor and offset cannot be combined');
+    error.code = 'INVALID_QUERY';
+    throw error;
   }
   
+  // Served from the in-memory index (see contentIndex); items are shared, not copies
+  const stored = await contentIndex.getItems(type);
+  const contents = options.localize ? stored.map(options.localize) : stored;
+  
   // Apply filters
   let filtered = contents;
   if (options.filters && Object.keys(options.filters).length > 0) {
-    filtered = contents.filter(item => matchesFilters(item, options.filters));
+    filtered = contents.filter(item => matchesFilters(item, options.filters, options.fieldTypes));
+  }
+  
+  // Apply filter expression (?filter=)
+  if (options.expression) {
+    filtered = filtered.filter(item => matchesExpression(item, options.expression));
   }
   
-  // Apply search
-  if (options.search) {
-    filtered = filtered.filter(item => matchesSearch(item, options.search));
+  // Apply search results
+  const { rank } = options;
+  if (rank) {
+    filtered = filtered.filter(item => rank.has(item.id));
   }
   
-  // Apply sorting
-  if (options.sort) {
-    filtered = sortItems(filtered, options.sort);
+  // Apply sorting (search results by relevance; paged requests always get a stable order)
+  const paged = Boolean(options.limit || options.offset || options.cursor);
+  const rankSort = rank ? { field: '_score', direction: 'desc', getValue: item => rank.get(item.id) } : null;
+  const sort = options.sort || rankSort || (paged ? DEFAULT_SORT : null);
+  if (sort) {
+    filtered = sortItems(filtered, sort);
   }
   
   // Get total before pagination
   const total = filtered.length;
   
   // Apply pagination
-  const paginated = paginateItems(filtered, options.limit, options.offset || 0);
+  const remaining = options.cursor ? applyCursor(filtered, options.cursor, sort) : filtered.slice(options.offset || 0);
+  const paginated = paginateItems(remaining, options.limit, 0);
+  const hasMore = options.limit ? remaining.length > options.limit : false;
   
   // Return paginated response
   return {
@@ -74,7 +94,8 @@ async function listContent(type, options = {}) {
       total,
       limit: options.limit,
       offset: options.offset || 0,
-      hasMore: options.limit ? (options.offset || 0) + options.limit < total : false
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(paginated[paginated.length - 1], sort) : null
     }
   };
 }
@@ -97,10 +118,27 @@ async function getContent(type, id) {
   }
 }
 
+/**
+ * Throw a PRECONDITION_FAILED error if an If-Match value does not match the item
+ * The error carries the current document as `error.current`
+ */
+function assertIfMatch(type, id, existing, ifMatch) {
+  if (!ifMatch || matchesIfMatch(ifMatch, computeEtag(existing))) {
+    return;
+  }
+  const error = new Error(`Precondition failed: ${type}/${id} has been modified`);
+  error.code = 'PRECONDITION_FAILED';
+  error.current = existing;
+  throw error;
+}
+
 /**
  * Create a new content item
+ * @param {object} options
+ * - silent: true skips the 'content' event (callers emit it themselves)
+ * - restored: true marks the event as a restore of earlier content
  */
-async function createContent(type, data) {
+async function createContent(type, data, options = {}) {
   const dir = await ensureContentDir(type);
   
   // Generate ID if not provided
@@ -124,21 +162,75 @@ async function createContent(type, data) {
   
   const filePath = path.join(dir, `${id}.json`);
   
-  // Check if file already exists
-  const exists = await fs.pathExists(filePath);
-  if (exists) {
-    throw new Error(`Content with ID ${id} already exists`);
-  }
+  await withLock(getLockKey(type, id), async () => {
+    // Check if file already exists
+    const exists = await fs.pathExists(filePath);
+    if (exists) {
+      throw new Error(`Content with ID ${id} already exists`);
+    }
+    
+    await writeJsonAtomic(filePath, content);
+    contentIndex.setItem(type, content);
+  });
   
-  await fs.writeJson(filePath, content, { spaces: 2 });
+  if (!options.silent) {
+    events.emit('content', { action: 'create', type, id, content, previous: null, ...(options.restored && { restored: true }) });
+  }
   return content;
 }
 
 /**
  * Update an existing content item
  * Automatically creates a version snapshot before updating
+ * @param {object} options - { ifMatch, silent, restored } (see writeUpdate)
+ */
+async function updateContent(type, id, data, options = {}) {
+  return writeUpdate(type, id, existing => ({ ...existing, ...data }), options);
+}
+
+/**
+ * Replace an existing content item with a complete document
+ * Unlike updateContent, fields missing from data are removed (used by PATCH)
+ * Automatically creates a version snapshot before updating
+ * @param {object} options - { ifMatch, silent, restored } (see writeUpdate)
  */
-async function updateContent(type, id, data) {
+async function replaceContent(type, id, data, options = {}) {
+  return writeUpdate(type, id, existing => ({ ...data, createdAt: existing.createdAt }), options);
+}
+
+/**
+ * Shared read-version-write sequence for updateContent and replaceContent
+ * Runs under the item's lock, so concurrent updates are applied one at a time
+ * and each one merges over the result of the previous one.
+ * @param {function} buildNext - Receives the existing item, returns the new document body
+ * @param {object} options
+ * - ifMatch: If-Match value checked against the stored item (throws PRECONDITION_FAILED)
+ * - silent: true skips the 'content' event
+ * - restored: true marks the event as a restore of earlier content
+ * - onWrite: called with { existing, versionId } once written, so the write can
+ *   be undone exactly with revertContent (see bulkHandler.executePlan)
+ */
+async function writeUpdate(type, id, buildNext, options = {}) {
+  const result = await withLock(getLockKey(type, id), () => writeUpdateLocked(type, id, buildNext, options));
+  
+  if (result && options.onWrite) {
+    options.onWrite({ existing: result.existing, versionId: result.versionId });
+  }
+  
+  if (result && !options.silent) {
+    events.emit('content', {
+      action: 'update',
+      type,
+      id,
+      content: result.updated,
+      previous: result.existing,
+      ...(options.restored && { restored: true })
+    });
+  }
+  return result ? result.updated : null;
+}
+
+async function writeUpdateLocked(type, id, buildNext, options) {
   const dir = getContentDir(type);
   const filePath = path.join(dir, `${id}.json`);
   
@@ -150,71 +242,93 @@ async function updateContent(type, id, data) {
   
   // Read existing content
   const existing = await fs.readJson(filePath);
+  assertIfMatch(type, id, existing, options.ifMatch);
   
   // Create version snapshot before updating
+  let versionId = null;
   try {
-    await versionHandler.createVersion(type, id, existing);
+    ({ versionId } = await versionHandler.createVersion(type, id, existing));
   } catch (error) {
     // Log but don't fail the update if versioning fails
     console.warn(`Warning: Could not create version for ${type}/${id}:`, error.message);
   }
   
   const now = new Date().toISOString();
+  const next = buildNext(existing);
   
   // Handle status changes for draft/published workflow
-  const newStatus = data.status !== undefined ? data.status : existing.status;
-  let publishedAt = existing.publishedAt;
+  const newStatus = next.status !== undefined ? next.status : existing.status;
+  let publishedAt = next.publishedAt;
   
   // If status is changing to published and publishedAt is not set, set it now
+  // If status is changing from published to something else, keep publishedAt
   if (newStatus === 'published' && !publishedAt) {
     publishedAt = now;
   }
-  // If status is changing from published to something else, keep publishedAt
-  // If status is explicitly provided in data, use it
-  if (data.publishedAt !== undefined) {
-    publishedAt = data.publishedAt;
-  }
   
-  // Merge with new data
   const updated = {
-    ...existing,
-    ...data,
+    ...next,
     id, // Ensure ID doesn't change
     status: newStatus,
     updatedAt: now,
     ...(publishedAt && { publishedAt })
   };
   
-  await fs.writeJson(filePath, updated, { spaces: 2 });
-  return updated;
+  await writeJsonAtomic(filePath, updated);
+  contentIndex.setItem(type, updated);
+  return { updated, existing, versionId };
+}
+
+/**
+ * Put an item back as it was before a write, under the item's lock
+ * No event is emitted and no version is taken; the snapshot taken by the
+ * write being undone is removed.
+ * @param {object|null} original - Document to write back, or null to remove the item (undoing a create)
+ * @param {string|null} versionId - Snapshot created by the write being undone
+ */
+async function revertContent(type, id, original, versionId = null) {
+  const filePath = path.join(getContentDir(type), `${id}.json`);
+  await withLock(getLockKey(type, id), async () => {
+    if (original) {
+      await writeJsonAtomic(filePath, original);
+      contentIndex.setItem(type, original);
+    } else {
+      await fs.remove(filePath);
+      contentIndex.removeItem(type, id);
+    }
+    if (versionId) {
+      await versionHandler.deleteVersion(type, id, versionId);
+    }
+  });
 }
 
 /**
  * Delete a content item
- * Also deletes all associated versions
+ * The item and its versions are moved to the trash (see trashHandler), not removed
+ * @param {object} options - { ifMatch, silent } as for updateContent
+ * @returns {object|false} - Trash entry metadata, or false if the item does not exist
  */
-async function deleteContent(type, id) {
-  const dir = getContentDir(type);
-  const filePath = path.join(dir, `${id}.json`);
-  
-  try {
-    await fs.remove(filePath);
-    
-    // Also delete all versions
-    try {
-      await versionHandler.deleteAllVersions(type, id);
-    } catch (error) {
-      // Log but don't fail if version cleanup fails
-      console.warn(`Warning: Could not delete versions for ${type}/${id}:`, error.message);
+async function deleteContent(type, id, options = {}) {
+  const result = await withLock(getLockKey(type, id), async () => {
+    const existing = await getContent(type, id);
+    if (!existing) {
+      return null;
     }
+    assertIfMatch(type, id, existing, options.ifMatch);
     
-    return true;
-  } catch (error) {
-    if (error.code === 'ENOENT') {
-      return false;
-    }
-    throw error;
+    const entry = await trashHandler.moveToTrash(type, id);
+    contentIndex.removeItem(type, id);
+    return entry ? { entry, existing } : null;
+  });
+  
+  if (!result) {
+    return false;
+  }
+  
+  if (!options.silent) {
+    events.emit('content', { action: 'delete', type, id, content: null, previous: result.existing });
   }
+  return result.entry;
 }
 
 /**
@@ -314,6 +428,8 @@ module.exports = {
   getContent,
   createContent,
   updateContent,
+  replaceContent,
+  revertContent,
   deleteContent,
   getRelatedContent
 };
@@ -0,0 +1,152 @@
+const validator = require('./validator');
+const { coerceOperand, queryError } = require('./queryParser');
+
+// Fields FlatCMS adds to every content item, typed as if declared in the schema
+const BUILT_IN_FIELDS = {
+  id: { type: 'string' },
+  status: { type: 'string' },
+  createdAt: { type: 'string', format: 'date-time' },
+  updatedAt: { type: 'string', format: 'date-time' },
+  publishedAt: { type: 'string', format: 'date-time' },
+  publishAt: { type: 'string', format: 'date-time' },
+  unpublishAt: { type: 'string', format: 'date-time' }
+};
+
+/**
+ * Follow a local `$ref` (#/definitions/...) to the schema it points at
+ */
+function dereference(schema, node) {
+  let current = node;
+  const seen = new Set();
+  while (current && typeof current.$ref === 'string' && current.$ref.startsWith('#/') && !seen.has(current.$ref)) {
+    seen.add(current.$ref);
+    current = current.$ref
+      .substring(2)
+      .split('/')
+      .reduce((parent, key) => (parent ? parent[key] : undefined), schema);
+  }
+  return current;
+}
+
+function getPrimaryType(fieldSchema) {
+  const types = Array.isArray(fieldSchema.type) ? fieldSchema.type : [fieldSchema.type];
+  return types.find(type => type && type !== 'null') || null;
+}
+
+/**
+ * Map a property schema to the kind used for filter comparisons
+ * @returns {string|null} - 'string', 'integer', 'number', 'boolean', 'date', or null (untyped)
+ */
+function getKind(fieldSchema) {
+  if (fieldSchema.format === 'date' || fieldSchema.format === 'date-time') {
+    return 'date';
+  }
+  const type = getPrimaryType(fieldSchema);
+  if (type === 'richtext') {
+    return 'string';
+  }
+  return ['string', 'integer', 'number', 'boolean'].includes(type) ? type : null;
+}
+
+/**
+ * Resolve a (dot path) field against a content type definition
+ * Array properties resolve to their items. Objects without declared
+ * properties accept any nested path, untyped.
+ * @returns {object} - { declared, kind }
+ */
+function resolveField(schema, definition, fieldPath) {
+  let node = definition;
+  const segments = fieldPath.split('.');
+
+  for (const [index, segment] of segments.entries()) {
+    node = dereference(schema, node);
+    while (node && node.items && !node.properties) {
+      node = dereference(schema, node.items);
+    }
+    if (!node) {
+      return { declared: false, kind: null };
+    }
+
+    const properties = node.properties || {};
+    let next = properties[segment];
+    if (!next && index === 0) {
+      next = BUILT_IN_FIELDS[segment];
+    }
+    if (!next) {
+      const openObject = !node.properties && node.additionalProperties !== false && getPrimaryType(node) === 'object';
+      return { declared: openObject, kind: null };
+    }
+    node = next;
+  }
+
+  node = dereference(schema, node);
+  while (node && node.items) {
+    node = dereference(schema, node.items);
+  }
+  return { declared: true, kind: node ? getKind(node) : null };
+}
+
+/**
+ * Type the filters of a parsed query using the content type's schema
+ * Each filtered field is looked up in the schema so its operands can be
+ * converted (dates compare chronologically, integers numerically, booleans
+ * strictly). Filters on fields the type does not declare are rejected unless
+ * the query sets strict=false, in which case those fields compare loosely.
+ * Types without a schema definition are left untyped.
+ * Throws with code INVALID_QUERY on undeclared fields or mismatched operands.
+ * @param {string} type - Content type
+ * @param {object} queryOptions - Result of parseQuery; updated in place
+ * @returns {object} - queryOptions
+ */
+async function applyFilterTypes(type, queryOptions) {
+  const definition = await validator.getSchemaDefinition(type);
+  if (!definition) {
+    return queryOptions;
+  }
+  const schema = await validator.loadSchema();
+
+  const typeField = (field, location) => {
+    const { declared, kind } = resolveField(schema, definition, field);
+    if (!declared && queryOptions.strict) {
+      throw queryError(`${location}: '${field}' is not a field of ${type} (use strict=false to filter on undeclared fields)`);
+    }
+    return kind;
+  };
+
+  const fieldTypes = {};
+  for (const [field, conditions] of Object.entries(queryOptions.filters || {})) {
+    const kind = typeField(field, field);
+    if (!kind) {
+      continue;
+    }
+    fieldTypes[field] = kind;
+    for (const [operator, value] of Object.entries(conditions)) {
+      conditions[operator] = coerceOperand(kind, operator, value, operator === 'eq' ? field : `${field}__${operator}`);
+    }
+  }
+  queryOptions.fieldTypes = fieldTypes;
+
+  const typeExpression = node => {
+    if (node.and || node.or) {
+      (node.and || node.or).forEach(typeExpression);
+    } else if (node.not) {
+      typeExpression(node.not);
+    } else {
+      const kind = typeField(node.field, 'filter');
+      if (kind) {
+        node.kind = kind;
+        node.value = coerceOperand(kind, node.operator, node.value, `filter.${node.field}.${node.operator}`);
+      }
+    }
+  };
+  if (queryOptions.expression) {
+    typeExpression(queryOptions.expression);
+  }
+
+  return queryOptions;
+}
+
+module.exports = {
+  resolveField,
+  applyFilterTypes
+};
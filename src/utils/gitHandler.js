@@ -0,0 +1,268 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { execFile } = require('child_process');
+const config = require('../config');
+const events = require('./events');
+const requestContext = require('./requestContext');
+
+/**
+ * Git-backed storage (GIT_STORAGE=true)
+ *
+ * The content directory is a git repository, and every change made through
+ * fileHandler and mediaHandler is committed: "Update post/123", with the acting
+ * API key (see requestContext) in an `Actor:` trailer. Media files are committed
+ * when MEDIA_DIR is inside CONTENT_DIR (the default).
+ *
+ * The repository is created on start if needed; no remote is required. Version
+ * folders, the trash and other hidden files are ignored (see GITIGNORE).
+ *
+ * Commits run one at a time, in the order the changes were made, after the
+ * change itself has been written; use flush() to wait for pending commits.
+ */
+
+const GITIGNORE = [
+  '# Managed by FlatCMS: version snapshots, trash, temporary files and indexes',
+  '.*',
+  '!.gitignore',
+  '/*/*/versions/',
+  ''
+].join('\n');
+
+// Used unless GIT_AUTHOR_NAME etc. are set in the environment
+const DEFAULT_IDENTITY = {
+  GIT_AUTHOR_NAME: 'FlatCMS',
+  GIT_AUTHOR_EMAIL: 'flatcms@localhost',
+  GIT_COMMITTER_NAME: 'FlatCMS',
+  GIT_COMMITTER_EMAIL: 'flatcms@localhost'
+};
+
+const ACTIONS = {
+  create: 'Create',
+  update: 'Update',
+  delete: 'Delete',
+  upload: 'Upload'
+};
+
+// Field and record separators for parsing git log output
+const FIELD = '\x1f';
+const RECORD = '\x1e';
+
+let started = false;
+let queue = Promise.resolve();
+
+function isEnabled() {
+  return config.gitStorage;
+}
+
+/**
+ * Run a git command in the content directory
+ * @returns {Promise<string>} - stdout
+ */
+function git(args) {
+  return new Promise((resolve, reject) => {
+    execFile('git', args, {
+      cwd: config.contentDir,
+      env: { ...DEFAULT_IDENTITY, ...process.env },
+      maxBuffer: 64 * 1024 * 1024
+    }, (error, stdout, stderr) => {
+      if (error) {
+        error.message = `git ${args[0]} failed: ${(stderr || '').trim() || error.message}`;
+        return reject(error);
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+/**
+ * Queue a git job behind the pending ones; failures are logged, not thrown
+ */
+function enqueue(job) {
+  queue = queue.then(job).catch(error => {
+    console.error('Git storage error:', error.message);
+  });
+  return queue;
+}
+
+/**
+ * Path of a file relative to the repository, or null if it is outside it
+ */
+function getRepoPath(filePath) {
+  const relative = path.relative(config.contentDir, filePath);
+  if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+    return null;
+  }
+  return relative.split(path.sep).join('/');
+}
+
+function getContentPath(type, id) {
+  return `${type}/${id}.json`;
+}
+
+/**
+ * Create the repository (and its .gitignore) if the content directory has none,
+ * committing any content already there
+ */
+async function initRepository() {
+  await fs.ensureDir(config.contentDir);
+  if (!(await fs.pathExists(path.join(config.contentDir, '.git')))) {
+    await git(['init', '-q']);
+    console.log(`Initialized git repository in ${config.contentDir}`);
+  }
+
+  const gitignorePath = path.join(config.contentDir, '.gitignore');
+  if (!(await fs.pathExists(gitignorePath))) {
+    await fs.writeFile(gitignorePath, GITIGNORE);
+  }
+
+  await git(['add', '-A']);
+  const staged = await git(['diff', '--cached', '--name-only']);
+  if (staged.trim()) {
+    await git(['commit', '-q', '-m', 'Initialize FlatCMS content repository', '-m', `Actor: ${requestContext.getActor()}`]);
+  }
+
+  if (!getRepoPath(path.join(config.mediaDir, 'file'))) {
+    console.warn(`Warning: MEDIA_DIR (${config.mediaDir}) is outside CONTENT_DIR; media changes are not committed`);
+  }
+}
+
+/**
+ * Commit the current state of some files, if they changed
+ * Other changes in the working tree are left alone.
+ * @param {array} paths - Repository paths (existing, or deleted but tracked)
+ * @returns {string|null} - Commit hash, or null if there was nothing to commit
+ */
+async function commitPaths(paths, subject, actor) {
+  const tracked = (await git(['ls-files', '--', ...paths])).split('\n').filter(Boolean);
+  const present = [];
+  for (const repoPath of paths) {
+    if (tracked.includes(repoPath) || await fs.pathExists(path.join(config.contentDir, repoPath))) {
+      present.push(repoPath);
+    }
+  }
+  if (present.length === 0) {
+    return null;
+  }
+
+  await git(['add', '-A', '--', ...present]);
+  const staged = await git(['diff', '--cached', '--name-only', '--', ...present]);
+  if (!staged.trim()) {
+    return null;
+  }
+
+  await git(['commit', '-q', '-m', subject, '-m', `Actor: ${actor}`, '--', ...present]);
+  return (await git(['rev-parse', 'HEAD'])).trim();
+}
+
+function handleContentEvent({ action, type, id }) {
+  const actor = requestContext.getActor();
+  enqueue(() => commitPaths([getContentPath(type, id)], `${ACTIONS[action]} ${type}/${id}`, actor));
+}
+
+function handleMediaEvent({ action, type, filename }) {
+  const filePath = getRepoPath(path.join(config.mediaDir, type, filename));
+  if (!filePath) {
+    return;
+  }
+  const actor = requestContext.getActor();
+  enqueue(() => commitPaths([filePath, `${filePath}.meta.json`], `${ACTIONS[action]} media ${type}/${filename}`, actor));
+}
+
+/**
+ * Start committing changes (no-op unless GIT_STORAGE is enabled)
+ * @returns {Promise} - Resolves once the repository is ready
+ */
+function start() {
+  if (started || !isEnabled()) {
+    return queue;
+  }
+  started = true;
+
+  events.on('content', handleContentEvent);
+  events.on('media', handleMediaEvent);
+  return enqueue(initRepository);
+}
+
+/**
+ * Stop committing changes (pending commits still run)
+ */
+function stop() {
+  started = false;
+  events.removeListener('content', handleContentEvent);
+  events.removeListener('media', handleMediaEvent);
+}
+
+/**
+ * Wait for pending commits
+ */
+function flush() {
+  return queue;
+}
+
+function parseLog(output) {
+  return output
+    .split(RECORD)
+    .map(record => record.trim())
+    .filter(Boolean)
+    .map(record => {
+      const [commit, date, author, subject, body] = record.split(FIELD);
+      const actor = (body || '').match(/^Actor: (.+)$/m);
+      return { commit, date, author, message: subject, actor: actor ? actor[1] : null };
+    });
+}
+
+/**
+ * List the commits that changed a content item, newest first
+ * @param {object} options - { limit, offset }
+ * @returns {array} - [{ commit, date, author, message, actor }]
+ */
+async function getHistory(type, id, options = {}) {
+  await flush();
+  const args = ['log', `--format=%H${FIELD}%aI${FIELD}%an${FIELD}%s${FIELD}%b${RECORD}`];
+  if (options.limit) {
+    args.push(`--max-count=${options.limit}`);
+  }
+  if (options.offset) {
+    args.push(`--skip=${options.offset}`);
+  }
+
+  try {
+    return parseLog(await git([...args, '--', getContentPath(type, id)]));
+  } catch (error) {
+    // A repository without commits has no history yet
+    if (/does not have any commits/.test(error.message)) {
+      return [];
+    }
+    throw error;
+  }
+}
+
+/**
+ * Read a content item as it was at a commit
+ * @param {string} commit - Commit hash (full or abbreviated)
+ * @returns {object|null} - { commit, content }, or null if the commit is unknown
+ * or the item did not exist at that commit
+ */
+async function getContentAt(type, id, commit) {
+  if (!/^[0-9a-f]{4,40}$/i.test(commit)) {
+    return null;
+  }
+  await flush();
+
+  try {
+    const resolved = (await git(['rev-parse', '--verify', '--quiet', `${commit}^{commit}`])).trim();
+    const content = JSON.parse(await git(['show', `${resolved}:${getContentPath(type, id)}`]));
+    return { commit: resolved, content };
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  isEnabled,
+  start,
+  stop,
+  flush,
+  getHistory,
+  getContentAt
+};
@@ -0,0 +1,121 @@
+const config = require('../config');
+
+/**
+ * Localized content
+ *
+ * Properties marked `"x-localized": true` in the schema can have a value per
+ * locale. The document itself holds the values of the default locale (the
+ * first of LOCALES); other locales are stored as variants holding only the
+ * fields they translate:
+ *
+ *   { "title": "Hello", "slug": "hello", "_locales": { "es": { "title": "Hola", "slug": "hola" } } }
+ *
+ * Reading in a locale resolves each localized field through the locale's
+ * fallback chain (LOCALE_FALLBACKS, e.g. ca -> es) and finally the default locale.
+ */
+
+// Field holding the locale variants of a document
+const LOCALES_FIELD = '_locales';
+
+function getDefaultLocale() {
+  return config.locales[0];
+}
+
+/**
+ * Check a requested locale against the configured locales
+ * Throws with code INVALID_QUERY for unknown locales
+ * @returns {string} - The locale
+ */
+function assertLocale(locale) {
+  if (!config.locales.includes(locale)) {
+    const error = new Error(`Unknown locale '${locale}'. Expected one of ${config.locales.join(', ')}`);
+    error.code = 'INVALID_QUERY';
+    throw error;
+  }
+  return locale;
+}
+
+/**
+ * List the localized fields of a content type definition
+ */
+function getLocalizedFields(definition) {
+  const properties = (definition && definition.properties) || {};
+  return Object.keys(properties).filter(field => properties[field] && properties[field]['x-localized'] === true);
+}
+
+/**
+ * Locales whose variants are consulted for a locale, most specific first
+ * The default locale is not included: its values are the document itself.
+ */
+function getFallbackChain(locale) {
+  const chain = [];
+  let current = locale;
+  while (current && current !== getDefaultLocale() && !chain.includes(current)) {
+    chain.push(current);
+    current = config.localeFallbacks[current];
+  }
+  return chain;
+}
+
+/**
+ * Get the value a document stores for a field in one locale (no fallback)
+ */
+function getLocaleValue(item, field, locale) {
+  if (locale === getDefaultLocale()) {
+    return item[field];
+  }
+  const variant = item[LOCALES_FIELD] && item[LOCALES_FIELD][locale];
+  return variant ? variant[field] : undefined;
+}
+
+/**
+ * Get the value of a field in a locale, following the fallback chain
+ */
+function getLocalizedValue(item, field, locale) {
+  for (const candidate of getFallbackChain(locale)) {
+    const value = getLocaleValue(item, field, candidate);
+    if (value !== undefined) {
+      return value;
+    }
+  }
+  return item[field];
+}
+
+/**
+ * Resolve a document to one locale
+ * @param {object} item - Stored document (not modified)
+ * @param {string} locale - Requested locale
+ * @param {array} fields - Localized fields of the type
+ * @returns {object} - Copy with localized values and without the locale variants
+ */
+function localizeItem(item, locale, fields) {
+  const { [LOCALES_FIELD]: variants, ...localized } = item;
+  if (variants) {
+    for (const field of fields) {
+      const value = getLocalizedValue(item, field, locale);
+      if (value !== undefined) {
+        localized[field] = value;
+      }
+    }
+  }
+  return localized;
+}
+
+/**
+ * List the locales a document has content for (the default locale first)
+ */
+function getItemLocales(item) {
+  const variants = item[LOCALES_FIELD] || {};
+  return [getDefaultLocale(), ...config.locales.filter(locale => variants[locale] !== undefined && locale !== getDefaultLocale())];
+}
+
+module.exports = {
+  LOCALES_FIELD,
+  getDefaultLocale,
+  assertLocale,
+  getLocalizedFields,
+  getLocaleValue,
+  getLocalizedValue,
+  localizeItem,
+  getItemLocales
+};
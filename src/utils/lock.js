@@ -0,0 +1,49 @@
+/**
+ * In-process keyed mutex
+ * Calls to withLock with the same key run one after another, in call order,
+ * so read-modify-write sequences on one item cannot interleave. Different
+ * keys never wait on each other. Locks are not reentrant: do not call
+ * withLock for a key from inside a callback already holding it.
+ */
+
+const tails = new Map();
+
+/**
+ * Run fn while holding the lock for key
+ * @param {string} key - Lock name (e.g. `post/123`)
+ * @param {function} fn - Async function to run exclusively
+ * @returns {*} - Whatever fn resolves to
+ */
+async function withLock(key, fn) {
+  const previous = tails.get(key) || Promise.resolve();
+  let release;
+  const current = new Promise(resolve => {
+    release = resolve;
+  });
+  const tail = previous.then(() => current);
+  tails.set(key, tail);
+
+  await previous;
+  try {
+    return await fn();
+  } finally {
+    release();
+    // Drop the entry once nobody is queued behind us
+    if (tails.get(key) === tail) {
+      tails.delete(key);
+    }
+  }
+}
+
+/**
+ * Lock key serializing writes to a single content item
+ * (shared by fileHandler and trashHandler)
+ */
+function getItemLockKey(type, id) {
+  return `content:${type}/${id}`;
+}
+
+module.exports = {
+  withLock,
+  getItemLockKey
+};
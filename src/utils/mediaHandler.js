@@ -2,6 +2,9 @@ const fs = require('fs-extra');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const config = require('../config');
+const { writeJsonAtomic } = require('./atomicFile');
+const { withLock } = require('./lock');
+const events = require('./events');
 
 /**
  * Ensure the media directory exists
@@ -18,6 +21,13 @@ function getMetadataPath(filePath) {
   return `${filePath}.meta.json`;
 }
 
+/**
+ * Lock key serializing writes to one media file and its metadata
+ */
+function getLockKey(type, filename) {
+  return `media:${type}/${filename}`;
+}
+
 /**
  * Save uploaded file and create metadata
  */
@@ -33,27 +43,67 @@ async function saveMedia(file, type = 'general') {
   const filename = `${uuidv4()}${ext}`;
   const filePath = path.join(typeDir, filename);
   
-  // Save file
-  await fs.move(file.path, filePath);
+  // Move the file and write its metadata as one unit per media item, so a
+  // delete or import of the same name cannot interleave with them
+  const metadata = await withLock(getLockKey(type, filename), async () => {
+    // Save file
+    await fs.move(file.path, filePath);
+    
+    // Create metadata
+    const saved = {
+      id: uuidv4(),
+      originalName: file.originalname,
+      filename,
+      type,
+      mimeType: file.mimetype,
+      size: file.size,
+      path: filePath,
+      url: `/api/media/${type}/${filename}`,
+      createdAt: new Date().toISOString()
+    };
+    
+    // Save metadata
+    await writeJsonAtomic(getMetadataPath(filePath), saved);
+    return saved;
+  });
   
-  // Create metadata
-  const metadata = {
-    id: uuidv4(),
-    originalName: file.originalname,
-    filename,
-    type,
-    mimeType: file.mimetype,
-    size: file.size,
-    path: filePath,
-    url: `/api/media/${type}/${filename}`,
-    createdAt: new Date().toISOString()
-  };
+  events.emit('media', { action: 'upload', type, filename, metadata });
+  return metadata;
+}
+
+/**
+ * Store a media file exported from another FlatCMS instance (see archiveHandler)
+ * The file keeps its type and filename, so content referencing its url still works.
+ * @param {object} metadata - Exported metadata ({ type, filename, ... })
+ * @param {string} sourcePath - File to move into the media directory
+ * @param {object} options - { overwrite: replace an existing file with the same name }
+ * @returns {object|null} - Metadata, or null if the file exists and was not replaced
+ */
+async function importMedia(metadata, sourcePath, options = {}) {
+  const { type, filename } = metadata;
+  const typeDir = path.join(config.mediaDir, type);
+  await fs.ensureDir(typeDir);
+  const filePath = path.join(typeDir, filename);
   
-  // Save metadata
-  const metadataPath = getMetadataPath(filePath);
-  await fs.writeJson(metadataPath, metadata, { spaces: 2 });
+  const imported = await withLock(getLockKey(type, filename), async () => {
+    if (!options.overwrite && await fs.pathExists(getMetadataPath(filePath))) {
+      return null;
+    }
+    
+    await fs.move(sourcePath, filePath, { overwrite: true });
+    const stored = {
+      ...metadata,
+      path: filePath,
+      url: `/api/media/${type}/${filename}`
+    };
+    await writeJsonAtomic(getMetadataPath(filePath), stored);
+    return stored;
+  });
   
-  return metadata;
+  if (imported) {
+    events.emit('media', { action: 'upload', type, filename, metadata: imported });
+  }
+  return imported;
 }
 
 /**
@@ -143,18 +193,26 @@ async function deleteMedia(type, filename) {
   const metadataPath = getMetadataPath(filePath);
   
   try {
-    // Delete file
-    const fileExists = await fs.pathExists(filePath);
-    if (fileExists) {
-      await fs.remove(filePath);
-    }
+    const { metadata, fileExists, metadataExists } = await withLock(getLockKey(type, filename), async () => {
+      const current = await getMediaMetadata(type, filename).catch(() => null);
+      
+      // Delete file
+      const hadFile = await fs.pathExists(filePath);
+      if (hadFile) {
+        await fs.remove(filePath);
+      }
+      
+      // Delete metadata
+      const hadMetadata = await fs.pathExists(metadataPath);
+      if (hadMetadata) {
+        await fs.remove(metadataPath);
+      }
+      return { metadata: current, fileExists: hadFile, metadataExists: hadMetadata };
+    });
     
-    // Delete metadata
-    const metadataExists = await fs.pathExists(metadataPath);
-    if (metadataExists) {
-      await fs.remove(metadataPath);
+    if (fileExists || metadataExists) {
+      events.emit('media', { action: 'delete', type, filename, metadata });
     }
-    
     return true;
   } catch (error) {
     if (error.code === 'ENOENT') {
@@ -173,6 +231,7 @@ function getMediaFilePath(type, filename) {
 
 module.exports = {
   saveMedia,
+  importMedia,
   getMediaMetadata,
   listMedia,
   deleteMedia,
@@ -0,0 +1,253 @@
+/**
+ * Patch helpers for PATCH /api/content/:type/:id
+ * - JSON Merge Patch (RFC 7386): application/merge-patch+json
+ * - JSON Patch (RFC 6902): application/json-patch+json
+ *
+ * Both functions return a new document and never mutate their input.
+ * Failures throw an Error with a `code` of INVALID_PATCH or PATCH_TEST_FAILED.
+ */
+
+const MERGE_PATCH_TYPE = 'application/merge-patch+json';
+const JSON_PATCH_TYPE = 'application/json-patch+json';
+
+// Keys that would reach Object.prototype instead of the document
+const FORBIDDEN_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+function patchError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function assertAllowedKey(key) {
+  if (FORBIDDEN_KEYS.includes(key)) {
+    throw patchError('INVALID_PATCH', `Patches may not use the key "${key}"`);
+  }
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, index) => deepEqual(item, b[index]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const aKeys = Object.keys(a);
+    const bKeys = Object.keys(b);
+    return aKeys.length === bKeys.length && aKeys.every(key =>
+      Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key])
+    );
+  }
+  return false;
+}
+
+/**
+ * Apply a JSON Merge Patch (RFC 7386)
+ * null removes a member, objects merge recursively, everything else replaces
+ */
+function applyMergePatch(target, patch) {
+  if (!isPlainObject(patch)) {
+    return clone(patch);
+  }
+
+  const result = isPlainObject(target) ? clone(target) : {};
+  for (const [key, value] of Object.entries(patch)) {
+    assertAllowedKey(key);
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  }
+  return result;
+}
+
+/**
+ * Parse a JSON Pointer (RFC 6901) into its reference tokens
+ */
+function parsePointer(pointer) {
+  if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/'))) {
+    throw patchError('INVALID_PATCH', `Invalid JSON Pointer: ${pointer}`);
+  }
+  if (pointer === '') {
+    return [];
+  }
+  const tokens = pointer
+    .substring(1)
+    .split('/')
+    .map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+  tokens.forEach(assertAllowedKey);
+  return tokens;
+}
+
+function resolveArrayIndex(array, token, allowEnd) {
+  if (allowEnd && token === '-') {
+    return array.length;
+  }
+  if (!/^(0|[1-9][0-9]*)$/.test(token)) {
+    throw patchError('INVALID_PATCH', `Invalid array index: ${token}`);
+  }
+  const index = parseInt(token, 10);
+  const max = allowEnd ? array.length : array.length - 1;
+  if (index > max) {
+    throw patchError('INVALID_PATCH', `Array index out of bounds: ${token}`);
+  }
+  return index;
+}
+
+/**
+ * Walk to the parent container of the location a pointer refers to
+ */
+function resolveParent(document, tokens, path) {
+  let current = document;
+  for (const token of tokens.slice(0, -1)) {
+    if (Array.isArray(current)) {
+      current = current[resolveArrayIndex(current, token, false)];
+    } else if (isPlainObject(current) && Object.prototype.hasOwnProperty.call(current, token)) {
+      current = current[token];
+    } else {
+      throw patchError('INVALID_PATCH', `Path not found: ${path}`);
+    }
+  }
+  if (!Array.isArray(current) && !isPlainObject(current)) {
+    throw patchError('INVALID_PATCH', `Path not found: ${path}`);
+  }
+  return current;
+}
+
+function getValue(document, path) {
+  const tokens = parsePointer(path);
+  if (tokens.length === 0) {
+    return document;
+  }
+  const parent = resolveParent(document, tokens, path);
+  const key = tokens[tokens.length - 1];
+  if (Array.isArray(parent)) {
+    return parent[resolveArrayIndex(parent, key, false)];
+  }
+  if (!Object.prototype.hasOwnProperty.call(parent, key)) {
+    throw patchError('INVALID_PATCH', `Path not found: ${path}`);
+  }
+  return parent[key];
+}
+
+function addValue(document, path, value) {
+  const tokens = parsePointer(path);
+  if (tokens.length === 0) {
+    return value;
+  }
+  const parent = resolveParent(document, tokens, path);
+  const key = tokens[tokens.length - 1];
+  if (Array.isArray(parent)) {
+    parent.splice(resolveArrayIndex(parent, key, true), 0, value);
+  } else {
+    parent[key] = value;
+  }
+  return document;
+}
+
+function removeValue(document, path) {
+  const tokens = parsePointer(path);
+  if (tokens.length === 0) {
+    throw patchError('INVALID_PATCH', 'Cannot remove the document root');
+  }
+  const parent = resolveParent(document, tokens, path);
+  const key = tokens[tokens.length - 1];
+  if (Array.isArray(parent)) {
+    parent.splice(resolveArrayIndex(parent, key, false), 1);
+  } else {
+    if (!Object.prototype.hasOwnProperty.call(parent, key)) {
+      throw patchError('INVALID_PATCH', `Path not found: ${path}`);
+    }
+    delete parent[key];
+  }
+  return document;
+}
+
+/**
+ * Apply a JSON Patch (RFC 6902) operation list
+ * Operations are applied in order; if any fails the whole patch fails
+ */
+function applyJsonPatch(target, operations) {
+  if (!Array.isArray(operations)) {
+    throw patchError('INVALID_PATCH', 'JSON Patch body must be an array of operations');
+  }
+
+  let document = clone(target);
+
+  operations.forEach((operation, index) => {
+    if (!isPlainObject(operation) || typeof operation.op !== 'string') {
+      throw patchError('INVALID_PATCH', `Operation ${index} is not a valid JSON Patch operation`);
+    }
+
+    const { op, path, from } = operation;
+    const requiresValue = ['add', 'replace', 'test'].includes(op);
+    if (requiresValue && !Object.prototype.hasOwnProperty.call(operation, 'value')) {
+      throw patchError('INVALID_PATCH', `Operation ${index} (${op}) is missing "value"`);
+    }
+
+    switch (op) {
+      case 'add':
+        document = addValue(document, path, clone(operation.value));
+        break;
+
+      case 'remove':
+        document = removeValue(document, path);
+        break;
+
+      case 'replace':
+        getValue(document, path);
+        if (parsePointer(path).length === 0) {
+          document = clone(operation.value);
+        } else {
+          document = addValue(removeValue(document, path), path, clone(operation.value));
+        }
+        break;
+
+      case 'move': {
+        if (typeof path === 'string' && path.startsWith(`${from}/`)) {
+          throw patchError('INVALID_PATCH', `Operation ${index} cannot move a value into one of its children`);
+        }
+        const value = getValue(document, from);
+        document = addValue(removeValue(document, from), path, value);
+        break;
+      }
+
+      case 'copy':
+        document = addValue(document, path, clone(getValue(document, from)));
+        break;
+
+      case 'test': {
+        let actual;
+        try {
+          actual = getValue(document, path);
+        } catch (error) {
+          throw patchError('PATCH_TEST_FAILED', `Test operation ${index} failed: ${error.message}`);
+        }
+        if (!deepEqual(actual, operation.value)) {
+          throw patchError('PATCH_TEST_FAILED', `Test operation ${index} failed at ${path}`);
+        }
+        break;
+      }
+
+      default:
+        throw patchError('INVALID_PATCH', `Operation ${index} has unknown op: ${op}`);
+    }
+  });
+
+  return document;
+}
+
+module.exports = {
+  MERGE_PATCH_TYPE,
+  JSON_PATCH_TYPE,
+  applyMergePatch,
+  applyJsonPatch
+};
@@ -0,0 +1,128 @@
+const config = require('../config');
+const fileHandler = require('./fileHandler');
+const validator = require('./validator');
+const { buildPathTree } = require('./queryParser');
+
+// What happens to a reference when the referenced item is deleted (see referenceHandler)
+const ON_DELETE_POLICIES = ['restrict', 'cascade', 'nullify'];
+
+/**
+ * Get the referenced content type for a schema property
+ * A property references another type with `"x-ref": "<type>"`, either on the
+ * property itself (single id) or on its `items` (array of ids). Its `onDelete`
+ * policy (on the property or next to `x-ref`) defaults to restrict.
+ * @returns {object|null} - { type, many, onDelete } or null if the property is not a reference
+ */
+function getReference(fieldSchema) {
+  if (!fieldSchema || typeof fieldSchema !== 'object') {
+    return null;
+  }
+  let reference = null;
+  if (typeof fieldSchema['x-ref'] === 'string') {
+    reference = { type: fieldSchema['x-ref'], many: false };
+  } else if (fieldSchema.items && typeof fieldSchema.items['x-ref'] === 'string') {
+    reference = { type: fieldSchema.items['x-ref'], many: true };
+  }
+  if (!reference) {
+    return null;
+  }
+  const onDelete = fieldSchema.onDelete || (fieldSchema.items && fieldSchema.items.onDelete);
+  return { ...reference, onDelete: ON_DELETE_POLICIES.includes(onDelete) ? onDelete : 'restrict' };
+}
+
+/**
+ * List the reference fields declared for a content type
+ * @returns {array} - [{ field, type, many, onDelete }]
+ */
+async function getReferenceFields(type) {
+  const definition = await validator.getSchemaDefinition(type);
+  if (!definition || !definition.properties) {
+    return [];
+  }
+
+  return Object.entries(definition.properties)
+    .map(([field, fieldSchema]) => {
+      const reference = getReference(fieldSchema);
+      return reference ? { field, ...reference } : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Inline referenced documents into content items
+ * Dangling references are left as ids. A reference back to an item that is
+ * already being populated higher up the chain is also left as an id, which
+ * prevents cycles such as post -> author -> post.
+ * @param {string} type - Content type of the items
+ * @param {array} items - Content items
+ * @param {array} paths - Field paths to populate (e.g. ['author', 'related.author'])
+ * @param {function} localize - Optional async (type, item) -> item applied to referenced documents
+ * @returns {array} - New item objects; the input items are not modified
+ */
+async function populateItems(type, items, paths, localize = null) {
+  if (!paths || paths.length === 0) {
+    return items;
+  }
+
+  const tooDeep = paths.find(fieldPath => fieldPath.split('.').length > config.populateMaxDepth);
+  if (tooDeep) {
+    const error = new Error(`populate path '${tooDeep}' exceeds the maximum depth of ${config.populateMaxDepth}`);
+    error.code = 'INVALID_QUERY';
+    throw error;
+  }
+
+  const tree = buildPathTree(paths);
+  const cache = new Map();
+
+  // Load each referenced item at most once per request
+  function loadReference(refType, refId) {
+    const key = `${refType}/${refId}`;
+    if (!cache.has(key)) {
+      cache.set(key, fileHandler.getContent(refType, refId));
+    }
+    return cache.get(key);
+  }
+
+  async function populateItem(itemType, item, node, chain) {
+    const referenceFields = await getReferenceFields(itemType);
+    const result = { ...item };
+
+    for (const [field, childNode] of Object.entries(node)) {
+      const reference = referenceFields.find(ref => ref.field === field);
+      if (!reference || result[field] === undefined || result[field] === null) {
+        continue;
+      }
+
+      const resolve = async refId => {
+        if (typeof refId !== 'string') {
+          return refId;
+        }
+        const key = `${reference.type}/${refId}`;
+        if (chain.includes(key)) {
+          return refId;
+        }
+        const referenced = await loadReference(reference.type, refId);
+        if (!referenced) {
+          return refId;
+        }
+        const shown = localize ? await localize(reference.type, referenced) : referenced;
+        return populateItem(reference.type, shown, childNode, [...chain, key]);
+      };
+
+      result[field] = Array.isArray(result[field])
+        ? await Promise.all(result[field].map(resolve))
+        : await resolve(result[field]);
+    }
+
+    return result;
+  }
+
+  return Promise.all(items.map(item => populateItem(type, item, tree, [`${type}/${item.id}`])));
+}
+
+module.exports = {
+  ON_DELETE_POLICIES,
+  getReference,
+  getReferenceFields,
+  populateItems
+};
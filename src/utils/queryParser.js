@@ -1,20 +1,50 @@
+const { assertLocale } = require('./locales');
+
+const OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'contains', 'exists', 'startswith', 'regex', 'between'];
+const LOGICAL_OPERATORS = ['and', 'or', 'not'];
+const MAX_REGEX_LENGTH = 256;
+const MAX_REGEX_QUANTIFIERS = 10; // Repeating quantifiers (*, +, {n,m}) per pattern
+const MAX_REGEX_SUBJECT_LENGTH = 1000; // Longer values are tested on their first characters only
+
+function queryError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_QUERY';
+  return error;
+}
+
 /**
  * Parse query parameters into filter options
  * Supports:
  * - Simple equality: ?field=value
  * - Operators: ?field__gt=10, ?field__lt=20, ?field__gte=5, ?field__lte=15, ?field__ne=value
  * - Array contains: ?field__in=value1,value2,value3
- * - Text search: ?search=text (searches across string fields)
+ * - More operators: ?field__exists=true, ?field__startswith=abc, ?field__regex=^a.*z$, ?field__between=1,10
+ * - Filter expressions: ?filter={"or":[...]} (see parseFilterExpression)
+ * - Undeclared fields: ?strict=false allows filters on fields the schema does not declare
+ * - Text search: ?search=text (ranked full-text search, see searchIndex), ?highlight=true for snippets
  * - Status filter: ?status=published
+ * - Cursor pagination: ?cursor=<nextCursor from the previous page> (reserved, not a filter)
+ * - Reference population: ?populate=author,related (reserved, not a filter)
+ * - Field projection: ?fields=title,author.name or ?exclude=body (dot paths supported)
+ * - Locale: ?locale=es resolves localized fields in that locale (see locales)
  */
 function parseQuery(query) {
   const filters = {};
   const options = {
     filters: {},
     search: null,
+    highlight: false,
     sort: null,
     limit: null,
-    offset: 0
+    offset: 0,
+    cursor: null,
+    expression: null,
+    fieldTypes: {},
+    strict: true,
+    populate: [],
+    fields: [],
+    exclude: [],
+    locale: null
   };
 
   for (const [key, value] of Object.entries(query)) {
@@ -35,6 +65,21 @@ function parseQuery(query) {
       continue;
     }
 
+    if (key === 'strict') {
+      options.strict = !(value === 'false' || value === '0');
+      continue;
+    }
+
+    if (key === 'locale') {
+      options.locale = value ? assertLocale(String(value)) : null;
+      continue;
+    }
+
+    if (key === 'cursor') {
+      options.cursor = value ? String(value) : null;
+      continue;
+    }
+
     // Handle sorting
     if (key === 'sort') {
       // Format: sort=field or sort=-field (descending)
@@ -44,26 +89,46 @@ function parseQuery(query) {
       continue;
     }
 
-    // Handle search (full-text search across string fields)
+    // Handle reference population (comma-separated field paths)
+    if (key === 'populate') {
+      options.populate = parseList(value);
+      continue;
+    }
+
+    // Handle field projection
+    if (key === 'fields' || key === 'exclude') {
+      options[key] = parseList(value);
+      continue;
+    }
+
+    // Handle filter expressions (JSON with and/or/not groups)
+    if (key === 'filter') {
+      options.expression = parseFilterExpression(value);
+      continue;
+    }
+
+    // Handle search (ranked full-text search)
     if (key === 'search') {
       options.search = value;
       continue;
     }
 
+    if (key === 'highlight') {
+      options.highlight = value === 'true' || value === '1';
+      continue;
+    }
+
     // Handle field filters with operators
-    const operatorMatch = key.match(/^(.+)__(gt|lt|gte|lte|ne|in|contains)$/);
+    const operatorMatch = key.match(/^(.+)__([a-z]+)$/);
     if (operatorMatch) {
       const [, field, operator] = operatorMatch;
+      if (!OPERATORS.includes(operator)) {
+        throw queryError(`Unknown filter operator '${operator}' in '${key}'. Expected one of ${OPERATORS.join(', ')}`);
+      }
       if (!filters[field]) {
         filters[field] = {};
       }
-      
-      if (operator === 'in') {
-        // Parse comma-separated values
-        filters[field][operator] = value.split(',').map(v => v.trim());
-      } else {
-        filters[field][operator] = value;
-      }
+      filters[field][operator] = normalizeOperand(operator, value, key);
       continue;
     }
 
@@ -75,15 +140,251 @@ function parseQuery(query) {
   return options;
 }
 
+/**
+ * Reject patterns that can backtrack catastrophically, since they run against
+ * every item of a listing: a repeated group that itself contains a repeating
+ * quantifier or an alternation (e.g. (a+)+ or (a|a)*), backreferences, and
+ * patterns with many repeating quantifiers. Conservative: some harmless
+ * patterns such as (jpg|png)+ are rejected too.
+ */
+function assertSafeRegex(source, location) {
+  const unsafe = reason => queryError(`${location}: regex pattern is not allowed (${reason}), as it could take too long to match`);
+  const root = { repeats: false, alternates: false };
+  const groups = [root];
+  let quantifiers = 0;
+  // What the next quantifier applies to: a group's summary, or null for a single character
+  let lastAtom = null;
+  
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    const current = groups[groups.length - 1];
+    
+    // Quantifier after an atom
+    const braces = char === '{' ? source.slice(i).match(/^\{(\d+)(,(\d*))?\}/) : null;
+    if (char === '*' || char === '+' || char === '?' || braces) {
+      const max = braces && (braces[2] === undefined ? Number(braces[1]) : braces[3] === '' ? Infinity : Number(braces[3]));
+      const repeating = char === '*' || char === '+' || max > 1;
+      if (braces) {
+        i += braces[0].length - 1;
+      }
+      if (source[i + 1] === '?') {
+        i++; // Lazy quantifier
+      }
+      if (repeating) {
+        if (lastAtom && lastAtom.repeats) {
+          throw unsafe('nested quantifiers');
+        }
+        if (lastAtom && lastAtom.alternates) {
+          throw unsafe('repeated alternation');
+        }
+        quantifiers++;
+        if (quantifiers > MAX_REGEX_QUANTIFIERS) {
+          throw unsafe(`more than ${MAX_REGEX_QUANTIFIERS} repeating quantifiers`);
+        }
+        current.repeats = true;
+      }
+      lastAtom = null;
+      continue;
+    }
+    
+    if (char === '\\') {
+      const next = source[i + 1];
+      if (/[1-9]/.test(next) || (next === 'k' && source[i + 2] === '<')) {
+        throw unsafe('backreferences');
+      }
+      i++;
+      lastAtom = null;
+    } else if (char === '[') {
+      // Skip the character class; it matches one character
+      for (i++; i < source.length && source[i] !== ']'; i++) {
+        if (source[i] === '\\') i++;
+      }
+      lastAtom = null;
+    } else if (char === '(') {
+      // Skip group prefixes (?:, (?=, (?!, (?<=, (?<!, (?<name>
+      if (source[i + 1] === '?') {
+        const prefix = source.slice(i + 1).match(/^\?(<[A-Za-z_$][\w$]*>|<=|<!|[:=!])/);
+        i += prefix ? prefix[0].length : 1;
+      }
+      groups.push({ repeats: false, alternates: false });
+      lastAtom = null;
+    } else if (char === ')' && groups.length > 1) {
+      const group = groups.pop();
+      const parent = groups[groups.length - 1];
+      parent.repeats = parent.repeats || group.repeats;
+      parent.alternates = parent.alternates || group.alternates;
+      lastAtom = group;
+    } else if (char === '|') {
+      current.alternates = true;
+      lastAtom = null;
+    } else {
+      lastAtom = null;
+    }
+  }
+}
+
+/**
+ * Check and normalize the operand of a filter operator
+ * Query string operands arrive as strings; JSON expression operands may be typed.
+ * Regular expressions are compiled here, once per request.
+ * @param {string} location - Where the operand came from, for error messages
+ */
+function normalizeOperand(operator, value, location) {
+  const isScalar = value === null || ['string', 'number', 'boolean'].includes(typeof value);
+  const toList = input => (Array.isArray(input) ? input : String(input).split(',').map(v => v.trim()));
+  
+  switch (operator) {
+    case 'in':
+      if (!Array.isArray(value) && typeof value !== 'string') {
+        throw queryError(`${location}: 'in' expects an array or comma-separated values`);
+      }
+      return toList(value).map(String);
+    
+    case 'between': {
+      const range = Array.isArray(value) || typeof value === 'string' ? toList(value) : [];
+      if (range.length !== 2 || range.some(bound => bound === '' || bound === null || typeof bound === 'object')) {
+        throw queryError(`${location}: 'between' expects two bounds, e.g. [1, 10] or 1,10`);
+      }
+      return range;
+    }
+    
+    case 'exists':
+      if (value === true || value === 'true') return true;
+      if (value === false || value === 'false') return false;
+      throw queryError(`${location}: 'exists' expects true or false`);
+    
+    case 'regex': {
+      if (typeof value !== 'string') {
+        throw queryError(`${location}: 'regex' expects a pattern string`);
+      }
+      if (value.length > MAX_REGEX_LENGTH) {
+        throw queryError(`${location}: regex pattern is longer than ${MAX_REGEX_LENGTH} characters`);
+      }
+      // Accept /pattern/flags as well as a bare pattern
+      const literal = value.match(/^\/(.*)\/([a-z]*)$/s);
+      assertSafeRegex(literal ? literal[1] : value, location);
+      try {
+        // g and y would make test() stateful across items
+        return literal ? new RegExp(literal[1], literal[2].replace(/[gy]/g, '')) : new RegExp(value);
+      } catch (error) {
+        throw queryError(`${location}: invalid regex: ${error.message}`);
+      }
+    }
+    
+    default:
+      if (!isScalar) {
+        throw queryError(`${location}: '${operator}' expects a single value`);
+      }
+      return value;
+  }
+}
+
+/**
+ * Parse a filter expression (?filter=) into a normalized tree
+ * The expression is JSON:
+ * - { "field": value } is equality, { "field": { "op": value, ... } } applies operators
+ * - several fields in one object must all match
+ * - { "and": [...] }, { "or": [...] } and { "not": {...} } combine expressions
+ * Example: {"or": [{"category": "news"}, {"tags": {"contains": "featured"}}], "not": {"status": "archived"}}
+ * Throws with code INVALID_QUERY when the expression is malformed.
+ * @returns {object} - { and: [...] } | { or: [...] } | { not: node } | { field, operator, value }
+ */
+function parseFilterExpression(value) {
+  if (Array.isArray(value)) {
+    throw queryError('filter may only be given once');
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(value);
+  } catch (error) {
+    throw queryError(`filter is not valid JSON: ${error.message}`);
+  }
+  return normalizeExpression(parsed, 'filter');
+}
+
+function normalizeExpression(node, location) {
+  if (node === null || typeof node !== 'object' || Array.isArray(node)) {
+    throw queryError(`${location}: expected an object`);
+  }
+  const entries = Object.entries(node);
+  if (entries.length === 0) {
+    throw queryError(`${location}: empty expression`);
+  }
+  
+  const clauses = entries.map(([key, value]) => {
+    const keyLocation = `${location}.${key}`;
+    
+    if (key === 'and' || key === 'or') {
+      if (!Array.isArray(value) || value.length === 0) {
+        throw queryError(`${keyLocation}: expected a non-empty array of expressions`);
+      }
+      return { [key]: value.map((child, index) => normalizeExpression(child, `${keyLocation}[${index}]`)) };
+    }
+    if (key === 'not') {
+      return { not: normalizeExpression(value, keyLocation) };
+    }
+    
+    // Field condition: shorthand equality or an operator map
+    if (value === null || typeof value !== 'object') {
+      return { field: key, operator: 'eq', value: normalizeOperand('eq', value, keyLocation) };
+    }
+    if (Array.isArray(value)) {
+      throw queryError(`${keyLocation}: use { "in": [...] } to match one of several values`);
+    }
+    const operators = Object.entries(value);
+    if (operators.length === 0) {
+      throw queryError(`${keyLocation}: expected at least one operator`);
+    }
+    const conditions = operators.map(([operator, operand]) => {
+      if (!OPERATORS.includes(operator)) {
+        throw queryError(`${keyLocation}: unknown operator '${operator}'. Expected one of ${OPERATORS.join(', ')} (or ${LOGICAL_OPERATORS.join(', ')} to group expressions)`);
+      }
+      return { field: key, operator, value: normalizeOperand(operator, operand, `${keyLocation}.${operator}`) };
+    });
+    return conditions.length === 1 ? conditions[0] : { and: conditions };
+  });
+  
+  return clauses.length === 1 ? clauses[0] : { and: clauses };
+}
+
+/**
+ * Check a content item against a normalized filter expression
+ */
+function matchesExpression(item, expression) {
+  if (expression.and) {
+    return expression.and.every(child => matchesExpression(item, child));
+  }
+  if (expression.or) {
+    return expression.or.some(child => matchesExpression(item, child));
+  }
+  if (expression.not) {
+    return !matchesExpression(item, expression.not);
+  }
+  return matchesCondition(getNestedValue(item, expression.field), expression.operator, expression.value, expression.kind);
+}
+
+/**
+ * Parse a comma-separated query value into a list of trimmed, non-empty entries
+ * Repeated parameters (?populate=a&populate=b) arrive as arrays and are merged
+ */
+function parseList(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap(v => String(v).split(','))
+    .map(v => v.trim())
+    .filter(Boolean);
+}
+
 /**
  * Apply filters to a content item
+ * @param {object} fieldTypes - Optional field -> kind map (see coerceOperand)
  */
-function matchesFilters(item, filters) {
+function matchesFilters(item, filters, fieldTypes = {}) {
   for (const [field, conditions] of Object.entries(filters)) {
     const value = getNestedValue(item, field);
     
     for (const [operator, filterValue] of Object.entries(conditions)) {
-      if (!matchesCondition(value, operator, filterValue)) {
+      if (!matchesCondition(value, operator, filterValue, fieldTypes[field])) {
         return false;
       }
     }
@@ -91,10 +392,146 @@ function matchesFilters(item, filters) {
   return true;
 }
 
+/**
+ * Convert one filter operand to the field's kind
+ * Dates become timestamps so they compare chronologically.
+ */
+function coerceScalar(kind, value, location) {
+  switch (kind) {
+    case 'integer':
+      if (Number.isInteger(value)) return value;
+      if (typeof value === 'string' && /^-?(0|[1-9][0-9]*)$/.test(value)) return Number(value);
+      throw queryError(`${location}: expected an integer, got '${value}'`);
+    
+    case 'number':
+      if (typeof value === 'number' && Number.isFinite(value)) return value;
+      if (typeof value === 'string' && /^-?(0|[1-9][0-9]*)(\.[0-9]+)?([eE][+-]?[0-9]+)?$/.test(value)) return Number(value);
+      throw queryError(`${location}: expected a number, got '${value}'`);
+    
+    case 'boolean':
+      if (value === true || value === 'true') return true;
+      if (value === false || value === 'false') return false;
+      throw queryError(`${location}: expected true or false, got '${value}'`);
+    
+    case 'date': {
+      const time = typeof value === 'string' && /^[0-9]{4}-[0-9]{2}-[0-9]{2}/.test(value) ? Date.parse(value) : NaN;
+      if (isNaN(time)) {
+        throw queryError(`${location}: expected an ISO 8601 date, got '${value}'`);
+      }
+      return time;
+    }
+    
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * Convert the operand of a filter condition to the field's kind
+ * Kinds: 'string', 'integer', 'number', 'boolean', 'date' (format date or date-time).
+ * Text operators (contains, startswith, regex) and exists keep their operand.
+ * Throws with code INVALID_QUERY when the operand does not fit the kind.
+ * @param {string} location - Where the operand came from, for error messages
+ */
+function coerceOperand(kind, operator, value, location) {
+  switch (operator) {
+    case 'contains':
+    case 'startswith':
+    case 'regex':
+    case 'exists':
+      return value;
+    
+    case 'in':
+    case 'between':
+      return value.map(entry => coerceScalar(kind, entry, location));
+    
+    case 'eq':
+    case 'ne':
+      return value === null ? null : coerceScalar(kind, value, location);
+    
+    default:
+      if (value === null) {
+        throw queryError(`${location}: '${operator}' cannot compare with null`);
+      }
+      return coerceScalar(kind, value, location);
+  }
+}
+
+/**
+ * Convert a stored value for comparison with an operand of the given kind
+ * @returns {*} - Comparable value, or undefined if the stored value is not of that kind
+ */
+function toComparable(kind, value) {
+  switch (kind) {
+    case 'integer':
+    case 'number':
+      return typeof value === 'number' ? value : undefined;
+    case 'boolean':
+      return typeof value === 'boolean' ? value : undefined;
+    case 'date': {
+      const time = typeof value === 'string' ? Date.parse(value) : NaN;
+      return isNaN(time) ? undefined : time;
+    }
+    default:
+      return typeof value === 'string' ? value : undefined;
+  }
+}
+
+/**
+ * Check a typed condition (operand already converted by coerceOperand)
+ * Values of another kind never match, so "10" does not equal 10 and
+ * "true" does not equal true. For array fields any element may match
+ * (ne: no element may be equal).
+ */
+function matchesTypedCondition(value, operator, filterValue, kind) {
+  if (Array.isArray(value) && operator !== 'exists') {
+    if (operator === 'ne') {
+      return !value.some(v => matchesTypedCondition(v, 'eq', filterValue, kind));
+    }
+    return value.some(v => matchesTypedCondition(v, operator, filterValue, kind));
+  }
+  
+  const comparable = toComparable(kind, value);
+  switch (operator) {
+    case 'eq':
+      return filterValue === null ? value === undefined || value === null : comparable === filterValue;
+    
+    case 'ne':
+      return !matchesTypedCondition(value, 'eq', filterValue, kind);
+    
+    case 'gt':
+      return comparable !== undefined && comparable > filterValue;
+    
+    case 'gte':
+      return comparable !== undefined && comparable >= filterValue;
+    
+    case 'lt':
+      return comparable !== undefined && comparable < filterValue;
+    
+    case 'lte':
+      return comparable !== undefined && comparable <= filterValue;
+    
+    case 'in':
+      return comparable !== undefined && filterValue.includes(comparable);
+    
+    case 'between':
+      return comparable !== undefined && comparable >= filterValue[0] && comparable <= filterValue[1];
+    
+    default:
+      return matchesCondition(value, operator, filterValue);
+  }
+}
+
 /**
  * Check if a value matches a condition
+ * With a kind (from the schema), comparisons are typed; without one, values
+ * are compared loosely.
  */
-function matchesCondition(value, operator, filterValue) {
+function matchesCondition(value, operator, filterValue, kind = null) {
+  if (kind) {
+    return matchesTypedCondition(value, operator, filterValue, kind);
+  }
+  
   switch (operator) {
     case 'eq':
       return value == filterValue; // Use == for type coercion (string "true" == boolean true)
@@ -127,8 +564,25 @@ function matchesCondition(value, operator, filterValue) {
       }
       return String(value).toLowerCase().includes(String(filterValue).toLowerCase());
     
+    case 'exists':
+      return (value !== undefined && value !== null) === filterValue;
+    
+    case 'startswith': {
+      const prefix = String(filterValue).toLowerCase();
+      const values = Array.isArray(value) ? value : [value];
+      return values.some(v => v !== undefined && v !== null && String(v).toLowerCase().startsWith(prefix));
+    }
+    
+    case 'regex': {
+      const values = Array.isArray(value) ? value : [value];
+      return values.some(v => typeof v === 'string' && filterValue.test(v.slice(0, MAX_REGEX_SUBJECT_LENGTH)));
+    }
+    
+    case 'between':
+      return matchesCondition(value, 'gte', filterValue[0]) && matchesCondition(value, 'lte', filterValue[1]);
+    
     default:
-      return true;
+      throw queryError(`Unknown filter operator: ${operator}`);
   }
 }
 
@@ -142,77 +596,189 @@ function getNestedValue(obj, path) {
 }
 
 /**
- * Apply search across string fields
+ * Turn dot paths (author, related.author) into a nested tree
+ * ({ author: {}, related: { author: {} } })
  */
-function matchesSearch(item, searchTerm) {
-  if (!searchTerm) return true;
-  
-  const searchLower = searchTerm.toLowerCase();
-  
-  // Search in all string fields recursively
-  function searchInObject(obj) {
-    for (const value of Object.values(obj)) {
-      if (typeof value === 'string' && value.toLowerCase().includes(searchLower)) {
-        return true;
-      }
-      if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
-        if (searchInObject(value)) return true;
-      }
-      if (Array.isArray(value)) {
-        for (const item of value) {
-          if (typeof item === 'string' && item.toLowerCase().includes(searchLower)) {
-            return true;
-          }
-        }
-      }
+function buildPathTree(paths) {
+  const tree = {};
+  for (const fieldPath of paths) {
+    let node = tree;
+    for (const segment of fieldPath.split('.')) {
+      node[segment] = node[segment] || {};
+      node = node[segment];
+    }
+  }
+  return tree;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Keep only the paths in tree; arrays are projected element by element
+function pickPaths(value, tree) {
+  if (Array.isArray(value)) {
+    return value.map(item => pickPaths(item, tree));
+  }
+  if (!isPlainObject(value)) {
+    return value;
+  }
+  const result = {};
+  for (const [key, subtree] of Object.entries(tree)) {
+    if (value[key] === undefined) continue;
+    result[key] = Object.keys(subtree).length === 0 ? value[key] : pickPaths(value[key], subtree);
+  }
+  return result;
+}
+
+// Drop the leaf paths in tree; arrays are projected element by element
+function omitPaths(value, tree) {
+  if (Array.isArray(value)) {
+    return value.map(item => omitPaths(item, tree));
+  }
+  if (!isPlainObject(value)) {
+    return value;
+  }
+  const result = { ...value };
+  for (const [key, subtree] of Object.entries(tree)) {
+    if (result[key] === undefined) continue;
+    if (Object.keys(subtree).length === 0) {
+      delete result[key];
+    } else {
+      result[key] = omitPaths(result[key], subtree);
     }
-    return false;
   }
+  return result;
+}
+
+/**
+ * Apply field projection to a content item
+ * `id` is always kept when projecting with fields so items stay addressable
+ * @param {object} item - Content item (not modified)
+ * @param {array} fields - Dot paths to keep (empty keeps everything)
+ * @param {array} exclude - Dot paths to remove
+ */
+function projectItem(item, fields = [], exclude = []) {
+  let projected = item;
+  if (fields.length > 0) {
+    projected = { id: item.id, ...pickPaths(item, buildPathTree(fields)) };
+  }
+  if (exclude.length > 0) {
+    projected = omitPaths(projected, buildPathTree(exclude));
+  }
+  return projected;
+}
+
+/**
+ * Compare two sort keys ({ value, id }) in sort order
+ * null/undefined values sort last (first when descending); ties are broken by
+ * id so the order is total, which cursor pagination depends on
+ */
+function compareSortKeys(a, b, isDesc) {
+  const aMissing = a.value === undefined || a.value === null;
+  const bMissing = b.value === undefined || b.value === null;
   
-  return searchInObject(item);
+  let result = 0;
+  if (aMissing || bMissing) {
+    result = aMissing === bMissing ? 0 : (aMissing ? 1 : -1);
+  } else if (a.value < b.value) {
+    result = -1;
+  } else if (a.value > b.value) {
+    result = 1;
+  }
+  
+  if (result === 0) {
+    result = String(a.id) < String(b.id) ? -1 : (String(a.id) > String(b.id) ? 1 : 0);
+  }
+  return isDesc ? -result : result;
+}
+
+function getSortKey(item, sortConfig) {
+  const value = sortConfig.getValue ? sortConfig.getValue(item) : getNestedValue(item, sortConfig.field);
+  return { value, id: item.id };
 }
 
 /**
  * Sort items by field
+ * sortConfig: { field, direction }, plus an optional getValue(item) for values
+ * that are not stored on the item (e.g. search relevance)
  */
 function sortItems(items, sortConfig) {
   if (!sortConfig || !sortConfig.field) {
     return items;
   }
   
-  const { field, direction } = sortConfig;
-  const isDesc = direction === 'desc';
+  const isDesc = sortConfig.direction === 'desc';
   
-  return items.sort((a, b) => {
-    const aValue = getNestedValue(a, field);
-    const bValue = getNestedValue(b, field);
-    
-    // Handle undefined/null values
-    if (aValue === undefined || aValue === null) return isDesc ? -1 : 1;
-    if (bValue === undefined || bValue === null) return isDesc ? 1 : -1;
-    
-    // Compare values
-    if (aValue < bValue) return isDesc ? 1 : -1;
-    if (aValue > bValue) return isDesc ? -1 : 1;
-    return 0;
-  });
+  return items.sort((a, b) => compareSortKeys(getSortKey(a, sortConfig), getSortKey(b, sortConfig), isDesc));
+}
+
+/**
+ * Build an opaque cursor pointing just after an item
+ * The cursor records the sort it was issued for, plus the item's sort value and id
+ */
+function encodeCursor(item, sortConfig) {
+  const { field, direction } = sortConfig;
+  const { value } = getSortKey(item, sortConfig);
+  const payload = { f: field, d: direction, v: value === undefined ? null : value, id: item.id };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode a cursor and check it was issued for the same sort
+ * Throws with code INVALID_QUERY if the cursor is malformed or does not match
+ * @returns {object} - Sort key ({ value, id }) of the last item on the previous page
+ */
+function decodeCursor(cursor, sortConfig) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw queryError('Invalid cursor');
+  }
+  if (!payload || typeof payload !== 'object' || typeof payload.f !== 'string' || payload.id === undefined) {
+    throw queryError('Invalid cursor');
+  }
+  if (payload.f !== sortConfig.field || payload.d !== sortConfig.direction) {
+    throw queryError('Cursor does not match the requested sort; request the first page again');
+  }
+  return { value: payload.v, id: payload.id };
+}
+
+/**
+ * Keep only the items that come after a cursor
+ * @param {array} items - Items already sorted with sortConfig
+ */
+function applyCursor(items, cursor, sortConfig) {
+  const position = decodeCursor(cursor, sortConfig);
+  const isDesc = sortConfig.direction === 'desc';
+  return items.filter(item => compareSortKeys(getSortKey(item, sortConfig), position, isDesc) > 0);
 }
 
 /**
  * Apply pagination
  */
 function paginateItems(items, limit, offset) {
-  if (limit === null) {
+  if (limit === null || limit === undefined) {
     return items.slice(offset);
   }
   return items.slice(offset, offset + limit);
 }
 
 module.exports = {
+  queryError,
+  getNestedValue,
   parseQuery,
+  parseList,
+  buildPathTree,
+  projectItem,
+  parseFilterExpression,
+  coerceOperand,
   matchesFilters,
-  matchesSearch,
+  matchesExpression,
   sortItems,
+  encodeCursor,
+  applyCursor,
   paginateItems
 };
 
@@ -0,0 +1,165 @@
+const fileHandler = require('./fileHandler');
+const validator = require('./validator');
+const { getReferenceFields } = require('./populate');
+
+/**
+ * Referential integrity for schema-declared references (`x-ref`)
+ *
+ * When an item is deleted, each field referencing it follows its `onDelete` policy:
+ * - restrict (default): the delete is refused while the reference exists
+ * - cascade: the referencing item is deleted too (following its own referrers)
+ * - nullify: the reference is removed from the referencing item (a single
+ *   reference is unset, an id is removed from an array of references)
+ */
+
+function getKey(type, id) {
+  return `${type}/${id}`;
+}
+
+/**
+ * List the reference fields, across all content types, that point at a type
+ * @returns {array} - [{ type, field, many, onDelete }]
+ */
+async function getInboundFields(targetType) {
+  const inbound = [];
+  for (const type of await validator.listContentTypes()) {
+    for (const reference of await getReferenceFields(type)) {
+      if (reference.type === targetType) {
+        inbound.push({ type, field: reference.field, many: reference.many, onDelete: reference.onDelete });
+      }
+    }
+  }
+  return inbound;
+}
+
+function referencesId(value, id) {
+  return Array.isArray(value) ? value.includes(id) : value === id;
+}
+
+async function getStoredItems(type) {
+  return (await fileHandler.listContent(type, {})).data;
+}
+
+/**
+ * Copy of an item without its reference to refId in a field
+ * (a single reference is unset, an id is removed from an array)
+ */
+function removeReference(item, field, refId) {
+  const next = { ...item };
+  if (Array.isArray(next[field])) {
+    next[field] = next[field].filter(ref => ref !== refId);
+  } else if (next[field] === refId) {
+    delete next[field];
+  }
+  return next;
+}
+
+/**
+ * Referrers of an item, with the referencing documents
+ * @param {function} getItems - type -> items to search
+ */
+async function collectReferrers(type, id, getItems) {
+  const referrers = [];
+  for (const inbound of await getInboundFields(type)) {
+    for (const item of await getItems(inbound.type)) {
+      if (referencesId(item[inbound.field], id) && !(inbound.type === type && item.id === id)) {
+        referrers.push({ type: inbound.type, id: item.id, field: inbound.field, onDelete: inbound.onDelete, item });
+      }
+    }
+  }
+  return referrers;
+}
+
+/**
+ * Find the items that reference a content item, across all types
+ * An item referencing itself is not listed.
+ * @param {string} type - Content type of the referenced item
+ * @param {string} id - ID of the referenced item
+ * @returns {array} - [{ type, id, field, onDelete }]
+ */
+async function findReferrers(type, id) {
+  const referrers = await collectReferrers(type, id, getStoredItems);
+  return referrers.map(({ item, ...referrer }) => referrer);
+}
+
+/**
+ * Work out what deleting items involves under the onDelete policies
+ * Referrers that are deleted themselves (requested or cascaded) never block
+ * the delete and are not unlinked.
+ * @param {array} targets - [{ type, id }] items to delete
+ * @param {object} options
+ * - getItems: type -> the items that will exist when the delete is applied
+ *   (default: the stored items); bulkHandler passes its batch's working copy
+ * @returns {object}
+ * - blocked: restrict referrers that prevent the delete ([{ type, id, field, refType, refId }])
+ * - cascaded: further items to delete ([{ type, id }])
+ * - unlinked: references to remove ([{ type, id, field, refType, refId }])
+ * - invalid: unlinked references whose removal would leave their item failing
+ *   schema validation, which also prevents the delete ([{ type, id, field, refType, refId, details }])
+ */
+async function planDelete(targets, options = {}) {
+  const getItems = options.getItems || getStoredItems;
+  const deleting = new Set(targets.map(target => getKey(target.type, target.id)));
+  const cascaded = [];
+  const found = [];
+  const queue = [...targets];
+
+  while (queue.length > 0) {
+    const target = queue.shift();
+    for (const referrer of await collectReferrers(target.type, target.id, getItems)) {
+      found.push({ ...referrer, refType: target.type, refId: target.id });
+      const key = getKey(referrer.type, referrer.id);
+      if (referrer.onDelete === 'cascade' && !deleting.has(key)) {
+        deleting.add(key);
+        cascaded.push({ type: referrer.type, id: referrer.id });
+        queue.push({ type: referrer.type, id: referrer.id });
+      }
+    }
+  }
+
+  const remaining = found.filter(referrer => !deleting.has(getKey(referrer.type, referrer.id)));
+  const nullified = remaining.filter(referrer => referrer.onDelete === 'nullify');
+
+  // Each item as it will be once all of its references to deleted items are removed
+  const unlinkedItems = new Map();
+  for (const { type, id, field, refId, item } of nullified) {
+    const key = getKey(type, id);
+    const current = unlinkedItems.has(key) ? unlinkedItems.get(key).item : item;
+    unlinkedItems.set(key, { type, item: removeReference(current, field, refId) });
+  }
+  const errors = new Map();
+  for (const [key, { type, item }] of unlinkedItems) {
+    const validation = await validator.validateContent(type, item);
+    if (!validation.valid) {
+      errors.set(key, validation.errors);
+    }
+  }
+
+  const describe = ({ type, id, field, refType, refId }) => ({ type, id, field, refType, refId });
+  return {
+    blocked: remaining.filter(referrer => referrer.onDelete === 'restrict').map(describe),
+    cascaded,
+    unlinked: nullified.map(describe),
+    invalid: nullified
+      .filter(referrer => errors.has(getKey(referrer.type, referrer.id)))
+      .map(referrer => ({ ...describe(referrer), details: errors.get(getKey(referrer.type, referrer.id)) }))
+  };
+}
+
+/**
+ * Bulk plan steps (see bulkHandler.executePlan) applying a delete plan's
+ * cascades: references are removed first, then cascaded items deleted
+ */
+function getCascadeSteps(deletePlan) {
+  return [
+    ...deletePlan.unlinked.map(({ type, id, field, refId }) => ({ op: 'unlink', type, id, field, refId })),
+    ...deletePlan.cascaded.map(({ type, id }) => ({ op: 'delete', type, id }))
+  ];
+}
+
+module.exports = {
+  findReferrers,
+  removeReference,
+  planDelete,
+  getCascadeSteps
+};
@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Per-request context, available to code called while handling an API request
+ * without passing it through every function (e.g. who made a change, for git commits)
+ */
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Identify an API key without revealing it: `key:` plus the start of its SHA-256
+ */
+function getKeyFingerprint(apiKey) {
+  return `key:${crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 12)}`;
+}
+
+/**
+ * Run fn (and everything it calls, including async continuations) with a context
+ * @param {object} context - { actor }
+ */
+function run(context, fn) {
+  return storage.run(context, fn);
+}
+
+/**
+ * Wrap a middleware that loses the context (e.g. multer, which continues from
+ * stream events) so that the handlers after it still see it
+ */
+function preserve(middleware) {
+  return (req, res, next) => {
+    const context = storage.getStore();
+    middleware(req, res, context ? (...args) => storage.run(context, () => next(...args)) : next);
+  };
+}
+
+/**
+ * Who is making the current change: the API key fingerprint for API requests,
+ * 'system' for background work such as scheduled publishing
+ */
+function getActor() {
+  const context = storage.getStore();
+  return (context && context.actor) || 'system';
+}
+
+module.exports = {
+  getKeyFingerprint,
+  run,
+  preserve,
+  getActor
+};
@@ -0,0 +1,268 @@
+const config = require('../config');
+const fileHandler = require('./fileHandler');
+const validator = require('./validator');
+const events = require('./events');
+const { computeEtag } = require('./etag');
+
+// setTimeout cannot wait longer than this (about 24.8 days)
+const MAX_TIMER_DELAY = 2147483647;
+
+// Pending transitions, soonest first (kept current by content events between scans)
+let queue = [];
+let nextTimer = null;
+let pollTimer = null;
+let running = false;
+let runRequested = false;
+let rescanRequested = false;
+let started = false;
+// Changes seen while a scan is reading items, replayed over its result (key -> { type, id, content })
+let changedDuringScan = null;
+
+function parseTime(value) {
+  if (!value) return null;
+  const time = new Date(value).getTime();
+  return isNaN(time) ? null : time;
+}
+
+/**
+ * Work out which scheduled transitions are pending for a content item
+ * - publish: `publishAt` is set and the item is not published yet
+ * - unpublish: `unpublishAt` is set and the item is (or will be) published
+ */
+function getScheduledActions(type, item) {
+  const actions = [];
+  const publishTime = parseTime(item.publishAt);
+  const unpublishTime = parseTime(item.unpublishAt);
+  const pendingPublish = publishTime !== null && item.status !== 'published';
+
+  if (pendingPublish) {
+    actions.push({ type, id: item.id, action: 'publish', at: new Date(publishTime).toISOString(), time: publishTime });
+  }
+  if (unpublishTime !== null && (item.status === 'published' || (pendingPublish && unpublishTime > publishTime))) {
+    actions.push({ type, id: item.id, action: 'unpublish', at: new Date(unpublishTime).toISOString(), time: unpublishTime });
+  }
+
+  return actions;
+}
+
+/**
+ * Collect pending transitions by scanning every content type in the schema
+ * @returns {array} - Entries sorted soonest first
+ */
+async function collectScheduled() {
+  const types = await validator.listContentTypes();
+  const next = [];
+
+  for (const type of types) {
+    const { data } = await fileHandler.listContent(type, {});
+    for (const item of data) {
+      next.push(...getScheduledActions(type, item));
+    }
+  }
+
+  next.sort((a, b) => a.time - b.time);
+  return next;
+}
+
+/**
+ * Replace an item's queue entries with those of its current document
+ * @param {object|null} content - The item as written, or null if it was deleted
+ */
+function updateQueue(type, id, content) {
+  queue = queue.filter(entry => entry.type !== type || entry.id !== id);
+  if (!content) {
+    return;
+  }
+  for (const entry of getScheduledActions(type, content)) {
+    // Binary search for the insert position keeps the queue sorted
+    let low = 0;
+    let high = queue.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (queue[middle].time <= entry.time) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    queue.splice(low, 0, entry);
+  }
+}
+
+/**
+ * Rebuild the queue from a full scan
+ * Items changed while the scan runs may have been read before the change, so
+ * their latest documents are applied over the result.
+ */
+async function rescan() {
+  changedDuringScan = new Map();
+  try {
+    const scanned = await collectScheduled();
+    const changes = changedDuringScan;
+    queue = scanned;
+    for (const { type, id, content } of changes.values()) {
+      updateQueue(type, id, content);
+    }
+  } finally {
+    changedDuringScan = null;
+  }
+}
+
+/**
+ * Apply a single scheduled transition
+ * The trigger timestamp is removed so the item is not transitioned again
+ * if an editor later changes its status by hand.
+ */
+async function applyAction({ type, id, action }) {
+  const item = await fileHandler.getContent(type, id);
+  if (!item) {
+    return;
+  }
+
+  // Re-check against the stored item in case it changed since the scan
+  const stillPending = getScheduledActions(type, item).some(pending =>
+    pending.action === action && pending.time <= Date.now()
+  );
+  if (!stillPending) {
+    return;
+  }
+
+  // Only write over the version checked above; an edit in between wins
+  const options = { ifMatch: computeEtag(item) };
+  try {
+    if (action === 'publish') {
+      const { publishAt, ...rest } = item;
+      await fileHandler.replaceContent(type, id, { ...rest, status: 'published' }, options);
+    } else {
+      const { unpublishAt, ...rest } = item;
+      await fileHandler.replaceContent(type, id, { ...rest, status: 'archived' }, options);
+    }
+  } catch (error) {
+    if (error.code === 'PRECONDITION_FAILED') {
+      // The edit's 'content' event has already updated the queue
+      return;
+    }
+    throw error;
+  }
+  console.log(`Scheduler: ${action}ed ${type}/${id}`);
+}
+
+/**
+ * Apply everything that is due, and arm a timer for the next entry
+ * Calls made while a run is in progress are coalesced into one more run.
+ * @param {boolean} fullScan - Rebuild the queue from every item first (on boot and
+ *   every SCHEDULER_INTERVAL, for files edited outside the API)
+ */
+async function run(fullScan = false) {
+  rescanRequested = rescanRequested || fullScan;
+  if (running) {
+    runRequested = true;
+    return;
+  }
+  running = true;
+
+  try {
+    do {
+      runRequested = false;
+      if (rescanRequested) {
+        rescanRequested = false;
+        await rescan();
+      }
+
+      const due = queue.filter(entry => entry.time <= Date.now());
+      for (const entry of due) {
+        try {
+          await applyAction(entry);
+        } catch (error) {
+          console.error(`Scheduler: could not ${entry.action} ${entry.type}/${entry.id}:`, error.message);
+        }
+      }
+      // Applied entries are gone already (their 'content' event updated the queue);
+      // drop the ones that failed or were stale, the next full scan finds them again
+      const attempted = new Set(due);
+      queue = queue.filter(entry => !attempted.has(entry));
+    } while (runRequested);
+  } catch (error) {
+    console.error('Scheduler: scan failed:', error.message);
+  } finally {
+    running = false;
+  }
+
+  armTimer();
+}
+
+function armTimer() {
+  clearTimeout(nextTimer);
+  nextTimer = null;
+  if (!started) {
+    return;
+  }
+
+  const upcoming = queue.find(entry => entry.time > Date.now());
+  if (upcoming) {
+    const delay = Math.min(upcoming.time - Date.now(), MAX_TIMER_DELAY);
+    nextTimer = setTimeout(() => run(), delay);
+    nextTimer.unref();
+  }
+}
+
+/**
+ * Follow a content change without rescanning: only the changed item's entries are updated
+ */
+function handleContentEvent({ type, id, content }) {
+  if (changedDuringScan) {
+    changedDuringScan.set(`${type}/${id}`, { type, id, content });
+  }
+  updateQueue(type, id, content);
+
+  if (queue.length > 0 && queue[0].time <= Date.now()) {
+    run();
+  } else if (!running) {
+    armTimer();
+  }
+}
+
+/**
+ * Start the scheduler
+ * Scans every item on boot (so transitions missed while the server was down are
+ * applied) and every SCHEDULER_INTERVAL seconds to pick up files edited outside
+ * the API. In between, the queue follows 'content' events item by item.
+ */
+function start() {
+  if (started) {
+    return;
+  }
+  started = true;
+
+  events.on('content', handleContentEvent);
+  pollTimer = setInterval(() => run(true), config.schedulerInterval * 1000);
+  pollTimer.unref();
+  run(true);
+}
+
+/**
+ * Stop the scheduler and clear its timers
+ */
+function stop() {
+  started = false;
+  events.removeListener('content', handleContentEvent);
+  clearInterval(pollTimer);
+  clearTimeout(nextTimer);
+  pollTimer = null;
+  nextTimer = null;
+}
+
+/**
+ * List pending transitions, soonest first
+ * Always scans, so the list reflects writes the scheduler has not processed yet.
+ */
+async function listScheduled() {
+  const scheduled = await collectScheduled();
+  return scheduled.map(({ type, id, action, at }) => ({ type, id, action, at }));
+}
+
+module.exports = {
+  start,
+  stop,
+  listScheduled
+};
@@ -0,0 +1,333 @@
+const contentIndex = require('./contentIndex');
+const validator = require('./validator');
+const { getReference } = require('./populate');
+const { stem } = require('./stemmer');
+const locales = require('./locales');
+
+/**
+ * Full-text search over content items
+ *
+ * Each content type gets an inverted index (term -> documents) built from its
+ * searchable fields. Text is split into words, accents are folded
+ * ("café" -> "cafe"), and words are stemmed ("running" -> "run"), so a search
+ * matches whole words and their variants rather than arbitrary substrings.
+ * Matches are ranked with BM25, with per-field boosts from the schema.
+ *
+ * Searchable fields are chosen in the schema with `"x-search"` on a property:
+ * `true` (boost 1), a number (the boost), or `false` to exclude it. If no
+ * property of a type sets `x-search`, every field is searched except
+ * references (`x-ref`) and the built-in id, status and timestamp fields.
+ *
+ * Indexes are built on first search and follow changes to the content index
+ * (API writes and files edited on disk) incrementally. Searching in a locale
+ * uses a separate index of the documents resolved to that locale.
+ */
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+const SNIPPET_LENGTH = 160;
+const SNIPPET_CONTEXT = 40; // characters shown before the first match
+
+const SYSTEM_FIELDS = ['id', 'status', 'createdAt', 'updatedAt', 'publishedAt', 'publishAt', 'unpublishAt', locales.LOCALES_FIELD];
+
+// "type" or "type:locale" -> { type, localize, fields, docs: Map<id, { length, terms: Map<term, tf> }>, postings: Map<term, Map<id, tf>>, totalLength }
+const indexes = new Map();
+
+contentIndex.onChange(change => {
+  for (const [key, index] of indexes) {
+    if (index.type !== change.type) {
+      continue;
+    }
+    if (change.reset) {
+      indexes.delete(key);
+    } else if (change.item) {
+      addDocument(index, change.item);
+    } else {
+      removeDocument(index, change.id);
+    }
+  }
+});
+
+/**
+ * Fold a word to its index term: lowercase, accents removed, stemmed
+ */
+function toTerm(word) {
+  return stem(word.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase());
+}
+
+/**
+ * Split text into words with their positions
+ * @returns {array} - [{ term, start, end }]
+ */
+function tokenize(text) {
+  const tokens = [];
+  for (const match of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+    tokens.push({ term: toTerm(match[0]), start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+/**
+ * Turn richtext HTML into plain text
+ */
+function stripHtml(text) {
+  return text
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, '\'')
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Collect the text of a field value (strings, arrays and nested objects)
+ */
+function getFieldText(value) {
+  if (typeof value === 'string') {
+    return /<[a-z][^>]*>/i.test(value) ? stripHtml(value) : value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(getFieldText).filter(Boolean).join(' ');
+  }
+  if (value && typeof value === 'object') {
+    return Object.values(value).map(getFieldText).filter(Boolean).join(' ');
+  }
+  return '';
+}
+
+/**
+ * Work out which fields of a type are searched, and their boosts
+ * @returns {object} - { boosts: { field: boost } } when fields are chosen in the
+ * schema, or { exclude: Set } when every other field is searched
+ */
+async function getSearchFields(type) {
+  const definition = await validator.getSchemaDefinition(type);
+  const properties = (definition && definition.properties) || {};
+  const boosts = {};
+  const exclude = new Set(SYSTEM_FIELDS);
+
+  for (const [field, fieldSchema] of Object.entries(properties)) {
+    const setting = fieldSchema && fieldSchema['x-search'];
+    if (setting === true) {
+      boosts[field] = 1;
+    } else if (typeof setting === 'number' && setting > 0) {
+      boosts[field] = setting;
+    } else if (setting === false || getReference(fieldSchema)) {
+      exclude.add(field);
+    }
+  }
+
+  return Object.keys(boosts).length > 0 ? { boosts } : { exclude };
+}
+
+/**
+ * List the searchable [field, boost] pairs of an item
+ */
+function getItemFields(fields, item) {
+  if (fields.boosts) {
+    return Object.entries(fields.boosts);
+  }
+  return Object.keys(item)
+    .filter(field => !fields.exclude.has(field))
+    .map(field => [field, 1]);
+}
+
+function removeDocument(index, id) {
+  const doc = index.docs.get(id);
+  if (!doc) {
+    return;
+  }
+  for (const term of doc.terms.keys()) {
+    const posting = index.postings.get(term);
+    posting.delete(id);
+    if (posting.size === 0) {
+      index.postings.delete(term);
+    }
+  }
+  index.totalLength -= doc.length;
+  index.docs.delete(id);
+}
+
+function addDocument(index, stored) {
+  removeDocument(index, stored.id);
+  const item = index.localize ? index.localize(stored) : stored;
+
+  const terms = new Map();
+  let length = 0;
+  for (const [field, boost] of getItemFields(index.fields, item)) {
+    for (const { term } of tokenize(getFieldText(item[field]))) {
+      terms.set(term, (terms.get(term) || 0) + boost);
+      length += boost;
+    }
+  }
+
+  for (const [term, frequency] of terms) {
+    if (!index.postings.has(term)) {
+      index.postings.set(term, new Map());
+    }
+    index.postings.get(term).set(item.id, frequency);
+  }
+  index.docs.set(item.id, { length, terms });
+  index.totalLength += length;
+}
+
+/**
+ * Get the search index for a type (in a locale), building it if needed
+ * The index is only kept while the content index holds the type; otherwise
+ * it could not be kept current, so it is rebuilt for each search.
+ */
+async function getIndex(type, locale) {
+  // The default locale's values are the documents themselves
+  const indexLocale = locale && locale !== locales.getDefaultLocale() ? locale : null;
+  const key = indexLocale ? `${type}:${indexLocale}` : type;
+  if (indexes.has(key) && contentIndex.has(type)) {
+    return indexes.get(key);
+  }
+
+  const fields = await getSearchFields(type);
+  const localizedFields = locales.getLocalizedFields(await validator.getSchemaDefinition(type));
+  const items = await contentIndex.getItems(type);
+
+  // Built synchronously, so no change can slip in between loading and caching
+  const index = {
+    type,
+    localize: indexLocale ? item => locales.localizeItem(item, indexLocale, localizedFields) : null,
+    fields,
+    docs: new Map(),
+    postings: new Map(),
+    totalLength: 0
+  };
+  items.forEach(item => addDocument(index, item));
+  if (contentIndex.has(type)) {
+    indexes.set(key, index);
+  }
+  return index;
+}
+
+/**
+ * Get the distinct terms of a search query
+ */
+function getQueryTerms(query) {
+  return Array.from(new Set(tokenize(String(query || '')).map(token => token.term)));
+}
+
+/**
+ * Search one content type
+ * Every query term must match (after stemming); results are scored with BM25.
+ * @param {string} type - Content type
+ * @param {string} query - Search text
+ * @param {string} locale - Search the documents as resolved in this locale
+ * @returns {Map} - id -> score, for matching items only
+ */
+async function search(type, query, locale = null) {
+  const terms = getQueryTerms(query);
+  const scores = new Map();
+  if (terms.length === 0) {
+    return scores;
+  }
+
+  const index = await getIndex(type, locale);
+  const postings = terms.map(term => index.postings.get(term));
+  if (postings.some(posting => !posting)) {
+    return scores;
+  }
+
+  const docCount = index.docs.size;
+  const averageLength = index.totalLength / docCount || 1;
+  // Walk the rarest term's documents and check the others
+  const [rarest] = [...postings].sort((a, b) => a.size - b.size);
+
+  for (const id of rarest.keys()) {
+    if (!postings.every(posting => posting.has(id))) {
+      continue;
+    }
+    const { length } = index.docs.get(id);
+    let score = 0;
+    for (const posting of postings) {
+      const frequency = posting.get(id);
+      const idf = Math.log(1 + (docCount - posting.size + 0.5) / (posting.size + 0.5));
+      score += idf * (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * length / averageLength));
+    }
+    scores.set(id, score);
+  }
+
+  return scores;
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Build a snippet of text around the first match, with matches wrapped in <mark>
+ * @returns {string|null} - HTML snippet, or null if nothing matches
+ */
+function buildSnippet(text, terms) {
+  const matches = tokenize(text).filter(token => terms.includes(token.term));
+  if (matches.length === 0) {
+    return null;
+  }
+
+  let start = Math.max(0, matches[0].start - SNIPPET_CONTEXT);
+  // Start on a word boundary
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    start = space !== -1 && space < matches[0].start ? space + 1 : start;
+  }
+  let end = Math.min(text.length, start + SNIPPET_LENGTH);
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    end = space > matches[0].end ? space : end;
+  }
+
+  let snippet = start > 0 ? '…' : '';
+  let position = start;
+  for (const match of matches) {
+    if (match.start < start || match.end > end) {
+      continue;
+    }
+    snippet += `${escapeHtml(text.slice(position, match.start))}<mark>${escapeHtml(text.slice(match.start, match.end))}</mark>`;
+    position = match.end;
+  }
+  snippet += escapeHtml(text.slice(position, end));
+  return end < text.length ? `${snippet}…` : snippet;
+}
+
+/**
+ * Build highlighted snippets for search results
+ * @param {string} type - Content type
+ * @param {array} items - Matching items (as listed, i.e. localized when searching in a locale)
+ * @param {string} query - Search text
+ * @returns {array} - One { field: snippet } object per item, for fields that match
+ */
+async function highlight(type, items, query) {
+  const terms = getQueryTerms(query);
+  const fields = await getSearchFields(type);
+
+  return items.map(item => {
+    const highlights = {};
+    for (const [field] of getItemFields(fields, item)) {
+      const snippet = buildSnippet(getFieldText(item[field]), terms);
+      if (snippet) {
+        highlights[field] = snippet;
+      }
+    }
+    return highlights;
+  });
+}
+
+module.exports = {
+  tokenize,
+  search,
+  highlight
+};
@@ -0,0 +1,180 @@
+/**
+ * Porter stemmer (M.F. Porter, "An algorithm for suffix stripping", 1980)
+ * Reduces English words to a common stem so "running", "runs" and "run"
+ * match each other in search. Expects a lowercase word.
+ */
+
+const STEP2_SUFFIXES = [
+  ['ational', 'ate'], ['tional', 'tion'], ['enci', 'ence'], ['anci', 'ance'],
+  ['izer', 'ize'], ['bli', 'ble'], ['alli', 'al'], ['entli', 'ent'], ['eli', 'e'],
+  ['ousli', 'ous'], ['ization', 'ize'], ['ation', 'ate'], ['ator', 'ate'],
+  ['alism', 'al'], ['iveness', 'ive'], ['fulness', 'ful'], ['ousness', 'ous'],
+  ['aliti', 'al'], ['iviti', 'ive'], ['biliti', 'ble'], ['logi', 'log']
+];
+
+const STEP3_SUFFIXES = [
+  ['icate', 'ic'], ['ative', ''], ['alize', 'al'], ['iciti', 'ic'],
+  ['ical', 'ic'], ['ful', ''], ['ness', '']
+];
+
+const STEP4_SUFFIXES = [
+  'al', 'ance', 'ence', 'er', 'ic', 'able', 'ible', 'ant', 'ement', 'ment',
+  'ent', 'ion', 'ou', 'ism', 'ate', 'iti', 'ous', 'ive', 'ize'
+];
+
+function isConsonant(word, index) {
+  const char = word[index];
+  if ('aeiou'.includes(char)) {
+    return false;
+  }
+  if (char === 'y') {
+    return index === 0 ? true : !isConsonant(word, index - 1);
+  }
+  return true;
+}
+
+/**
+ * Number of vowel-consonant sequences ([C](VC){m}[V]) in a stem
+ */
+function measure(stem) {
+  let count = 0;
+  let index = 0;
+  const length = stem.length;
+
+  while (index < length && isConsonant(stem, index)) index++;
+  while (index < length) {
+    while (index < length && !isConsonant(stem, index)) index++;
+    if (index >= length) break;
+    while (index < length && isConsonant(stem, index)) index++;
+    count++;
+  }
+  return count;
+}
+
+function hasVowel(stem) {
+  for (let index = 0; index < stem.length; index++) {
+    if (!isConsonant(stem, index)) return true;
+  }
+  return false;
+}
+
+function endsWithDoubleConsonant(word) {
+  const length = word.length;
+  return length >= 2 && word[length - 1] === word[length - 2] && isConsonant(word, length - 1);
+}
+
+// consonant-vowel-consonant, where the last consonant is not w, x or y
+function endsWithCvc(word) {
+  const length = word.length;
+  return length >= 3 &&
+    isConsonant(word, length - 3) &&
+    !isConsonant(word, length - 2) &&
+    isConsonant(word, length - 1) &&
+    !'wxy'.includes(word[length - 1]);
+}
+
+function replaceSuffix(word, suffixes, minMeasure) {
+  for (const [suffix, replacement] of suffixes) {
+    if (word.endsWith(suffix)) {
+      const stem = word.slice(0, -suffix.length);
+      return measure(stem) > minMeasure ? stem + replacement : word;
+    }
+  }
+  return word;
+}
+
+function step1(word) {
+  // Step 1a: plurals
+  if (word.endsWith('sses')) {
+    word = word.slice(0, -2);
+  } else if (word.endsWith('ies')) {
+    word = word.slice(0, -2);
+  } else if (!word.endsWith('ss') && word.endsWith('s')) {
+    word = word.slice(0, -1);
+  }
+
+  // Step 1b: -ed and -ing
+  if (word.endsWith('eed')) {
+    if (measure(word.slice(0, -3)) > 0) {
+      word = word.slice(0, -1);
+    }
+    return step1c(word);
+  }
+
+  let stripped = null;
+  if (word.endsWith('ed') && hasVowel(word.slice(0, -2))) {
+    stripped = word.slice(0, -2);
+  } else if (word.endsWith('ing') && hasVowel(word.slice(0, -3))) {
+    stripped = word.slice(0, -3);
+  }
+  if (stripped !== null) {
+    word = stripped;
+    if (word.endsWith('at') || word.endsWith('bl') || word.endsWith('iz')) {
+      word += 'e';
+    } else if (endsWithDoubleConsonant(word) && !'lsz'.includes(word[word.length - 1])) {
+      word = word.slice(0, -1);
+    } else if (measure(word) === 1 && endsWithCvc(word)) {
+      word += 'e';
+    }
+  }
+
+  return step1c(word);
+}
+
+// Step 1c: terminal y -> i when the stem has a vowel
+function step1c(word) {
+  if (word.endsWith('y') && hasVowel(word.slice(0, -1))) {
+    return `${word.slice(0, -1)}i`;
+  }
+  return word;
+}
+
+function step4(word) {
+  for (const suffix of STEP4_SUFFIXES) {
+    if (word.endsWith(suffix)) {
+      const stem = word.slice(0, -suffix.length);
+      if (measure(stem) > 1 && (suffix !== 'ion' || /[st]$/.test(stem))) {
+        return stem;
+      }
+      return word;
+    }
+  }
+  return word;
+}
+
+function step5(word) {
+  // Step 5a: remove a final -e
+  if (word.endsWith('e')) {
+    const stem = word.slice(0, -1);
+    const m = measure(stem);
+    if (m > 1 || (m === 1 && !endsWithCvc(stem))) {
+      word = stem;
+    }
+  }
+  // Step 5b: -ll -> -l
+  if (measure(word) > 1 && word.endsWith('ll')) {
+    word = word.slice(0, -1);
+  }
+  return word;
+}
+
+/**
+ * Stem a lowercase word
+ * Words of one or two letters are returned unchanged.
+ */
+function stem(word) {
+  if (word.length <= 2) {
+    return word;
+  }
+
+  let result = step1(word);
+  result = replaceSuffix(result, STEP2_SUFFIXES, 0);
+  result = replaceSuffix(result, STEP3_SUFFIXES, 0);
+  result = step4(result);
+  result = step5(result);
+  return result;
+}
+
+module.exports = {
+  stem
+};
@@ -0,0 +1,251 @@
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('../config');
+const events = require('./events');
+const { writeJsonAtomic } = require('./atomicFile');
+const contentIndex = require('./contentIndex');
+const { withLock, getItemLockKey } = require('./lock');
+
+/**
+ * Trash layout:
+ * content/.trash/<type>/<trashId>/
+ * ├── meta.json      { trashId, type, id, deletedAt }
+ * ├── content.json   the deleted document
+ * └── item/          the item's own directory (versions/), if it had one
+ */
+
+const PURGE_INTERVAL = 60 * 60 * 1000; // Check for expired trash hourly
+
+let purgeTimer = null;
+
+function getTrashDir() {
+  return path.join(config.contentDir, '.trash');
+}
+
+function getEntryDir(type, trashId) {
+  return path.join(getTrashDir(), type, trashId);
+}
+
+/**
+ * Move a content item and its versions into the trash
+ * meta.json is written first, so an entry holding content.json can always be
+ * listed and restored even if the move is interrupted. Callers hold the item's lock.
+ * @returns {object|null} - Trash entry metadata, or null if the item does not exist
+ */
+async function moveToTrash(type, id) {
+  const filePath = path.join(config.contentDir, type, `${id}.json`);
+  if (!(await fs.pathExists(filePath))) {
+    return null;
+  }
+
+  const deletedAt = new Date().toISOString();
+  const trashId = `${id}--${deletedAt.replace(/[:.]/g, '-')}`;
+  const entryDir = getEntryDir(type, trashId);
+  const meta = { trashId, type, id, deletedAt };
+  await writeJsonAtomic(path.join(entryDir, 'meta.json'), meta);
+
+  await fs.move(filePath, path.join(entryDir, 'content.json'));
+  const itemDir = path.join(config.contentDir, type, id);
+  if (await fs.pathExists(itemDir)) {
+    await fs.move(itemDir, path.join(entryDir, 'item'));
+  }
+  return meta;
+}
+
+/**
+ * Read one trash entry (metadata plus the deleted document)
+ */
+async function readEntry(type, trashId) {
+  const entryDir = getEntryDir(type, trashId);
+  try {
+    const meta = await fs.readJson(path.join(entryDir, 'meta.json'));
+    const content = await fs.readJson(path.join(entryDir, 'content.json'));
+    return { ...meta, content };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * List trash entries, newest first
+ * @param {string} type - Optional content type to restrict to
+ * @param {string} id - Optional content id to restrict to
+ */
+async function listTrash(type = null, id = null) {
+  const trashDir = getTrashDir();
+  if (!(await fs.pathExists(trashDir))) {
+    return [];
+  }
+
+  const types = type ? [type] : await fs.readdir(trashDir);
+  const entries = [];
+
+  for (const trashType of types) {
+    const typeDir = path.join(trashDir, trashType);
+    if (!(await fs.pathExists(typeDir))) {
+      continue;
+    }
+    for (const trashId of await fs.readdir(typeDir)) {
+      try {
+        const entry = await readEntry(trashType, trashId);
+        if (entry && (!id || entry.id === id)) {
+          entries.push(entry);
+        }
+      } catch (error) {
+        console.warn(`Warning: Could not read trash entry ${trashType}/${trashId}:`, error.message);
+      }
+    }
+  }
+
+  entries.sort((a, b) => new Date(b.deletedAt).getTime() - new Date(a.deletedAt).getTime());
+  return entries;
+}
+
+/**
+ * Restore a trash entry to its original location, under the item's lock
+ * Throws with code ALREADY_EXISTS if an item with the same id exists again,
+ * and with code UNIQUENESS_FAILED (carrying `details`) if options.checkUniqueness rejects it.
+ * @param {object} options
+ * - silent: true skips the 'content' event
+ * - checkUniqueness: async (content) -> { valid, errors }, checked before
+ *   anything is moved (the routes pass validator.validateUniqueness)
+ * @returns {object|null} - The restored document, or null if the entry does not exist
+ */
+async function restoreEntry(type, trashId, options = {}) {
+  const found = await readEntry(type, trashId);
+  if (!found) {
+    return null;
+  }
+
+  const { id } = found;
+  const entry = await withLock(getItemLockKey(type, id), async () => {
+    // Read again: the entry may have been restored or purged while waiting for the lock
+    const current = await readEntry(type, trashId);
+    if (!current) {
+      return null;
+    }
+
+    const filePath = path.join(config.contentDir, type, `${id}.json`);
+    if (await fs.pathExists(filePath)) {
+      const error = new Error(`Content with ID ${id} already exists`);
+      error.code = 'ALREADY_EXISTS';
+      throw error;
+    }
+
+    if (options.checkUniqueness) {
+      const uniquenessValidation = await options.checkUniqueness(current.content);
+      if (!uniquenessValidation.valid) {
+        const error = new Error('Uniqueness validation failed');
+        error.code = 'UNIQUENESS_FAILED';
+        error.details = uniquenessValidation.errors;
+        throw error;
+      }
+    }
+
+    const entryDir = getEntryDir(type, trashId);
+    const itemDir = path.join(config.contentDir, type, id);
+    if (await fs.pathExists(path.join(entryDir, 'item'))) {
+      await fs.remove(itemDir);
+      await fs.move(path.join(entryDir, 'item'), itemDir);
+    }
+    await fs.move(path.join(entryDir, 'content.json'), filePath);
+    await fs.remove(entryDir);
+    contentIndex.setItem(type, current.content);
+    return current;
+  });
+  if (!entry) {
+    return null;
+  }
+
+  if (!options.silent) {
+    events.emit('content', { action: 'create', type, id, content: entry.content, previous: null, restored: true });
+  }
+  return entry.content;
+}
+
+/**
+ * Restore the most recently trashed copy of a content item
+ * @param {object} options - As for restoreEntry
+ * @returns {object|null} - The restored document, or null if nothing is in the trash
+ */
+async function untrash(type, id, options = {}) {
+  const [latest] = await listTrash(type, id);
+  if (!latest) {
+    return null;
+  }
+  return restoreEntry(type, latest.trashId, options);
+}
+
+/**
+ * Permanently delete trash entries
+ * @param {string} type - Optional content type (all types if omitted)
+ * @param {string} id - Optional content id (all items of the type if omitted)
+ * @returns {number} - Number of entries removed
+ */
+async function purge(type = null, id = null) {
+  const entries = await listTrash(type, id);
+  for (const entry of entries) {
+    await fs.remove(getEntryDir(entry.type, entry.trashId));
+  }
+  return entries.length;
+}
+
+/**
+ * Permanently delete entries older than the configured retention
+ * @returns {number} - Number of entries removed
+ */
+async function purgeExpired() {
+  if (!config.trashRetentionDays) {
+    return 0;
+  }
+
+  const cutoff = Date.now() - config.trashRetentionDays * 24 * 60 * 60 * 1000;
+  const expired = (await listTrash()).filter(entry => new Date(entry.deletedAt).getTime() < cutoff);
+  for (const entry of expired) {
+    await fs.remove(getEntryDir(entry.type, entry.trashId));
+  }
+  return expired.length;
+}
+
+function runPurge() {
+  purgeExpired()
+    .then(count => {
+      if (count > 0) {
+        console.log(`Trash: purged ${count} expired item(s)`);
+      }
+    })
+    .catch(error => {
+      console.error('Trash: could not purge expired items:', error.message);
+    });
+}
+
+/**
+ * Empty expired trash on boot and then hourly
+ */
+function startAutoPurge() {
+  if (purgeTimer || !config.trashRetentionDays) {
+    return;
+  }
+  runPurge();
+  purgeTimer = setInterval(runPurge, PURGE_INTERVAL);
+  purgeTimer.unref();
+}
+
+function stopAutoPurge() {
+  clearInterval(purgeTimer);
+  purgeTimer = null;
+}
+
+module.exports = {
+  moveToTrash,
+  listTrash,
+  restoreEntry,
+  untrash,
+  purge,
+  purgeExpired,
+  startAutoPurge,
+  stopAutoPurge
+};
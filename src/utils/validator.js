@@ -3,10 +3,26 @@ const fs = require('fs-extra');
 const path = require('path');
 const config = require('../config');
 const fileHandler = require('./fileHandler');
+const locales = require('./locales');
+
+// Non-standard schema keywords FlatCMS understands; registered so AJV's
+// strict mode does not reject them
+const CUSTOM_KEYWORDS = ['unique', 'x-ref', 'x-search', 'x-singleton', 'x-localized', 'onDelete', 'x-normalize', 'x-slug', 'x-computed'];
+
+// Id of the one document stored for a singleton type ("x-singleton": true)
+const SINGLETON_ID = 'singleton';
+
+// String formats FlatCMS checks itself (AJV ships without any); filters on
+// fields with these formats compare chronologically
+const FORMATS = {
+  date: value => /^[0-9]{4}-[0-9]{2}-[0-9]{2}$/.test(value) && !isNaN(Date.parse(value)),
+  'date-time': value => /^[0-9]{4}-[0-9]{2}-[0-9]{2}T[0-9]{2}:[0-9]{2}(:[0-9]{2}(\.[0-9]+)?)?(Z|[+-][0-9]{2}:[0-9]{2})$/i.test(value) && !isNaN(Date.parse(value))
+};
 
 let schemaCache = null;
 let normalizedSchemaCache = null;
 let ajvInstance = null;
+let defaultsAjvInstance = null;
 
 function clone(value) {
   if (Array.isArray(value)) {
@@ -89,27 +105,128 @@ function resolveSchemaDefinition(schema, type) {
 }
 
 /**
- * Initialize AJV instance with schema
+ * Get the raw schema definition for a content type
+ * @returns {object|null} - Definition or null if the type is not in the schema
  */
-async function getValidator() {
-  if (ajvInstance) {
-    return ajvInstance;
+async function getSchemaDefinition(type) {
+  const schema = await loadSchema();
+  return resolveSchemaDefinition(schema, type);
+}
+
+/**
+ * Collect content type summaries from schema definitions.
+ * Supports both `definitions` objects and top-level type entries.
+ */
+function extractContentTypes(schema) {
+  const types = {};
+
+  // Helper to add a type entry if it looks like a schema object
+  function addType(name, definition) {
+    if (!definition || typeof definition !== 'object') {
+      return;
+    }
+
+    const properties = definition.properties || {};
+    const uniqueFields = Object.entries(properties)
+      .filter(([, fieldSchema]) => fieldSchema && fieldSchema.unique === true)
+      .map(([fieldName]) => fieldName);
+
+    types[name] = {
+      name,
+      title: definition.title || name,
+      description: definition.description || '',
+      properties,
+      required: definition.required || [],
+      uniqueFields,
+      singleton: definition['x-singleton'] === true
+    };
   }
-  
+
+  if (schema.definitions && typeof schema.definitions === 'object') {
+    for (const [name, definition] of Object.entries(schema.definitions)) {
+      addType(name, definition);
+    }
+  }
+
+  for (const [name, definition] of Object.entries(schema)) {
+    if (name === 'definitions' || name === '$schema') {
+      continue;
+    }
+    addType(name, definition);
+  }
+
+  return Object.values(types);
+}
+
+/**
+ * List the names of all content types defined in the schema
+ */
+async function listContentTypes() {
   const schema = await loadSchema();
-  const normalizedSchema = getNormalizedSchema() || normalizeSchemaNode(schema);
-  ajvInstance = new Ajv();
+  return extractContentTypes(schema).map(type => type.name);
+}
+
+/**
+ * Create an AJV instance that knows the schema's definitions
+ * @param {object} options - AJV options (e.g. { useDefaults: true })
+ */
+function createAjv(normalizedSchema, options = {}) {
+  const ajv = new Ajv(options);
+  ajv.addVocabulary(CUSTOM_KEYWORDS);
+  Object.entries(FORMATS).forEach(([name, validate]) => ajv.addFormat(name, validate));
   
   // If schema has definitions, compile them
   if (normalizedSchema.definitions) {
     Object.keys(normalizedSchema.definitions).forEach(key => {
-      ajvInstance.addSchema(normalizedSchema.definitions[key], `#/definitions/${key}`);
+      ajv.addSchema(normalizedSchema.definitions[key], `#/definitions/${key}`);
     });
   }
   
+  return ajv;
+}
+
+/**
+ * Initialize AJV instance with schema
+ */
+async function getValidator() {
+  if (ajvInstance) {
+    return ajvInstance;
+  }
+  
+  const schema = await loadSchema();
+  ajvInstance = createAjv(getNormalizedSchema() || normalizeSchemaNode(schema));
   return ajvInstance;
 }
 
+/**
+ * Fill in the schema's `default` values missing from new content
+ * Uses AJV's useDefaults, so defaults of nested objects apply too. Only the
+ * document itself is filled in, not its locale variants.
+ * @returns {object} - Copy of data with defaults applied
+ */
+async function applyDefaults(type, data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return data;
+  }
+  
+  const schema = await loadSchema();
+  const normalizedSchema = getNormalizedSchema() || normalizeSchemaNode(schema);
+  const definition = resolveSchemaDefinition(normalizedSchema, type);
+  if (!definition) {
+    return data;
+  }
+  if (!defaultsAjvInstance) {
+    // allErrors keeps AJV going past a missing required field (such as a slug
+    // generated later), which would otherwise skip defaults of nested objects
+    defaultsAjvInstance = createAjv(normalizedSchema, { useDefaults: true, allErrors: true });
+  }
+  
+  // Validation errors are reported by validateContent; this pass only fills defaults
+  const { [locales.LOCALES_FIELD]: variants, ...base } = clone(data);
+  defaultsAjvInstance.compile(definition)(base);
+  return variants === undefined ? base : { ...base, [locales.LOCALES_FIELD]: variants };
+}
+
 /**
  * Get unique fields from schema definition
  */
@@ -138,13 +255,70 @@ async function getUniqueFields(type) {
   return uniqueFields;
 }
 
+/**
+ * List the localized fields (`"x-localized": true`) of a content type
+ */
+async function getLocalizedFields(type) {
+  return locales.getLocalizedFields(await getSchemaDefinition(type));
+}
+
+/**
+ * Check whether a content type is a singleton (`"x-singleton": true`)
+ * Singleton types hold exactly one document, stored with the id SINGLETON_ID
+ */
+async function isSingleton(type) {
+  const definition = await getSchemaDefinition(type);
+  return Boolean(definition && definition['x-singleton'] === true);
+}
+
+/**
+ * Compare two values the way uniqueness is enforced (case-insensitive for strings)
+ */
+function uniqueValuesMatch(a, b) {
+  if (typeof a === 'string' && typeof b === 'string') {
+    return a.toLowerCase() === b.toLowerCase();
+  }
+  return a === b;
+}
+
+/**
+ * Find a single content item by the value of a unique field
+ * The lookup value usually comes from a URL, so non-string stored values
+ * are compared by their string form
+ * @param {string} locale - Match the field's value in this locale (values set
+ * for the locale itself win over values reached through fallback)
+ * @returns {object|null} - Matching item (as stored) or null
+ */
+async function findByUniqueField(type, fieldName, value, locale = null) {
+  const allContent = await fileHandler.listContent(type, {});
+  const localized = locale && (await getLocalizedFields(type)).includes(fieldName);
+  
+  const matches = itemValue => {
+    if (itemValue === undefined || itemValue === null) {
+      return false;
+    }
+    if (typeof itemValue === 'string') {
+      return uniqueValuesMatch(itemValue, String(value));
+    }
+    return String(itemValue) === String(value);
+  };
+  
+  if (!localized) {
+    return allContent.data.find(item => matches(item[fieldName])) || null;
+  }
+  return allContent.data.find(item => matches(locales.getLocaleValue(item, fieldName, locale))) ||
+    allContent.data.find(item => matches(locales.getLocalizedValue(item, fieldName, locale))) ||
+    null;
+}
+
 /**
  * Validate uniqueness of fields marked as unique
  * @param {string} type - Content type
  * @param {object} data - Content data to validate
  * @param {string} excludeId - ID to exclude from uniqueness check (for updates)
+ * @param {array} existingItems - Items to check against (defaults to all stored items of the type, from the content index)
  */
-async function validateUniqueness(type, data, excludeId = null) {
+async function validateUniqueness(type, data, excludeId = null, existingItems = null) {
   const uniqueFields = await getUniqueFields(type);
   
   if (uniqueFields.length === 0) {
@@ -154,38 +328,43 @@ async function validateUniqueness(type, data, excludeId = null) {
   const errors = [];
   
   // Get all existing content of this type
-  const allContent = await fileHandler.listContent(type, {});
+  const items = existingItems || (await fileHandler.listContent(type, {})).data;
+  const localizedFields = await getLocalizedFields(type);
+  const defaultLocale = locales.getDefaultLocale();
   
   for (const fieldName of uniqueFields) {
-    const fieldValue = data[fieldName];
+    // Localized fields are unique within each locale, so a slug can repeat across languages
+    const fieldLocales = localizedFields.includes(fieldName) ? config.locales : [defaultLocale];
     
-    // Skip if field is not provided or is null/undefined
-    if (fieldValue === undefined || fieldValue === null) {
-      continue;
-    }
-    
-    // Check if any other content item has the same value for this field
-    const duplicate = allContent.data.find(item => {
-      // Exclude the current item if we're updating
-      if (excludeId && item.id === excludeId) {
-        return false;
-      }
+    for (const locale of fieldLocales) {
+      const fieldValue = locales.getLocaleValue(data, fieldName, locale);
       
-      // Compare field values (case-insensitive for strings)
-      const itemValue = item[fieldName];
-      if (typeof fieldValue === 'string' && typeof itemValue === 'string') {
-        return fieldValue.toLowerCase() === itemValue.toLowerCase();
+      // Skip if field is not provided or is null/undefined
+      if (fieldValue === undefined || fieldValue === null) {
+        continue;
       }
-      return fieldValue === itemValue;
-    });
-    
-    if (duplicate) {
-      errors.push({
-        message: `Field '${fieldName}' must be unique. A ${type} with ${fieldName}='${fieldValue}' already exists.`,
-        path: `/${fieldName}`,
-        field: fieldName,
-        value: fieldValue
+      
+      // Check if any other content item has the same value for this field
+      const duplicate = items.find(item => {
+        // Exclude the current item if we're updating
+        if (excludeId && item.id === excludeId) {
+          return false;
+        }
+        
+        // Compare field values (case-insensitive for strings)
+        return uniqueValuesMatch(fieldValue, locales.getLocaleValue(item, fieldName, locale));
       });
+      
+      if (duplicate) {
+        const inLocale = fieldLocales.length > 1 ? ` in locale '${locale}'` : '';
+        errors.push({
+          message: `Field '${fieldName}' must be unique${inLocale}. A ${type} with ${fieldName}='${fieldValue}' already exists.`,
+          path: locale === defaultLocale ? `/${fieldName}` : `/${locales.LOCALES_FIELD}/${locale}/${fieldName}`,
+          field: fieldName,
+          value: fieldValue,
+          ...(fieldLocales.length > 1 && { locale })
+        });
+      }
     }
   }
   
@@ -218,24 +397,87 @@ async function validateContent(type, data) {
     };
   }
   
-  // Validate the data
+  // Validate the data; locale variants are checked separately
   const validate = ajv.compile(normalizedDefinition || normalizeSchemaNode(schemaDefinition));
-  const valid = validate(data);
+  const hasVariants = data && typeof data === 'object' && !Array.isArray(data) && data[locales.LOCALES_FIELD] !== undefined;
+  const { [locales.LOCALES_FIELD]: variants, ...base } = hasVariants ? data : {};
+  const errors = [];
+  
+  if (!validate(hasVariants ? base : data)) {
+    errors.push(...formatErrors(validate.errors));
+  }
+  if (hasVariants) {
+    errors.push(...validateVariants(schemaDefinition, validate, base, variants));
+  }
   
-  if (!valid) {
+  if (errors.length > 0) {
     return {
       valid: false,
-      errors: validate.errors.map(err => ({
-        message: err.message,
-        path: err.instancePath,
-        params: err.params
-      }))
+      errors
     };
   }
   
   return { valid: true, errors: [] };
 }
 
+function formatErrors(ajvErrors, prefix = '') {
+  return ajvErrors.map(err => ({
+    message: err.message,
+    path: `${prefix}${err.instancePath}`,
+    params: err.params
+  }));
+}
+
+/**
+ * Validate the locale variants (`_locales`) of a document
+ * Each variant may only hold localized fields, for a configured locale other
+ * than the default. Its values are validated as part of the document they
+ * produce for that locale.
+ * @returns {array} - Validation errors
+ */
+function validateVariants(definition, validate, base, variants) {
+  const prefix = `/${locales.LOCALES_FIELD}`;
+  if (!variants || typeof variants !== 'object' || Array.isArray(variants)) {
+    return [{ message: 'must be an object of locale variants', path: prefix }];
+  }
+  
+  const localizedFields = locales.getLocalizedFields(definition);
+  const errors = [];
+  
+  for (const [locale, variant] of Object.entries(variants)) {
+    const path = `${prefix}/${locale}`;
+    if (locale === locales.getDefaultLocale()) {
+      errors.push({ message: `'${locale}' is the default locale; its values belong on the document itself`, path });
+      continue;
+    }
+    if (!config.locales.includes(locale)) {
+      errors.push({ message: `Unknown locale '${locale}'. Expected one of ${config.locales.join(', ')}`, path });
+      continue;
+    }
+    if (!variant || typeof variant !== 'object' || Array.isArray(variant)) {
+      errors.push({ message: 'must be an object of localized fields', path });
+      continue;
+    }
+    
+    const fields = Object.keys(variant);
+    const notLocalized = fields.filter(field => !localizedFields.includes(field));
+    notLocalized.forEach(field => errors.push({ message: `Field '${field}' is not localized`, path: `${path}/${field}` }));
+    if (notLocalized.length > 0) {
+      continue;
+    }
+    
+    // Only report errors in the fields the variant sets
+    if (!validate({ ...base, ...variant })) {
+      errors.push(...formatErrors(
+        validate.errors.filter(err => fields.includes(err.instancePath.split('/')[1])),
+        path
+      ));
+    }
+  }
+  
+  return errors;
+}
+
 /**
  * Clear schema cache (useful for development/reloading)
  */
@@ -243,13 +485,22 @@ function clearCache() {
   schemaCache = null;
   normalizedSchemaCache = null;
   ajvInstance = null;
+  defaultsAjvInstance = null;
 }
 
 module.exports = {
+  SINGLETON_ID,
   validateContent,
+  applyDefaults,
   validateUniqueness,
   getUniqueFields,
+  isSingleton,
+  getLocalizedFields,
+  findByUniqueField,
   loadSchema,
+  getSchemaDefinition,
+  extractContentTypes,
+  listContentTypes,
   clearCache,
   getNormalizedSchema // exported for testing if needed
 };
@@ -1,6 +1,7 @@
 const fs = require('fs-extra');
 const path = require('path');
 const config = require('../config');
+const { writeJsonAtomic } = require('./atomicFile');
 
 /**
  * Get the versions directory for a content item
@@ -33,7 +34,7 @@ async function createVersion(type, id, content) {
     versionedAt: new Date().toISOString()
   };
   
-  await fs.writeJson(versionPath, version, { spaces: 2 });
+  await writeJsonAtomic(versionPath, version);
   
   // Cleanup old versions (keep last 10 by default)
   await cleanupOldVersions(type, id, 10);
@@ -41,6 +42,22 @@ async function createVersion(type, id, content) {
   return version;
 }
 
+/**
+ * Store a version snapshot taken elsewhere (see archiveHandler)
+ * An existing version with the same versionId is left as it is.
+ * @returns {boolean} - Whether the version was written
+ */
+async function importVersion(type, id, version) {
+  const versionsDir = await ensureVersionsDir(type, id);
+  const versionPath = path.join(versionsDir, `${version.versionId}.json`);
+  if (await fs.pathExists(versionPath)) {
+    return false;
+  }
+  
+  await writeJsonAtomic(versionPath, { ...version, id });
+  return true;
+}
+
 /**
  * Get all versions for a content item
  */
@@ -126,6 +143,13 @@ async function cleanupOldVersions(type, id, keepCount = 10) {
   }
 }
 
+/**
+ * Delete a single version snapshot (see fileHandler.revertContent)
+ */
+async function deleteVersion(type, id, versionId) {
+  await fs.remove(path.join(getVersionsDir(type, id), `${versionId}.json`));
+}
+
 /**
  * Delete all versions for a content item
  */
@@ -146,9 +170,11 @@ async function deleteAllVersions(type, id) {
 
 module.exports = {
   createVersion,
+  importVersion,
   listVersions,
   getVersion,
   cleanupOldVersions,
+  deleteVersion,
   deleteAllVersions
 };
 
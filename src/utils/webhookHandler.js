@@ -0,0 +1,624 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const events = require('./events');
+const requestContext = require('./requestContext');
+const { writeJsonAtomic } = require('./atomicFile');
+const { withLock } = require('./lock');
+
+/**
+ * Outgoing webhooks
+ *
+ * Hooks are kept in WEBHOOKS_FILE (default content/.webhooks/webhooks.json),
+ * which can be edited by hand or through /api/webhooks:
+ *   { "webhooks": [{ id, url, secret, events, types, enabled, description }] }
+ *
+ * Each matching change queues one delivery per hook: a JSON POST signed with
+ * the hook's secret, retried with exponential backoff until the receiver
+ * answers 2xx or WEBHOOK_MAX_ATTEMPTS is reached. The queue and the delivery
+ * log are kept in content/.webhooks/deliveries.json, so pending retries
+ * survive a restart (a delivery cut short by a crash is sent again).
+ *
+ * Deliveries record the event, not the changed documents: the request body is
+ * kept only until the delivery succeeds (failed ones keep it for redelivery),
+ * so the file stays small although it is rewritten on every attempt.
+ */
+
+const EVENTS = [
+  'content.create',
+  'content.update',
+  'content.delete',
+  'content.publish',
+  'content.unpublish',
+  'media.upload',
+  'media.delete'
+];
+
+// Finished deliveries kept in the log; pending ones are always kept
+const LOG_LIMIT = 200;
+
+// Characters of the receiver's response kept with each attempt
+const RESPONSE_LIMIT = 1024;
+
+// setTimeout cannot wait longer than this (about 24.8 days)
+const MAX_TIMER_DELAY = 2147483647;
+
+let deliveries = [];
+let loaded = null;
+let hooksCache = null;
+let saveRequested = false;
+let savePromise = null;
+const inFlight = new Set();
+let timer = null;
+let started = false;
+
+function getWebhooksFile() {
+  return config.webhooksFile || path.join(config.contentDir, '.webhooks', 'webhooks.json');
+}
+
+function getDeliveriesFile() {
+  return path.join(config.contentDir, '.webhooks', 'deliveries.json');
+}
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+function invalidWebhook(details) {
+  const error = new Error('Invalid webhook');
+  error.code = 'INVALID_WEBHOOK';
+  error.details = details;
+  return error;
+}
+
+/**
+ * Check a hook definition and fill in defaults
+ * @param {object} input - { url, secret, events, types, enabled, description }; other fields are ignored
+ * @param {object} existing - The stored hook, when updating
+ * @returns {object} - The hook without id and timestamps
+ * Throws with code INVALID_WEBHOOK and a details array
+ */
+function buildHook(input, existing = {}) {
+  const fields = ['url', 'secret', 'events', 'types', 'enabled', 'description'];
+  const hook = {};
+  fields.forEach(field => {
+    const value = input[field] !== undefined ? input[field] : existing[field];
+    if (value !== undefined) {
+      hook[field] = value;
+    }
+  });
+
+  hook.secret = hook.secret !== undefined ? hook.secret : crypto.randomBytes(24).toString('hex');
+  hook.events = hook.events !== undefined ? hook.events : ['*'];
+  hook.types = hook.types !== undefined ? hook.types : [];
+  hook.enabled = hook.enabled !== undefined ? hook.enabled : true;
+
+  const details = [];
+  if (typeof hook.url !== 'string' || !isHttpUrl(hook.url)) {
+    details.push('url must be an http or https URL');
+  }
+  if (typeof hook.secret !== 'string' || hook.secret.length < 16) {
+    details.push('secret must be a string of at least 16 characters');
+  }
+  if (!Array.isArray(hook.events) || hook.events.length === 0
+    || !hook.events.every(event => event === '*' || EVENTS.includes(event))) {
+    details.push(`events must be a non-empty array of "*" or: ${EVENTS.join(', ')}`);
+  }
+  if (!Array.isArray(hook.types) || !hook.types.every(type => typeof type === 'string' && type)) {
+    details.push('types must be an array of content or media types (empty for all)');
+  }
+  if (typeof hook.enabled !== 'boolean') {
+    details.push('enabled must be a boolean');
+  }
+  if (hook.description !== undefined && typeof hook.description !== 'string') {
+    details.push('description must be a string');
+  }
+  if (details.length > 0) {
+    throw invalidWebhook(details);
+  }
+  return hook;
+}
+
+async function readWebhooksFile() {
+  try {
+    const file = await fs.readJson(getWebhooksFile());
+    return Array.isArray(file.webhooks) ? file : { ...file, webhooks: [] };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { webhooks: [] };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Read the configured hooks (cached until the file changes)
+ * Hand-written entries that are invalid are skipped with a warning.
+ */
+async function listWebhooks() {
+  let stat;
+  try {
+    stat = await fs.stat(getWebhooksFile());
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+  if (hooksCache && hooksCache.mtimeMs === stat.mtimeMs && hooksCache.size === stat.size) {
+    return hooksCache.hooks;
+  }
+
+  const { webhooks } = await readWebhooksFile();
+  const hooks = [];
+  webhooks.forEach((entry, index) => {
+    try {
+      if (!entry || typeof entry.id !== 'string' || !entry.id) {
+        throw invalidWebhook(['id is required']);
+      }
+      // A generated secret would change on every read
+      if (entry.secret === undefined) {
+        throw invalidWebhook(['secret is required']);
+      }
+      hooks.push({ id: entry.id, ...buildHook(entry), createdAt: entry.createdAt, updatedAt: entry.updatedAt });
+    } catch (error) {
+      console.warn(`Webhooks: skipping entry ${index} of ${getWebhooksFile()}: ${(error.details || [error.message]).join('; ')}`);
+    }
+  });
+
+  hooksCache = { mtimeMs: stat.mtimeMs, size: stat.size, hooks };
+  return hooks;
+}
+
+async function getWebhook(id) {
+  return (await listWebhooks()).find(hook => hook.id === id) || null;
+}
+
+/**
+ * Change the stored entries under a lock (other top-level keys and entries are kept as written)
+ * @param {function} change - Receives the entries, returns { webhooks, result }
+ */
+function updateWebhooksFile(change) {
+  return withLock('webhooks', async () => {
+    const file = await readWebhooksFile();
+    const { webhooks, result } = change(file.webhooks);
+    if (webhooks !== file.webhooks) {
+      await writeJsonAtomic(getWebhooksFile(), { ...file, webhooks });
+      hooksCache = null;
+    }
+    return result;
+  });
+}
+
+/**
+ * Add a hook
+ * @returns {object} - The stored hook, including its secret
+ */
+async function createWebhook(input) {
+  const now = new Date().toISOString();
+  const hook = { id: uuidv4(), ...buildHook(input), createdAt: now, updatedAt: now };
+  return updateWebhooksFile(webhooks => ({ webhooks: [...webhooks, hook], result: hook }));
+}
+
+/**
+ * Change some fields of a hook
+ * @returns {object|null} - The updated hook, or null if there is no hook with that id
+ */
+async function updateWebhook(id, input) {
+  return updateWebhooksFile(webhooks => {
+    const index = webhooks.findIndex(entry => entry && entry.id === id);
+    if (index === -1) {
+      return { webhooks, result: null };
+    }
+    const existing = webhooks[index];
+    const hook = { ...existing, ...buildHook(input, existing), id, updatedAt: new Date().toISOString() };
+    const next = [...webhooks];
+    next[index] = hook;
+    return { webhooks: next, result: hook };
+  });
+}
+
+/**
+ * Remove a hook (its pending deliveries fail on their next attempt)
+ * @returns {boolean} - false if there is no hook with that id
+ */
+async function deleteWebhook(id) {
+  return updateWebhooksFile(webhooks => {
+    const next = webhooks.filter(entry => !entry || entry.id !== id);
+    return next.length === webhooks.length
+      ? { webhooks, result: false }
+      : { webhooks: next, result: true };
+  });
+}
+
+/**
+ * Deliveries logged by earlier versions hold the payload object instead of its body
+ */
+function upgradeDelivery({ payload, ...delivery }) {
+  if (payload && delivery.body === undefined) {
+    delivery.type = payload.data && payload.data.type !== undefined ? payload.data.type : null;
+    delivery.body = delivery.status === 'delivered' ? null : JSON.stringify(payload);
+  }
+  return delivery;
+}
+
+function ensureLoaded() {
+  if (!loaded) {
+    loaded = fs.readJson(getDeliveriesFile())
+      .then(file => {
+        deliveries = Array.isArray(file.deliveries) ? file.deliveries.map(upgradeDelivery) : [];
+      })
+      .catch(error => {
+        if (error.code !== 'ENOENT') {
+          console.error('Webhooks: could not read the delivery log:', error.message);
+        }
+        deliveries = [];
+      });
+  }
+  return loaded;
+}
+
+/**
+ * Write the queue and log; calls made while a write is waiting share it
+ */
+function save() {
+  if (saveRequested) {
+    return savePromise;
+  }
+  saveRequested = true;
+  savePromise = withLock('webhooks/deliveries', async () => {
+    saveRequested = false;
+    const finished = deliveries.filter(delivery => delivery.status !== 'pending');
+    if (finished.length > LOG_LIMIT) {
+      const dropped = new Set(finished.slice(0, finished.length - LOG_LIMIT));
+      deliveries = deliveries.filter(delivery => !dropped.has(delivery));
+    }
+    await writeJsonAtomic(getDeliveriesFile(), { deliveries });
+  }).catch(error => {
+    console.error('Webhooks: could not save the delivery log:', error.message);
+  });
+  return savePromise;
+}
+
+/**
+ * Sign a request body: hex HMAC-SHA256 of "<timestamp>.<body>" with the hook's secret
+ */
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Delay before the next attempt: WEBHOOK_RETRY_DELAY, doubled after each failed attempt
+ */
+function getRetryDelay(attempts) {
+  return config.webhookRetryDelay * 1000 * 2 ** (attempts - 1);
+}
+
+/**
+ * POST a body and collect the start of the response
+ * Redirects are not followed.
+ * @returns {Promise<object>} - { status, text }; rejects on network errors and timeouts
+ */
+function postJson(url, headers, body) {
+  return new Promise((resolve, reject) => {
+    const client = new URL(url).protocol === 'https:' ? https : http;
+    const request = client.request(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      timeout: config.webhookTimeout * 1000
+    }, response => {
+      let text = '';
+      response.setEncoding('utf8');
+      response.on('data', chunk => {
+        if (text.length < RESPONSE_LIMIT) {
+          text += chunk;
+        }
+      });
+      response.on('end', () => resolve({ status: response.statusCode, text: text.slice(0, RESPONSE_LIMIT) }));
+      response.on('error', reject);
+    });
+
+    request.on('timeout', () => {
+      request.destroy(new Error(`No response within ${config.webhookTimeout}s`));
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+async function attemptDelivery(delivery) {
+  const attempt = { at: new Date().toISOString(), responseStatus: null, response: null, error: null, duration: null };
+  const startTime = Date.now();
+  const hook = await getWebhook(delivery.webhookId);
+
+  if (!hook) {
+    attempt.error = 'Webhook was deleted';
+  } else if (!hook.enabled) {
+    attempt.error = 'Webhook is disabled';
+  } else {
+    const { body } = delivery;
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    try {
+      const response = await postJson(hook.url, {
+        'Content-Type': 'application/json',
+        'User-Agent': 'FlatCMS-Webhooks',
+        'X-FlatCMS-Event': delivery.event,
+        'X-FlatCMS-Delivery': delivery.id,
+        'X-FlatCMS-Timestamp': timestamp,
+        'X-FlatCMS-Signature': `sha256=${sign(hook.secret, timestamp, body)}`
+      }, body);
+      attempt.responseStatus = response.status;
+      attempt.response = response.text;
+      if (response.status < 200 || response.status >= 300) {
+        attempt.error = `Receiver responded with ${response.status}`;
+      }
+    } catch (error) {
+      attempt.error = error.message;
+    }
+  }
+  attempt.duration = Date.now() - startTime;
+
+  delivery.attempts.push(attempt);
+  if (!attempt.error) {
+    delivery.status = 'delivered';
+    delivery.nextAttemptAt = null;
+    delivery.completedAt = attempt.at;
+    delivery.body = null;
+  } else if (!hook || !hook.enabled || delivery.attempts.length >= config.webhookMaxAttempts) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+    delivery.completedAt = attempt.at;
+    console.warn(`Webhooks: gave up on delivery ${delivery.id} (${delivery.event}): ${attempt.error}`);
+  } else {
+    delivery.nextAttemptAt = new Date(Date.now() + getRetryDelay(delivery.attempts.length)).toISOString();
+  }
+}
+
+/**
+ * Send every delivery that is due, then arm a timer for the next retry
+ * Deliveries run side by side, so a slow receiver does not hold up the others.
+ */
+function processDue() {
+  if (!started) {
+    return;
+  }
+  const now = Date.now();
+  deliveries
+    .filter(delivery => delivery.status === 'pending' && !inFlight.has(delivery.id)
+      && new Date(delivery.nextAttemptAt).getTime() <= now)
+    .forEach(delivery => {
+      inFlight.add(delivery.id);
+      attemptDelivery(delivery)
+        .catch(error => {
+          console.error(`Webhooks: delivery ${delivery.id} failed:`, error.message);
+        })
+        .finally(() => {
+          inFlight.delete(delivery.id);
+          save();
+          armTimer();
+        });
+    });
+  armTimer();
+}
+
+function armTimer() {
+  clearTimeout(timer);
+  timer = null;
+  if (!started) {
+    return;
+  }
+
+  let next = Infinity;
+  for (const delivery of deliveries) {
+    if (delivery.status === 'pending' && !inFlight.has(delivery.id)) {
+      next = Math.min(next, new Date(delivery.nextAttemptAt).getTime());
+    }
+  }
+  if (next !== Infinity) {
+    const delay = Math.min(Math.max(next - Date.now(), 0), MAX_TIMER_DELAY);
+    timer = setTimeout(processDue, delay);
+    timer.unref();
+  }
+}
+
+/**
+ * Add a delivery of an event to one hook to the queue (in memory, see save)
+ * @returns {object} - The delivery
+ */
+function addDelivery(hook, event, data, actor) {
+  const id = uuidv4();
+  const now = new Date().toISOString();
+  const delivery = {
+    id,
+    webhookId: hook.id,
+    event,
+    type: data.type !== undefined ? data.type : null,
+    status: 'pending',
+    createdAt: now,
+    nextAttemptAt: now,
+    completedAt: null,
+    attempts: [],
+    body: JSON.stringify({ id, event, createdAt: now, actor, data })
+  };
+  deliveries.push(delivery);
+  return delivery;
+}
+
+/**
+ * Queue a delivery of an event to one hook and send it
+ * @returns {object} - The delivery (see getDelivery)
+ */
+async function queueDelivery(hook, event, data, actor) {
+  await ensureLoaded();
+  const delivery = addDelivery(hook, event, data, actor);
+  await save();
+  processDue();
+  return toResponse(delivery);
+}
+
+function matches(hook, event, type) {
+  return hook.enabled
+    && (hook.events.includes('*') || hook.events.includes(event))
+    && (hook.types.length === 0 || hook.types.includes(type));
+}
+
+async function dispatch(names, type, data, actor) {
+  try {
+    const hooks = await listWebhooks();
+    await ensureLoaded();
+    let queued = 0;
+    for (const event of names) {
+      for (const hook of hooks.filter(candidate => matches(candidate, event, type))) {
+        addDelivery(hook, event, data, actor);
+        queued++;
+      }
+    }
+    // One write for all the deliveries of a change
+    if (queued > 0) {
+      await save();
+      processDue();
+    }
+  } catch (error) {
+    console.error('Webhooks: could not queue deliveries:', error.message);
+  }
+}
+
+/**
+ * Webhook events for a content change: its action, plus publish when the item
+ * becomes published and unpublish when a published item changes status or is deleted
+ */
+function getContentEvents({ action, content, previous }) {
+  const names = [`content.${action}`];
+  const wasPublished = Boolean(previous && previous.status === 'published');
+  const isPublished = Boolean(content && content.status === 'published');
+  if (isPublished && !wasPublished) {
+    names.push('content.publish');
+  }
+  if (wasPublished && !isPublished) {
+    names.push('content.unpublish');
+  }
+  return names;
+}
+
+function handleContentEvent(change) {
+  const { type, id, content, previous } = change;
+  dispatch(getContentEvents(change), type, { type, id, content, previous }, requestContext.getActor());
+}
+
+function handleMediaEvent({ action, type, filename, metadata }) {
+  dispatch([`media.${action}`], type, { type, filename, metadata }, requestContext.getActor());
+}
+
+/**
+ * Start delivering (pending deliveries from before a restart are sent right away)
+ * @returns {Promise} - Resolves once the queue is loaded
+ */
+function start() {
+  if (started) {
+    return ensureLoaded();
+  }
+  started = true;
+
+  events.on('content', handleContentEvent);
+  events.on('media', handleMediaEvent);
+  return ensureLoaded().then(processDue);
+}
+
+/**
+ * Stop queueing and retrying deliveries (attempts in progress still finish)
+ */
+function stop() {
+  started = false;
+  events.removeListener('content', handleContentEvent);
+  events.removeListener('media', handleMediaEvent);
+  clearTimeout(timer);
+  timer = null;
+}
+
+/**
+ * Send a test `ping` event to a hook, whatever its event and type filters
+ * @returns {object} - The queued delivery
+ */
+async function pingWebhook(hook) {
+  const { id, url, events: hookEvents, types } = hook;
+  return queueDelivery(hook, 'ping', { webhook: { id, url, events: hookEvents, types } }, requestContext.getActor());
+}
+
+/**
+ * Queue a new delivery with the same event and data as an earlier one
+ * @param {object} delivery - A delivery returned by getDelivery
+ * @returns {object|null} - The new delivery, or null if the payload is no longer kept
+ */
+async function redeliver(delivery, hook) {
+  if (!delivery.payload) {
+    return null;
+  }
+  return queueDelivery(hook, delivery.event, delivery.payload.data, requestContext.getActor());
+}
+
+/**
+ * A copy of a delivery for responses: the body is parsed back into `payload`
+ * (null once the delivery has succeeded)
+ */
+function toResponse({ body, ...delivery }) {
+  return {
+    ...JSON.parse(JSON.stringify(delivery)),
+    payload: body ? JSON.parse(body) : null
+  };
+}
+
+/**
+ * List deliveries, newest first, without their payloads
+ * @param {object} options - { webhookId, status, event, limit, offset }
+ */
+async function listDeliveries(options = {}) {
+  await ensureLoaded();
+  const { webhookId, status, event } = options;
+  const limit = options.limit || 50;
+  const offset = options.offset || 0;
+
+  const matching = deliveries
+    .filter(delivery => (!webhookId || delivery.webhookId === webhookId)
+      && (!status || delivery.status === status)
+      && (!event || delivery.event === event))
+    .reverse();
+
+  return {
+    data: matching.slice(offset, offset + limit).map(({ body, ...delivery }) => ({
+      ...delivery,
+      attempts: delivery.attempts.map(attempt => ({ ...attempt }))
+    })),
+    pagination: { total: matching.length, limit, offset, hasMore: offset + limit < matching.length }
+  };
+}
+
+/**
+ * Get one delivery with its payload and attempts
+ */
+async function getDelivery(id) {
+  await ensureLoaded();
+  const delivery = deliveries.find(entry => entry.id === id);
+  return delivery ? toResponse(delivery) : null;
+}
+
+module.exports = {
+  start,
+  stop,
+  listWebhooks,
+  getWebhook,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  pingWebhook,
+  redeliver,
+  listDeliveries,
+  getDelivery
+};
@@ -0,0 +1,101 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer } = require('./helpers');
+
+const NDJSON = { 'Content-Type': 'application/x-ndjson' };
+
+describe('export and import archives', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestServer({
+      author: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' }
+        }
+      },
+      post: {
+        type: 'object',
+        properties: {
+          title: { type: 'string' },
+          slug: { type: 'string', unique: true },
+          author: { type: 'string', 'x-ref': 'author', onDelete: 'cascade' }
+        }
+      }
+    });
+  });
+
+  after(() => api.close());
+
+  async function getItem(type, id) {
+    return (await api.request('GET', `/api/content/${type}/${id}`)).body;
+  }
+
+  // Imported items are written like any other, so only updatedAt changes
+  function withoutUpdatedAt({ updatedAt, ...item }) {
+    return item;
+  }
+
+  it('restores exported items, with their ids and versions', async () => {
+    const author = (await api.request('POST', '/api/content/author', { body: { name: 'Ada' } })).body;
+    const created = await api.request('POST', '/api/content/post', { body: { title: 'Draft', slug: 'hello', author: author.id } });
+    await api.request('PUT', `/api/content/post/${created.body.id}`, { body: { title: 'Final' } });
+    const post = await getItem('post', created.body.id);
+
+    const exported = await api.request('GET', '/api/_export?versions=true');
+    assert.strictEqual(exported.status, 200);
+    const records = exported.body.trim().split('\n').map(line => JSON.parse(line));
+    assert.strictEqual(records[0].kind, 'header');
+    assert.deepStrictEqual(records.filter(record => record.kind === 'content').map(record => record.type).sort(), ['author', 'post']);
+
+    // Deleting the author cascades to the post
+    await api.request('DELETE', `/api/content/author/${author.id}`);
+    assert.strictEqual((await api.request('GET', `/api/content/post/${post.id}`)).status, 404);
+
+    const imported = await api.request('POST', '/api/_import', { body: exported.body, headers: NDJSON });
+    assert.strictEqual(imported.status, 200);
+    assert.strictEqual(imported.body.summary.created, 2);
+    assert.ok(imported.body.summary.versions >= 1);
+
+    assert.deepStrictEqual(withoutUpdatedAt(await getItem('author', author.id)), withoutUpdatedAt(author));
+    assert.deepStrictEqual(withoutUpdatedAt(await getItem('post', post.id)), withoutUpdatedAt(post));
+    const versions = await api.request('GET', `/api/content/post/${post.id}/versions`);
+    assert.ok(versions.body.some(version => version.title === 'Draft'));
+  });
+
+  it('skips, merges or overwrites items that already exist', async () => {
+    const created = (await api.request('POST', '/api/content/post', { body: { title: 'Archived', slug: 'archived' } })).body;
+    const archive = (await api.request('GET', '/api/_export?types=post')).body;
+    await api.request('PUT', `/api/content/post/${created.id}`, { body: { title: 'Changed', extra: 'kept' } });
+
+    const skipped = await api.request('POST', '/api/_import?strategy=skip', { body: archive, headers: NDJSON });
+    assert.strictEqual(skipped.status, 200);
+    assert.strictEqual((await getItem('post', created.id)).title, 'Changed');
+
+    const merged = await api.request('POST', '/api/_import?strategy=merge', { body: archive, headers: NDJSON });
+    assert.strictEqual(merged.status, 200);
+    const mergedItem = await getItem('post', created.id);
+    assert.strictEqual(mergedItem.title, 'Archived');
+    assert.strictEqual(mergedItem.extra, 'kept');
+
+    const overwritten = await api.request('POST', '/api/_import?strategy=overwrite', { body: archive, headers: NDJSON });
+    assert.strictEqual(overwritten.status, 200);
+    const overwrittenItem = await getItem('post', created.id);
+    assert.strictEqual(overwrittenItem.title, 'Archived');
+    assert.strictEqual(overwrittenItem.extra, undefined);
+  });
+
+  it('imports nothing from an archive with an invalid record', async () => {
+    const archive = [
+      { kind: 'header', format: 'flatcms-archive', version: 1, types: ['post'] },
+      { kind: 'content', type: 'post', data: { id: 'valid-post', title: 'Valid', slug: 'valid' } },
+      { kind: 'content', type: 'post', data: { id: 'invalid-post', title: 42 } }
+    ].map(record => JSON.stringify(record)).join('\n');
+
+    const response = await api.request('POST', '/api/_import', { body: archive, headers: NDJSON });
+    assert.strictEqual(response.status, 400);
+    assert.deepStrictEqual(response.body.errors.map(error => error.line), [3]);
+    assert.strictEqual((await api.request('GET', '/api/content/post/valid-post')).status, 404);
+  });
+});
@@ -0,0 +1,91 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const path = require('path');
+const { startTestServer } = require('./helpers');
+
+describe('bulk operations', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestServer({
+      page: {
+        type: 'object',
+        properties: {
+          title: { type: 'string' },
+          slug: { type: 'string', unique: true }
+        },
+        required: ['title']
+      }
+    });
+  });
+
+  after(() => api.close());
+
+  afterEach(async () => {
+    const response = await api.request('GET', '/api/content/page');
+    for (const { id } of response.body.data) {
+      await api.request('DELETE', `/api/content/page/${id}`);
+    }
+  });
+
+  async function listSlugs() {
+    const response = await api.request('GET', '/api/content/page?sort=slug');
+    return response.body.data.map(item => item.slug);
+  }
+
+  it('applies create, update and delete operations in order', async () => {
+    const first = await api.request('POST', '/api/content/page', { body: { title: 'One', slug: 'one' } });
+    const second = await api.request('POST', '/api/content/page', { body: { title: 'Two', slug: 'two' } });
+
+    const response = await api.request('POST', '/api/content/page/_bulk', {
+      body: [
+        { op: 'create', data: { title: 'Three', slug: 'three' } },
+        { op: 'update', id: first.body.id, data: { title: 'One again' } },
+        { op: 'delete', id: second.body.id }
+      ]
+    });
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(response.body.results.map(result => result.status), [201, 200, 200]);
+    assert.deepStrictEqual(await listSlugs(), ['one', 'three']);
+  });
+
+  it('writes nothing if any operation is invalid', async () => {
+    const existing = await api.request('POST', '/api/content/page', { body: { title: 'Taken', slug: 'taken' } });
+
+    const response = await api.request('POST', '/api/content/page/_bulk', {
+      body: [
+        { op: 'create', data: { title: 'Fine', slug: 'fine' } },
+        { op: 'update', id: existing.body.id, data: { title: 'Renamed' } },
+        { op: 'create', data: { title: 'Clash', slug: 'taken' } },
+        { op: 'create', data: { slug: 'untitled' } }
+      ]
+    });
+    assert.strictEqual(response.status, 400);
+    assert.deepStrictEqual(response.body.results.map(result => result.status), [201, 200, 409, 400]);
+
+    assert.deepStrictEqual(await listSlugs(), ['taken']);
+    const stored = await api.request('GET', `/api/content/page/${existing.body.id}`);
+    assert.strictEqual(stored.body.title, 'Taken');
+  });
+
+  it('rolls back applied writes when a later write fails', async () => {
+    const { executePlan } = require('../src/utils/bulkHandler');
+    const existing = await api.request('POST', '/api/content/page', { body: { title: 'Before', slug: 'before' } });
+    const id = existing.body.id;
+
+    await assert.rejects(executePlan([
+      { op: 'create', type: 'page', id: 'rolled-back', data: { id: 'rolled-back', title: 'New', slug: 'new' } },
+      { op: 'update', type: 'page', id, data: { title: 'After' } },
+      { op: 'delete', type: 'page', id: 'missing' }
+    ]), /Content item not found: page\/missing/);
+
+    assert.strictEqual(await fs.pathExists(path.join(api.contentDir, 'page', 'rolled-back.json')), false);
+    assert.deepStrictEqual(await listSlugs(), ['before']);
+    const stored = await api.request('GET', `/api/content/page/${id}`);
+    assert.strictEqual(stored.body.title, 'Before');
+    // The snapshot taken by the undone update is removed too
+    const versionsDir = path.join(api.contentDir, 'page', id, 'versions');
+    assert.deepStrictEqual(await fs.pathExists(versionsDir) ? await fs.readdir(versionsDir) : [], []);
+  });
+});
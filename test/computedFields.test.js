@@ -0,0 +1,79 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer } = require('./helpers');
+
+describe('defaults and computed fields', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestServer({
+      article: {
+        type: 'object',
+        properties: {
+          title: { type: 'string', 'x-normalize': 'trim' },
+          slug: { type: 'string', unique: true, 'x-slug': 'title' },
+          sku: { type: 'string', 'x-normalize': ['trim', 'uppercase'] },
+          body: { type: 'richtext' },
+          readingTime: { type: 'integer', 'x-computed': { readingTime: 'body' } },
+          wordCount: { type: 'integer', 'x-computed': { wordCount: 'body' } },
+          category: { type: 'string', default: 'general' },
+          seo: {
+            type: 'object',
+            properties: { index: { type: 'boolean', default: true } },
+            default: {}
+          }
+        },
+        required: ['title', 'slug']
+      }
+    });
+  });
+
+  after(() => api.close());
+
+  it('fills in defaults on create but not on update', async () => {
+    const created = await api.request('POST', '/api/content/article', { body: { id: 'a1', title: 'Defaults' } });
+    assert.strictEqual(created.status, 201, JSON.stringify(created.body));
+    assert.strictEqual(created.body.category, 'general');
+    assert.deepStrictEqual(created.body.seo, { index: true });
+
+    const updated = await api.request('PATCH', '/api/content/article/a1', { body: { category: null } });
+    assert.strictEqual(updated.status, 200, JSON.stringify(updated.body));
+    assert.strictEqual(updated.body.category, undefined);
+  });
+
+  it('normalizes strings and generates transliterated, unique slugs', async () => {
+    const first = await api.request('POST', '/api/content/article', {
+      body: { id: 'c1', title: '  Crème Brûlée à la Straße ', sku: ' ab-12 ' }
+    });
+    assert.strictEqual(first.status, 201, JSON.stringify(first.body));
+    assert.strictEqual(first.body.title, 'Crème Brûlée à la Straße');
+    assert.strictEqual(first.body.sku, 'AB-12');
+    assert.strictEqual(first.body.slug, 'creme-brulee-a-la-strasse');
+
+    const second = await api.request('POST', '/api/content/article', { body: { id: 'c2', title: 'Crème brûlée à la Straße' } });
+    assert.strictEqual(second.body.slug, 'creme-brulee-a-la-strasse-2');
+
+    // A slug that has been set survives title changes until it is cleared
+    const renamed = await api.request('PATCH', '/api/content/article/c2', { body: { title: 'Tarte Tatin' } });
+    assert.strictEqual(renamed.body.slug, 'creme-brulee-a-la-strasse-2');
+    const cleared = await api.request('PATCH', '/api/content/article/c2', { body: { title: 'Tarte Tatin', slug: null } });
+    assert.strictEqual(cleared.body.slug, 'tarte-tatin');
+  });
+
+  it('computes word counts and reading time from richtext, ignoring markup', async () => {
+    const words = Array.from({ length: 201 }, (_, index) => `word${index}`).join(' ');
+    const created = await api.request('POST', '/api/content/article', {
+      body: { id: 'r1', title: 'Reading', body: `<p><strong>${words}</strong></p>` }
+    });
+    assert.deepStrictEqual([created.body.wordCount, created.body.readingTime], [201, 2]);
+
+    const shortened = await api.request('PATCH', '/api/content/article/r1', { body: { body: '<p>Just three words</p>' } });
+    assert.deepStrictEqual([shortened.body.wordCount, shortened.body.readingTime], [3, 1]);
+
+    const filtered = await api.request('GET', '/api/content/article?wordCount=3');
+    assert.deepStrictEqual(filtered.body.data.map(item => item.id), ['r1']);
+
+    const removed = await api.request('PATCH', '/api/content/article/r1', { body: { body: null } });
+    assert.deepStrictEqual([removed.body.wordCount, removed.body.readingTime], [undefined, undefined]);
+  });
+});
@@ -0,0 +1,65 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer } = require('./helpers');
+
+describe('If-Match preconditions', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestServer({
+      post: {
+        type: 'object',
+        properties: {
+          title: { type: 'string' }
+        }
+      }
+    });
+  });
+
+  after(() => api.close());
+
+  it('updates an item when If-Match has its current ETag', async () => {
+    const created = await api.request('POST', '/api/content/post', { body: { title: 'First' } });
+    const etag = created.headers.get('etag');
+    assert.ok(etag);
+
+    const updated = await api.request('PUT', `/api/content/post/${created.body.id}`, {
+      body: { title: 'Second' },
+      headers: { 'If-Match': etag }
+    });
+    assert.strictEqual(updated.status, 200);
+    assert.strictEqual(updated.body.title, 'Second');
+    assert.notStrictEqual(updated.headers.get('etag'), etag);
+  });
+
+  it('refuses a stale update with 412 and the current document', async () => {
+    const created = await api.request('POST', '/api/content/post', { body: { title: 'Original' } });
+    const staleEtag = created.headers.get('etag');
+    const path = `/api/content/post/${created.body.id}`;
+    await api.request('PUT', path, { body: { title: 'Theirs' } });
+
+    const response = await api.request('PUT', path, {
+      body: { title: 'Mine' },
+      headers: { 'If-Match': staleEtag }
+    });
+    assert.strictEqual(response.status, 412);
+    assert.strictEqual(response.body.current.title, 'Theirs');
+    assert.ok(response.headers.get('etag'));
+
+    const stored = await api.request('GET', path);
+    assert.strictEqual(stored.body.title, 'Theirs');
+  });
+
+  it('refuses a stale delete with 412 and keeps the item', async () => {
+    const created = await api.request('POST', '/api/content/post', { body: { title: 'Keep me' } });
+    const staleEtag = created.headers.get('etag');
+    const path = `/api/content/post/${created.body.id}`;
+    await api.request('PUT', path, { body: { title: 'Edited' } });
+
+    const response = await api.request('DELETE', path, { headers: { 'If-Match': staleEtag } });
+    assert.strictEqual(response.status, 412);
+
+    const stored = await api.request('GET', path);
+    assert.strictEqual(stored.status, 200);
+  });
+});
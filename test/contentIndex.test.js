@@ -0,0 +1,72 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const path = require('path');
+const { startTestServer, waitFor } = require('./helpers');
+
+// Over the 1 MB index limit on its own
+const LARGE_BODY = 'x'.repeat(1200 * 1024);
+
+describe('content index', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestServer({
+      note: { type: 'object', properties: { title: { type: 'string' } } },
+      archive: { type: 'object', properties: { body: { type: 'string' } } }
+    }, {
+      env: { INDEX_MAX_MEMORY_MB: '1' },
+      files: { 'archive/big.json': { id: 'big', body: LARGE_BODY, status: 'published' } }
+    });
+  });
+
+  after(() => api.close());
+
+  async function listIds(type) {
+    const response = await api.request('GET', `/api/content/${type}?sort=id`);
+    return response.body.data.map(item => item.id);
+  }
+
+  it('picks up files written, edited and removed outside the API', async () => {
+    await api.request('POST', '/api/content/note', { body: { id: 'a', title: 'From the API' } });
+    assert.deepStrictEqual(await listIds('note'), ['a']);
+    const indexed = await api.request('GET', '/api/content/_index');
+    assert.deepStrictEqual(indexed.body.types.map(entry => entry.type), ['note']);
+
+    const file = path.join(api.contentDir, 'note', 'b.json');
+    await fs.writeJson(file, { id: 'b', title: 'By hand', status: 'draft' });
+    await waitFor(async () => (await listIds('note')).includes('b'));
+
+    await fs.writeJson(file, { id: 'b', title: 'Edited by hand', status: 'draft' });
+    await waitFor(async () => (await api.request('GET', '/api/content/note?title=Edited by hand')).body.data.length === 1);
+
+    await fs.remove(file);
+    await waitFor(async () => (await listIds('note')).length === 1);
+  });
+
+  it('reads a type too large to index from disk without reloading it each time', async () => {
+    const contentIndex = require('../src/utils/contentIndex');
+    assert.deepStrictEqual(await listIds('archive'), ['big']);
+
+    const changes = [];
+    const stop = contentIndex.onChange(change => {
+      if (change.type === 'archive') {
+        changes.push(change);
+      }
+    });
+    try {
+      await fs.writeJson(path.join(api.contentDir, 'archive', 'small.json'), { id: 'small', status: 'draft' });
+      assert.deepStrictEqual(await listIds('archive'), ['big', 'small']);
+      assert.deepStrictEqual(await listIds('archive'), ['big', 'small']);
+      assert.deepStrictEqual(changes, []);
+      const stats = await api.request('GET', '/api/content/_index');
+      assert.ok(!stats.body.types.some(entry => entry.type === 'archive'));
+
+      // A rebuild tries to index it again
+      await api.request('POST', '/api/content/_index/rebuild/archive');
+      assert.ok(changes.some(change => change.reset));
+    } finally {
+      stop();
+    }
+  });
+});
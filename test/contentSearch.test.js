@@ -0,0 +1,68 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const path = require('path');
+const { startTestServer, waitFor } = require('./helpers');
+
+describe('full-text search', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestServer({
+      post: {
+        type: 'object',
+        properties: {
+          title: { type: 'string', 'x-search': 3 },
+          body: { type: 'string', 'x-search': true },
+          slug: { type: 'string' }
+        }
+      }
+    });
+
+    const posts = [
+      { id: 'shoes', title: 'Running shoes', body: 'Light and fast', slug: 'garden' },
+      { id: 'diary', title: 'Diary', body: 'I run every day, then I run again' },
+      { id: 'trees', title: 'Pruning trees', body: 'Prune in winter' },
+      { id: 'cafe', title: 'Best café in town', body: '<p>Good <strong>coffee</strong></p>' }
+    ];
+    for (const post of posts) {
+      await api.request('POST', '/api/content/post', { body: post });
+    }
+  });
+
+  after(() => api.close());
+
+  async function searchIds(query) {
+    const response = await api.request('GET', `/api/content/post?search=${encodeURIComponent(query)}`);
+    assert.strictEqual(response.status, 200);
+    return response.body.data.map(item => item.id);
+  }
+
+  it('matches stemmed whole words and ranks boosted fields first', async () => {
+    assert.deepStrictEqual(await searchIds('run'), ['shoes', 'diary']);
+    assert.deepStrictEqual(await searchIds('prune'), ['trees']);
+    assert.deepStrictEqual(await searchIds('run fast'), ['shoes']);
+  });
+
+  it('folds accents, ignores markup and only searches selected fields', async () => {
+    assert.deepStrictEqual(await searchIds('cafe'), ['cafe']);
+    assert.deepStrictEqual(await searchIds('strong'), []);
+    assert.deepStrictEqual(await searchIds('garden'), []);
+  });
+
+  it('adds highlighted snippets on request', async () => {
+    const response = await api.request('GET', '/api/content/post?search=running&highlight=true');
+    const [first] = response.body.data;
+    assert.strictEqual(first._highlights.title, '<mark>Running</mark> shoes');
+  });
+
+  it('follows writes through the API and on disk', async () => {
+    await api.request('PUT', '/api/content/post/trees', { body: { title: 'Pruning hedges' } });
+    assert.deepStrictEqual(await searchIds('hedge'), ['trees']);
+    await api.request('DELETE', '/api/content/post/trees');
+    assert.deepStrictEqual(await searchIds('hedge'), []);
+
+    await fs.writeJson(path.join(api.contentDir, 'post', 'manual.json'), { id: 'manual', title: 'Hedgehogs', status: 'draft' });
+    await waitFor(async () => (await searchIds('hedgehogs')).includes('manual'));
+  });
+});
@@ -0,0 +1,91 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer } = require('./helpers');
+
+const CSV = { 'Content-Type': 'text/csv' };
+
+const PRODUCTS = [
+  {
+    title: 'Plain',
+    price: 12.5,
+    inStock: true,
+    tags: ['news', 'featured'],
+    specs: { weight: 3 }
+  },
+  {
+    title: '=HYPERLINK("http://example.com","click")',
+    price: -4,
+    inStock: false,
+    tags: ['@mention'],
+    notes: 'Commas, "quotes"\nand line breaks'
+  }
+];
+
+describe('CSV export and import', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestServer({
+      product: {
+        type: 'object',
+        properties: {
+          title: { type: 'string' },
+          price: { type: 'number' },
+          inStock: { type: 'boolean' },
+          tags: { type: 'array', items: { type: 'string' } },
+          specs: { type: 'object' },
+          notes: { type: 'string' }
+        }
+      }
+    });
+  });
+
+  after(() => api.close());
+
+  async function listProducts() {
+    return (await api.request('GET', '/api/content/product?sort=price')).body.data;
+  }
+
+  it('imports an export back to the same values', async () => {
+    for (const product of PRODUCTS) {
+      await api.request('POST', '/api/content/product', { body: product });
+    }
+    const original = await listProducts();
+
+    const exported = await api.request('GET', '/api/content/product.csv?sort=price');
+    assert.strictEqual(exported.status, 200);
+    assert.match(exported.body, /'=HYPERLINK/);
+
+    for (const { id } of original) {
+      await api.request('PUT', `/api/content/product/${id}`, { body: { title: 'Overwritten', price: 0, inStock: true, tags: [] } });
+    }
+
+    const imported = await api.request('POST', '/api/content/product/_import/csv', { body: exported.body, headers: CSV });
+    assert.strictEqual(imported.status, 200);
+    assert.deepStrictEqual(imported.body.summary, { rows: 2, created: 0, updated: 2 });
+
+    const restored = await listProducts();
+    assert.deepStrictEqual(
+      restored.map(({ updatedAt, ...item }) => item),
+      original.map(({ updatedAt, ...item }) => item)
+    );
+  });
+
+  it('round-trips with another delimiter', async () => {
+    const exported = await api.request('GET', '/api/content/product.csv?sort=price&delimiter=;');
+    assert.strictEqual(exported.status, 200);
+
+    const imported = await api.request('POST', '/api/content/product/_import/csv?delimiter=;&dryRun=true', { body: exported.body, headers: CSV });
+    assert.strictEqual(imported.status, 200);
+    assert.strictEqual(imported.body.valid, true);
+    assert.deepStrictEqual(imported.body.columns.ignored, ['createdAt', 'updatedAt']);
+  });
+
+  it('writes nothing if any row is invalid', async () => {
+    const csv = 'title,price\nFine,1\nBroken,not a number\n';
+    const response = await api.request('POST', '/api/content/product/_import/csv', { body: csv, headers: CSV });
+    assert.strictEqual(response.status, 400);
+    assert.deepStrictEqual(response.body.rows.map(row => row.status), [201, 400]);
+    assert.strictEqual((await listProducts()).length, PRODUCTS.length);
+  });
+});
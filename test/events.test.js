@@ -0,0 +1,101 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer } = require('./helpers');
+
+describe('live events', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestServer({
+      post: { type: 'object', properties: { title: { type: 'string' } } },
+      page: { type: 'object', properties: { title: { type: 'string' } } }
+    }, { env: { EVENTS_BUFFER_SIZE: '3' } });
+  });
+
+  after(() => api.close());
+
+  /**
+   * Read the event stream until `count` events (ready and reset included) arrive
+   * The request is aborted afterwards, so the server can close.
+   * @returns {array} - [{ id, event, data }]
+   */
+  async function readEvents(query, count, { headers = {}, onReady } = {}) {
+    const controller = new AbortController();
+    const response = await fetch(`${api.baseUrl}/api/events${query}`, {
+      headers: { Authorization: 'Bearer test-key', ...headers },
+      signal: controller.signal
+    });
+    assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+    const received = [];
+    const decoder = new TextDecoder();
+    let text = '';
+    try {
+      for await (const chunk of response.body) {
+        text += decoder.decode(chunk, { stream: true });
+        let end;
+        while ((end = text.indexOf('\n\n')) !== -1) {
+          const block = text.slice(0, end);
+          text = text.slice(end + 2);
+          const fields = Object.fromEntries(block.split('\n').map(line => {
+            const colon = line.indexOf(': ');
+            return [line.slice(0, colon), line.slice(colon + 2)];
+          }));
+          if (!fields.event) {
+            continue;
+          }
+          received.push({ id: fields.id, event: fields.event, data: JSON.parse(fields.data) });
+          if (fields.event === 'ready' && onReady) {
+            await onReady();
+          }
+        }
+        if (received.length >= count) {
+          break;
+        }
+      }
+    } finally {
+      controller.abort();
+    }
+    return received;
+  }
+
+  it('streams changes for the requested types', async () => {
+    const received = await readEvents('?types=post', 3, {
+      onReady: async () => {
+        await api.request('POST', '/api/content/page', { body: { id: 'about', title: 'About' } });
+        await api.request('POST', '/api/content/post', { body: { id: 'p1', title: 'First', status: 'published' } });
+        await api.request('DELETE', '/api/content/post/p1');
+      }
+    });
+
+    assert.deepStrictEqual(received.map(entry => entry.event), ['ready', 'content.create', 'content.delete']);
+    assert.strictEqual(received[1].data.type, 'post');
+    assert.deepStrictEqual([received[1].data.id, received[1].data.status], ['p1', 'published']);
+    assert.strictEqual(received[2].data.status, 'published');
+  });
+
+  it('replays missed events from Last-Event-ID and resets when they are gone', async () => {
+    const [ready] = await readEvents('', 1);
+    await api.request('POST', '/api/content/post', { body: { id: 'p2', title: 'Second' } });
+    await api.request('PUT', '/api/content/post/p2', { body: { title: 'Second, edited' } });
+
+    const resumed = await readEvents('', 3, { headers: { 'Last-Event-ID': ready.id } });
+    assert.deepStrictEqual(resumed.map(entry => entry.event), ['content.create', 'content.update', 'ready']);
+    assert.strictEqual(resumed[1].data.id, 'p2');
+
+    // The buffer holds 3 events, so the client is too far behind after two more
+    await api.request('POST', '/api/content/post', { body: { id: 'p3', title: 'Third' } });
+    await api.request('POST', '/api/content/post', { body: { id: 'p4', title: 'Fourth' } });
+    const tooOld = await readEvents('', 2, { headers: { 'Last-Event-ID': ready.id } });
+    assert.deepStrictEqual(tooOld.map(entry => entry.event), ['reset', 'ready']);
+
+    const unknown = await readEvents('', 2, { headers: { 'Last-Event-ID': 'other-run-1' } });
+    assert.deepStrictEqual(unknown.map(entry => entry.event), ['reset', 'ready']);
+  });
+
+  it('requires the API key', async () => {
+    const response = await fetch(`${api.baseUrl}/api/events`);
+    assert.strictEqual(response.status, 401);
+    await response.text();
+  });
+});
@@ -0,0 +1,65 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer } = require('./helpers');
+
+describe('facets', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestServer({
+      product: {
+        type: 'object',
+        properties: {
+          category: { type: 'string' },
+          tags: { type: 'array', items: { type: 'string' } },
+          year: { type: 'integer' },
+          releasedAt: { type: 'string', format: 'date-time' }
+        }
+      }
+    });
+
+    const products = [
+      { category: 'tools', tags: ['new', 'sale'], year: 2024, releasedAt: '2024-02-10T00:00:00.000Z' },
+      { category: 'tools', tags: ['sale', 'sale'], year: 2024, releasedAt: '2024-01-05T00:00:00.000Z' },
+      { category: 'garden', year: 10, releasedAt: '2024-01-20T00:00:00.000Z' },
+      { tags: [], year: 2024 }
+    ];
+    for (const product of products) {
+      await api.request('POST', '/api/content/product', { body: { ...product, status: 'published' } });
+    }
+  });
+
+  after(() => api.close());
+
+  async function getFacets(query) {
+    const response = await api.request('GET', `/api/content/product/_facets?${query}`);
+    assert.strictEqual(response.status, 200);
+    return response.body.facets;
+  }
+
+  it('counts values most common first, array elements once per item', async () => {
+    const { category, tags } = await getFacets('fields=category,tags');
+    assert.deepStrictEqual(category, { values: [{ value: 'tools', count: 2 }, { value: 'garden', count: 1 }], missing: 1 });
+    assert.deepStrictEqual(tags.values, [{ value: 'sale', count: 2 }, { value: 'new', count: 1 }]);
+    assert.strictEqual(tags.missing, 2);
+  });
+
+  it('keeps count order for integer-like values', async () => {
+    const { year } = await getFacets('fields=year');
+    assert.deepStrictEqual(year.values, [{ value: '2024', count: 3 }, { value: '10', count: 1 }]);
+    assert.deepStrictEqual(year.stats, { count: 4, min: 10, max: 2024, sum: 6082, avg: 1520.5 });
+  });
+
+  it('buckets dates by interval in chronological order', async () => {
+    const { releasedAt } = await getFacets('fields=releasedAt:month&category=tools');
+    assert.deepStrictEqual(releasedAt.values, [{ value: '2024-01', count: 1 }, { value: '2024-02', count: 1 }]);
+    assert.strictEqual(releasedAt.interval, 'month');
+  });
+
+  it('rejects undeclared fields and intervals on other fields', async () => {
+    const undeclared = await api.request('GET', '/api/content/product/_facets?fields=colour');
+    assert.strictEqual(undeclared.status, 400);
+    const interval = await api.request('GET', '/api/content/product/_facets?fields=category:month');
+    assert.strictEqual(interval.status, 400);
+  });
+});
@@ -0,0 +1,77 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer } = require('./helpers');
+
+describe('filter expressions', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestServer({
+      post: {
+        type: 'object',
+        properties: {
+          title: { type: 'string' },
+          category: { type: 'string' },
+          tags: { type: 'array', items: { type: 'string' } },
+          views: { type: 'integer' },
+          subtitle: { type: 'string' }
+        }
+      }
+    });
+
+    const posts = [
+      { id: 'a', title: 'Alpha release', category: 'news', tags: ['launch'], views: 10, status: 'published' },
+      { id: 'b', title: 'Beta notes', category: 'blog', tags: ['featured'], views: 50, subtitle: 'Read me', status: 'published' },
+      { id: 'c', title: 'Gamma', category: 'blog', tags: [], views: 200, status: 'archived' },
+      { id: 'd', title: 'Delta', category: 'news', views: 5 }
+    ];
+    for (const post of posts) {
+      await api.request('POST', '/api/content/post', { body: post });
+    }
+  });
+
+  after(() => api.close());
+
+  async function filterIds(expression, query = '') {
+    const filter = encodeURIComponent(JSON.stringify(expression));
+    const response = await api.request('GET', `/api/content/post?sort=id&filter=${filter}${query}`);
+    assert.strictEqual(response.status, 200, JSON.stringify(response.body));
+    return response.body.data.map(item => item.id);
+  }
+
+  it('combines conditions with or, not and nested groups', async () => {
+    assert.deepStrictEqual(await filterIds({ or: [{ category: 'news' }, { tags: { contains: 'featured' } }] }), ['a', 'b', 'd']);
+    assert.deepStrictEqual(await filterIds({ not: { status: 'archived' }, category: 'blog' }), ['b']);
+    assert.deepStrictEqual(await filterIds({
+      and: [
+        { or: [{ category: 'news' }, { views: { gte: 100 } }] },
+        { not: { views: { lt: 10 } } }
+      ]
+    }), ['a', 'c']);
+  });
+
+  it('supports exists, startswith, regex and between, and ANDs with plain filters', async () => {
+    assert.deepStrictEqual(await filterIds({ subtitle: { exists: true } }), ['b']);
+    assert.deepStrictEqual(await filterIds({ title: { startswith: 'al' } }), ['a']);
+    assert.deepStrictEqual(await filterIds({ title: { regex: '/^(beta|gamma)/i' } }), ['b', 'c']);
+    assert.deepStrictEqual(await filterIds({ views: { between: [10, 50] } }), ['a', 'b']);
+    assert.deepStrictEqual(await filterIds({ views: { between: [10, 50] } }, '&category=blog'), ['b']);
+  });
+
+  it('rejects malformed expressions, unknown operators and unsafe patterns with 400', async () => {
+    const invalid = [
+      '{"or": {"category": "news"}}',
+      '{"views": {"like": 3}}',
+      '{not json',
+      '{"title": {"regex": "(a+)+$"}}',
+      '{"title": {"regex": "(a|b)*c"}}'
+    ];
+    for (const filter of invalid) {
+      const response = await api.request('GET', `/api/content/post?filter=${encodeURIComponent(filter)}`);
+      assert.strictEqual(response.status, 400, filter);
+      assert.ok(response.body.error);
+    }
+    const unknownOperator = await api.request('GET', '/api/content/post?title__like=x');
+    assert.strictEqual(unknownOperator.status, 400);
+  });
+});
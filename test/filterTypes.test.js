@@ -0,0 +1,60 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer } = require('./helpers');
+
+describe('typed filters', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestServer({
+      event: {
+        type: 'object',
+        properties: {
+          title: { type: 'string' },
+          seats: { type: 'integer' },
+          free: { type: 'boolean' },
+          startsOn: { type: 'string', format: 'date' },
+          tags: { type: 'array', items: { type: 'string' } }
+        }
+      }
+    });
+
+    const events = [
+      { id: 'a', title: 'Small', seats: 9, free: true, startsOn: '2024-01-31', tags: ['meetup'] },
+      { id: 'b', title: 'Medium', seats: 10, free: false, startsOn: '2024-02-01', tags: ['talk', 'meetup'] },
+      { id: 'c', title: 'Large', seats: 100, startsOn: '2023-12-01' }
+    ];
+    for (const event of events) {
+      await api.request('POST', '/api/content/event', { body: event });
+    }
+  });
+
+  after(() => api.close());
+
+  async function listIds(query) {
+    const response = await api.request('GET', `/api/content/event?sort=id&${query}`);
+    assert.strictEqual(response.status, 200, JSON.stringify(response.body));
+    return response.body.data.map(item => item.id);
+  }
+
+  it('compares numbers numerically and dates chronologically', async () => {
+    assert.deepStrictEqual(await listIds('seats__gte=10'), ['b', 'c']);
+    assert.deepStrictEqual(await listIds('seats__lt=10'), ['a']);
+    assert.deepStrictEqual(await listIds('startsOn__gte=2024-01-01'), ['a', 'b']);
+    assert.deepStrictEqual(await listIds('startsOn__between=2024-01-01,2024-01-31'), ['a']);
+  });
+
+  it('matches booleans strictly and array fields by element', async () => {
+    assert.deepStrictEqual(await listIds('free=true'), ['a']);
+    assert.deepStrictEqual(await listIds('tags=talk'), ['b']);
+    assert.deepStrictEqual(await listIds('tags__ne=talk'), ['a', 'c']);
+  });
+
+  it('rejects malformed values and undeclared fields unless strict is off', async () => {
+    for (const query of ['seats=010', 'free=yes', 'colour=red', 'filter={"colour":"red"}']) {
+      const response = await api.request('GET', `/api/content/event?${query}`);
+      assert.strictEqual(response.status, 400, query);
+    }
+    assert.deepStrictEqual(await listIds('colour=red&strict=false'), []);
+  });
+});
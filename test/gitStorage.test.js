@@ -0,0 +1,70 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+const { startTestServer } = require('./helpers');
+
+describe('git storage', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestServer({
+      post: {
+        type: 'object',
+        properties: {
+          title: { type: 'string' }
+        }
+      }
+    }, { env: { GIT_STORAGE: 'true' } });
+  });
+
+  after(() => api.close());
+
+  function gitLog() {
+    return execFileSync('git', ['log', '--format=%s'], { cwd: api.contentDir, encoding: 'utf8' }).trim().split('\n');
+  }
+
+  it('commits every change with the acting key', async () => {
+    await api.request('POST', '/api/content/post', { body: { id: 'p1', title: 'First' } });
+    await api.request('PUT', '/api/content/post/p1', { body: { title: 'Second' } });
+
+    const history = await api.request('GET', '/api/content/post/p1/history');
+    assert.strictEqual(history.status, 200);
+    assert.deepStrictEqual(history.body.data.map(entry => entry.message), ['Update post/p1', 'Create post/p1']);
+    const actor = `key:${crypto.createHash('sha256').update('test-key').digest('hex').slice(0, 12)}`;
+    assert.strictEqual(history.body.data[0].actor, actor);
+    assert.strictEqual(history.body.data[0].author, 'FlatCMS');
+
+    const paged = await api.request('GET', '/api/content/post/p1/history?limit=1&offset=1');
+    assert.deepStrictEqual(paged.body.data.map(entry => entry.message), ['Create post/p1']);
+    assert.strictEqual(paged.body.pagination.hasMore, false);
+
+    assert.strictEqual(gitLog()[0], 'Update post/p1');
+  });
+
+  it('reads and restores earlier states, including deleted items', async () => {
+    const history = await api.request('GET', '/api/content/post/p1/history');
+    const created = history.body.data[1].commit;
+
+    const snapshot = await api.request('GET', `/api/content/post/p1/history/${created.slice(0, 7)}`);
+    assert.strictEqual(snapshot.status, 200);
+    assert.deepStrictEqual([snapshot.body.commit, snapshot.body.content.title], [created, 'First']);
+    assert.strictEqual((await api.request('GET', '/api/content/post/p1/history/0000000')).status, 404);
+
+    await api.request('DELETE', '/api/content/post/p1');
+    assert.strictEqual((await api.request('GET', '/api/content/post/p1')).status, 404);
+
+    const restored = await api.request('POST', `/api/content/post/p1/history/${created}/restore`);
+    assert.strictEqual(restored.status, 200, JSON.stringify(restored.body));
+    assert.strictEqual((await api.request('GET', '/api/content/post/p1')).body.title, 'First');
+
+    // The rollback is a new commit; the history after the restored commit is kept
+    const rolledBack = await api.request('GET', '/api/content/post/p1/history');
+    assert.deepStrictEqual(rolledBack.body.data.map(entry => entry.message).slice(1), ['Delete post/p1', 'Update post/p1', 'Create post/p1']);
+  });
+
+  it('has no history for unknown items', async () => {
+    const response = await api.request('GET', '/api/content/post/missing/history');
+    assert.strictEqual(response.status, 404);
+  });
+});
@@ -0,0 +1,74 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer } = require('./helpers');
+
+describe('localized content', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestServer({
+      post: {
+        type: 'object',
+        properties: {
+          title: { type: 'string', 'x-localized': true },
+          slug: { type: 'string', unique: true, 'x-localized': true },
+          price: { type: 'number' }
+        }
+      }
+    }, { env: { LOCALES: 'en,es,ca', LOCALE_FALLBACKS: 'ca:es' } });
+
+    await api.request('POST', '/api/content/post', {
+      body: { id: 'p1', title: 'Hello world', slug: 'hello-world', price: 10, _locales: { es: { title: 'Hola mundo', slug: 'hola-mundo' } } }
+    });
+    await api.request('POST', '/api/content/post', { body: { id: 'p2', title: 'Goodbye', slug: 'goodbye', price: 5 } });
+  });
+
+  after(() => api.close());
+
+  it('resolves localized fields through the fallback chain', async () => {
+    const es = await api.request('GET', '/api/content/post/p1?locale=es');
+    assert.strictEqual(es.headers.get('content-language'), 'es');
+    assert.deepStrictEqual([es.body.title, es.body.price, es.body._locales], ['Hola mundo', 10, undefined]);
+
+    // ca falls back to es, then to the default locale
+    const ca = await api.request('GET', '/api/content/post?locale=ca&sort=id');
+    assert.deepStrictEqual(ca.body.data.map(item => item.title), ['Hola mundo', 'Goodbye']);
+
+    const stored = await api.request('GET', '/api/content/post/p1');
+    assert.strictEqual(stored.body._locales.es.title, 'Hola mundo');
+
+    const unknown = await api.request('GET', '/api/content/post/p1?locale=fr');
+    assert.strictEqual(unknown.status, 400);
+  });
+
+  it('filters and searches localized values', async () => {
+    const filtered = await api.request('GET', '/api/content/post?locale=es&title=Hola mundo');
+    assert.deepStrictEqual(filtered.body.data.map(item => item.id), ['p1']);
+
+    const searched = await api.request('GET', '/api/content/post?locale=es&search=mundo');
+    assert.deepStrictEqual(searched.body.data.map(item => item.id), ['p1']);
+
+    const bySlug = await api.request('GET', '/api/content/post/by/slug/hola-mundo?locale=es');
+    assert.strictEqual(bySlug.body.id, 'p1');
+  });
+
+  it('manages variants per locale, with slugs unique within each locale', async () => {
+    const listed = await api.request('GET', '/api/content/post/p2/locales');
+    assert.deepStrictEqual(listed.body.locales, ['en']);
+    assert.deepStrictEqual(listed.body.available, ['en', 'es', 'ca']);
+
+    // The same slug may be used in another locale...
+    const reused = await api.request('PUT', '/api/content/post/p2/locales/es', { body: { title: 'Adiós', slug: 'hello-world' } });
+    assert.strictEqual(reused.status, 200);
+    // ...but not twice in one locale
+    const taken = await api.request('PUT', '/api/content/post/p2/locales/es', { body: { title: 'Adiós', slug: 'hola-mundo' } });
+    assert.strictEqual(taken.status, 409);
+
+    const notLocalized = await api.request('PUT', '/api/content/post/p2/locales/es', { body: { price: 3 } });
+    assert.strictEqual(notLocalized.status, 400);
+
+    const removed = await api.request('DELETE', '/api/content/post/p2/locales/es');
+    assert.strictEqual(removed.status, 200);
+    assert.strictEqual((await api.request('DELETE', '/api/content/post/p2/locales/es')).status, 404);
+  });
+});
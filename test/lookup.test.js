@@ -0,0 +1,46 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer } = require('./helpers');
+
+describe('lookup by unique field', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestServer({
+      page: {
+        type: 'object',
+        properties: {
+          title: { type: 'string' },
+          slug: { type: 'string', unique: true },
+          body: { type: 'string' }
+        }
+      }
+    });
+    await api.request('POST', '/api/content/page', { body: { id: 'about', title: 'About us', slug: 'About-Us', body: 'Long text' } });
+  });
+
+  after(() => api.close());
+
+  it('finds an item by a unique field, ignoring case like the uniqueness check', async () => {
+    const response = await api.request('GET', '/api/content/page/by/slug/about-us');
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.id, 'about');
+    assert.ok(response.headers.get('etag'));
+
+    const duplicate = await api.request('POST', '/api/content/page', { body: { title: 'Copy', slug: 'ABOUT-US' } });
+    assert.strictEqual(duplicate.status, 409);
+  });
+
+  it('applies projection to the result', async () => {
+    const response = await api.request('GET', '/api/content/page/by/slug/About-Us?fields=title');
+    assert.deepStrictEqual(response.body, { id: 'about', title: 'About us' });
+  });
+
+  it('returns 404 for no match and 400 for fields that are not unique', async () => {
+    const missing = await api.request('GET', '/api/content/page/by/slug/contact');
+    assert.strictEqual(missing.status, 404);
+
+    const notUnique = await api.request('GET', '/api/content/page/by/title/About%20us');
+    assert.strictEqual(notUnique.status, 400);
+  });
+});
@@ -0,0 +1,60 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const path = require('path');
+const { startTestServer } = require('./helpers');
+
+describe('media', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestServer({});
+  });
+
+  after(() => api.close());
+
+  it('uploads, serves and deletes a file with its metadata', async () => {
+    const form = new FormData();
+    form.append('type', 'images');
+    form.append('file', new Blob(['not really a png'], { type: 'image/png' }), 'logo.png');
+    const response = await fetch(`${api.baseUrl}/api/media/upload`, {
+      method: 'POST',
+      headers: { Authorization: 'Bearer test-key' },
+      body: form
+    });
+    assert.strictEqual(response.status, 201);
+    const metadata = await response.json();
+    assert.strictEqual(metadata.originalName, 'logo.png');
+    assert.strictEqual(metadata.url, `/api/media/images/${metadata.filename}`);
+
+    const stored = await api.request('GET', `/api/media/images/${metadata.filename}`);
+    assert.deepStrictEqual(stored.body, metadata);
+    const file = await api.request('GET', `${metadata.url}/file`);
+    assert.strictEqual(file.body, 'not really a png');
+
+    const deleted = await api.request('DELETE', `/api/media/images/${metadata.filename}`);
+    assert.strictEqual(deleted.status, 200);
+    assert.strictEqual((await api.request('GET', `/api/media/images/${metadata.filename}`)).status, 404);
+  });
+
+  it('imports one of two concurrent writes of the same media item', async () => {
+    const { importMedia } = require('../src/utils/mediaHandler');
+    const sources = [];
+    for (const name of ['first', 'second']) {
+      const source = path.join(api.contentDir, `${name}.txt`);
+      await fs.outputFile(source, name);
+      sources.push(source);
+    }
+
+    const results = await Promise.all(sources.map((source, index) =>
+      importMedia({ type: 'docs', filename: 'notes.txt', originalName: `${index}.txt` }, source)
+    ));
+    const imported = results.filter(Boolean);
+    assert.strictEqual(imported.length, 1);
+
+    const stored = await api.request('GET', '/api/media/docs/notes.txt');
+    assert.strictEqual(stored.body.originalName, imported[0].originalName);
+    const file = await api.request('GET', '/api/media/docs/notes.txt/file');
+    assert.strictEqual(file.body, imported[0].originalName === '0.txt' ? 'first' : 'second');
+  });
+});
@@ -0,0 +1,65 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer } = require('./helpers');
+
+describe('cursor pagination', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestServer({
+      post: {
+        type: 'object',
+        properties: {
+          title: { type: 'string' }
+        }
+      }
+    });
+
+    for (const title of ['b', 'd', 'f', 'h', 'j', 'l', 'n']) {
+      await api.request('POST', '/api/content/post', { body: { title } });
+    }
+  });
+
+  after(() => api.close());
+
+  it('neither skips nor repeats items that stay while content changes between pages', async () => {
+    const seen = [];
+    let cursor = null;
+    let page = 0;
+
+    do {
+      const query = cursor ? `&cursor=${encodeURIComponent(cursor)}` : '';
+      const response = await api.request('GET', `/api/content/post?sort=title&limit=2${query}`);
+      assert.strictEqual(response.status, 200);
+      seen.push(...response.body.data.map(item => item.title));
+      cursor = response.body.pagination.nextCursor;
+
+      if (page === 0) {
+        // Changes before the cursor must not shift later pages
+        await api.request('POST', '/api/content/post', { body: { title: 'a' } });
+        await api.request('POST', '/api/content/post', { body: { title: 'c' } });
+        const first = response.body.data[0];
+        await api.request('DELETE', `/api/content/post/${first.id}`);
+      }
+      page++;
+    } while (cursor);
+
+    assert.deepStrictEqual(seen, ['b', 'd', 'f', 'h', 'j', 'l', 'n']);
+  });
+
+  it('rejects a cursor reused with a different sort', async () => {
+    const response = await api.request('GET', '/api/content/post?sort=title&limit=2');
+    const cursor = encodeURIComponent(response.body.pagination.nextCursor);
+
+    const resorted = await api.request('GET', `/api/content/post?sort=-title&limit=2&cursor=${cursor}`);
+    assert.strictEqual(resorted.status, 400);
+  });
+
+  it('rejects a cursor combined with offset', async () => {
+    const response = await api.request('GET', '/api/content/post?sort=title&limit=2');
+    const cursor = encodeURIComponent(response.body.pagination.nextCursor);
+
+    const combined = await api.request('GET', `/api/content/post?sort=title&limit=2&offset=2&cursor=${cursor}`);
+    assert.strictEqual(combined.status, 400);
+  });
+});
@@ -0,0 +1,79 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer } = require('./helpers');
+
+const JSON_PATCH = { 'Content-Type': 'application/json-patch+json' };
+const MERGE_PATCH = { 'Content-Type': 'application/merge-patch+json' };
+
+describe('PATCH /api/content/:type/:id', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestServer({
+      post: {
+        type: 'object',
+        properties: {
+          title: { type: 'string' },
+          tags: { type: 'array', items: { type: 'string' } }
+        }
+      }
+    });
+  });
+
+  after(() => api.close());
+
+  async function createPost() {
+    const created = await api.request('POST', '/api/content/post', { body: { title: 'Hello', tags: ['a', 'b'] } });
+    return `/api/content/post/${created.body.id}`;
+  }
+
+  it('applies every operation when the test operation passes', async () => {
+    const path = await createPost();
+    const response = await api.request('PATCH', path, {
+      body: [
+        { op: 'test', path: '/title', value: 'Hello' },
+        { op: 'replace', path: '/title', value: 'Patched' },
+        { op: 'add', path: '/tags/-', value: 'c' }
+      ],
+      headers: JSON_PATCH
+    });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.title, 'Patched');
+    assert.deepStrictEqual(response.body.tags, ['a', 'b', 'c']);
+  });
+
+  it('writes nothing when a test operation fails', async () => {
+    const path = await createPost();
+    const response = await api.request('PATCH', path, {
+      body: [
+        { op: 'replace', path: '/title', value: 'Patched' },
+        { op: 'test', path: '/tags/0', value: 'z' }
+      ],
+      headers: JSON_PATCH
+    });
+    assert.strictEqual(response.status, 409);
+
+    const stored = await api.request('GET', path);
+    assert.strictEqual(stored.body.title, 'Hello');
+  });
+
+  it('removes null members with a merge patch', async () => {
+    const path = await createPost();
+    const response = await api.request('PATCH', path, { body: { title: 'Merged', tags: null }, headers: MERGE_PATCH });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.title, 'Merged');
+    assert.strictEqual(response.body.tags, undefined);
+  });
+
+  it('rejects prototype keys', async () => {
+    const path = await createPost();
+    const merge = await api.request('PATCH', path, { body: '{"__proto__": {"title": "x"}}', headers: MERGE_PATCH });
+    assert.strictEqual(merge.status, 400);
+
+    const json = await api.request('PATCH', path, {
+      body: [{ op: 'add', path: '/constructor/prototype', value: 'x' }],
+      headers: JSON_PATCH
+    });
+    assert.strictEqual(json.status, 400);
+  });
+});
@@ -0,0 +1,59 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer } = require('./helpers');
+
+describe('reference population', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestServer({
+      author: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          favourite: { type: 'string', 'x-ref': 'post', onDelete: 'nullify' }
+        }
+      },
+      post: {
+        type: 'object',
+        properties: {
+          title: { type: 'string' },
+          author: { type: 'string', 'x-ref': 'author' },
+          related: { type: 'array', items: { type: 'string', 'x-ref': 'post', onDelete: 'nullify' } }
+        }
+      }
+    }, { env: { POPULATE_MAX_DEPTH: '2' } });
+
+    await api.request('POST', '/api/content/author', { body: { id: 'ada', name: 'Ada', favourite: 'first' } });
+    await api.request('POST', '/api/content/post', { body: { id: 'first', title: 'First', author: 'ada', related: ['second', 'gone'] } });
+    await api.request('POST', '/api/content/post', { body: { id: 'second', title: 'Second', author: 'ada', related: ['first'] } });
+  });
+
+  after(() => api.close());
+
+  it('inlines single and array references on get', async () => {
+    const response = await api.request('GET', '/api/content/post/first?populate=author,related');
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.author.name, 'Ada');
+    // Missing items are left as ids
+    assert.deepStrictEqual(response.body.related.map(entry => entry.id || entry), ['second', 'gone']);
+    assert.strictEqual(response.body.related[0].title, 'Second');
+  });
+
+  it('populates nested paths on list, leaving cycles as ids', async () => {
+    const response = await api.request('GET', '/api/content/post?sort=id&populate=author.favourite');
+    assert.strictEqual(response.status, 200);
+    const [first, second] = response.body.data;
+    // first -> ada -> first is a cycle
+    assert.strictEqual(first.author.favourite, 'first');
+    assert.strictEqual(second.author.favourite.title, 'First');
+  });
+
+  it('treats populate as an option rather than a filter, and limits its depth', async () => {
+    const list = await api.request('GET', '/api/content/post?populate=author');
+    assert.strictEqual(list.body.data.length, 2);
+
+    const tooDeep = await api.request('GET', '/api/content/post?populate=author.favourite.author');
+    assert.strictEqual(tooDeep.status, 400);
+  });
+});
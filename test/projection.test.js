@@ -0,0 +1,61 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer } = require('./helpers');
+
+describe('field projection', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestServer({
+      author: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          bio: { type: 'string' }
+        }
+      },
+      post: {
+        type: 'object',
+        properties: {
+          title: { type: 'string' },
+          body: { type: 'string' },
+          tags: { type: 'array', items: { type: 'string' } },
+          author: { type: 'string', 'x-ref': 'author' },
+          seo: { type: 'object', properties: { title: { type: 'string' }, image: { type: 'string' } } }
+        }
+      }
+    });
+
+    await api.request('POST', '/api/content/author', { body: { id: 'ada', name: 'Ada', bio: 'A long biography' } });
+    await api.request('POST', '/api/content/post', {
+      body: { id: 'one', title: 'One', body: 'Long body', tags: ['news'], author: 'ada', seo: { title: 'SEO one', image: 'one.png' } }
+    });
+    await api.request('POST', '/api/content/post', {
+      body: { id: 'two', title: 'Two', body: 'Another body', tags: ['news'], author: 'ada' }
+    });
+  });
+
+  after(() => api.close());
+
+  it('keeps only the requested fields on lists, after filtering and sorting', async () => {
+    const response = await api.request('GET', '/api/content/post?sort=-title&body__contains=long&fields=title,seo.title');
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(response.body.data, [{ id: 'one', title: 'One', seo: { title: 'SEO one' } }]);
+  });
+
+  it('projects populated references with dot paths', async () => {
+    const response = await api.request('GET', '/api/content/post/one?populate=author&fields=title,author.name');
+    assert.deepStrictEqual(response.body, { id: 'one', title: 'One', author: { name: 'Ada' } });
+  });
+
+  it('removes excluded fields from single items and related content', async () => {
+    const item = await api.request('GET', '/api/content/post/one?exclude=body,seo.image');
+    assert.strictEqual(item.body.body, undefined);
+    assert.deepStrictEqual(item.body.seo, { title: 'SEO one' });
+    assert.strictEqual(item.body.title, 'One');
+
+    const related = await api.request('GET', '/api/content/post/one/related?fields=title');
+    assert.strictEqual(related.status, 200);
+    assert.deepStrictEqual(related.body.data.map(entry => Object.keys(entry).sort()), [['id', 'title']]);
+  });
+});
@@ -0,0 +1,134 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer } = require('./helpers');
+
+describe('deleting referenced items', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestServer({
+      author: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' }
+        }
+      },
+      post: {
+        type: 'object',
+        properties: {
+          title: { type: 'string' },
+          author: { type: 'string', 'x-ref': 'author' },
+          editors: { type: 'array', items: { type: 'string', 'x-ref': 'author', onDelete: 'nullify' } }
+        }
+      },
+      comment: {
+        type: 'object',
+        properties: {
+          body: { type: 'string' },
+          post: { type: 'string', 'x-ref': 'post', onDelete: 'cascade' },
+          author: { type: 'string', 'x-ref': 'author', onDelete: 'nullify' }
+        }
+      },
+      review: {
+        type: 'object',
+        properties: {
+          author: { type: 'string', 'x-ref': 'author', onDelete: 'nullify' }
+        },
+        required: ['author']
+      }
+    });
+  });
+
+  after(() => api.close());
+
+  async function create(type, data) {
+    const response = await api.request('POST', `/api/content/${type}`, { body: data });
+    assert.strictEqual(response.status, 201);
+    return response.body.id;
+  }
+
+  it('refuses to delete an item with restrict references', async () => {
+    const author = await create('author', { name: 'Ada' });
+    const post = await create('post', { title: 'Hello', author });
+
+    const response = await api.request('DELETE', `/api/content/author/${author}`);
+    assert.strictEqual(response.status, 409);
+    assert.deepStrictEqual(response.body.referrers, [{ type: 'post', id: post, field: 'author' }]);
+
+    const stored = await api.request('GET', `/api/content/author/${author}`);
+    assert.strictEqual(stored.status, 200);
+  });
+
+  it('deletes cascading referrers along with the item', async () => {
+    const post = await create('post', { title: 'Doomed' });
+    const comment = await create('comment', { body: 'First!', post });
+
+    const response = await api.request('DELETE', `/api/content/post/${post}`);
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(response.body.cascade.deleted, [{ type: 'comment', id: comment }]);
+
+    const stored = await api.request('GET', `/api/content/comment/${comment}`);
+    assert.strictEqual(stored.status, 404);
+  });
+
+  it('removes nullify references from single and array fields', async () => {
+    const author = await create('author', { name: 'Grace' });
+    const other = await create('author', { name: 'Linus' });
+    const post = await create('post', { title: 'Edited', editors: [other, author] });
+    const comment = await create('comment', { body: 'Nice', author });
+
+    const response = await api.request('DELETE', `/api/content/author/${author}`);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.cascade.unlinked.length, 2);
+
+    const storedPost = await api.request('GET', `/api/content/post/${post}`);
+    assert.deepStrictEqual(storedPost.body.editors, [other]);
+    const storedComment = await api.request('GET', `/api/content/comment/${comment}`);
+    assert.strictEqual(storedComment.status, 200);
+    assert.strictEqual(storedComment.body.author, undefined);
+  });
+
+  it('refuses a nullify that would leave the referencing item invalid', async () => {
+    const author = await create('author', { name: 'Barbara' });
+    const review = await create('review', { author });
+
+    const response = await api.request('DELETE', `/api/content/author/${author}`);
+    assert.strictEqual(response.status, 409);
+    assert.deepStrictEqual(response.body.referrers.map(({ type, id, field }) => ({ type, id, field })), [{ type: 'review', id: review, field: 'author' }]);
+    assert.ok(response.body.referrers[0].details.length > 0);
+
+    const bulk = await api.request('POST', '/api/content/_bulk', { body: [{ op: 'delete', type: 'author', id: author }] });
+    assert.strictEqual(bulk.status, 400);
+    assert.strictEqual(bulk.body.results[0].status, 409);
+
+    const stored = await api.request('GET', `/api/content/review/${review}`);
+    assert.strictEqual(stored.body.author, author);
+  });
+
+  it('checks references against the items as a batch leaves them', async () => {
+    const author = await create('author', { name: 'Edsger' });
+    const successor = await create('author', { name: 'Tony' });
+    const post = await create('post', { title: 'Reassigned', author });
+
+    const blocked = await api.request('POST', '/api/content/_bulk', {
+      body: [
+        { op: 'update', type: 'post', id: post, data: { author: successor } },
+        { op: 'create', type: 'post', data: { title: 'Added', author } },
+        { op: 'delete', type: 'author', id: author }
+      ]
+    });
+    assert.strictEqual(blocked.status, 400);
+    assert.deepStrictEqual(blocked.body.results.map(result => result.status), [200, 201, 409]);
+    assert.deepStrictEqual(blocked.body.results[2].referrers.map(referrer => referrer.id), [blocked.body.results[1].id]);
+
+    const allowed = await api.request('POST', '/api/content/_bulk', {
+      body: [
+        { op: 'update', type: 'post', id: post, data: { author: successor } },
+        { op: 'delete', type: 'author', id: author }
+      ]
+    });
+    assert.strictEqual(allowed.status, 200);
+    const stored = await api.request('GET', `/api/content/author/${author}`);
+    assert.strictEqual(stored.status, 404);
+  });
+});
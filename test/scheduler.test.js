@@ -0,0 +1,100 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer, waitFor } = require('./helpers');
+
+function inSeconds(seconds) {
+  return new Date(Date.now() + seconds * 1000).toISOString();
+}
+
+describe('scheduled publishing', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestServer({
+      post: {
+        type: 'object',
+        properties: {
+          title: { type: 'string' },
+          publishAt: { type: 'string', format: 'date-time' },
+          unpublishAt: { type: 'string', format: 'date-time' }
+        }
+      }
+    }, {
+      // Only the boot scan runs during the tests; everything else follows content events
+      env: { SCHEDULER_INTERVAL: '3600' },
+      files: { 'post/missed.json': { id: 'missed', title: 'Missed while down', status: 'draft', publishAt: inSeconds(-60) } }
+    });
+  });
+
+  after(() => api.close());
+
+  async function getPost(id) {
+    return (await api.request('GET', `/api/content/post/${id}`)).body;
+  }
+
+  it('applies transitions that came due while the server was down', async () => {
+    const post = await waitFor(async () => {
+      const current = await getPost('missed');
+      return current.status === 'published' && current;
+    });
+    assert.strictEqual(post.publishAt, undefined);
+  });
+
+  it('publishes and then archives at the scheduled times', async () => {
+    const created = await api.request('POST', '/api/content/post', {
+      body: { title: 'Soon', publishAt: inSeconds(1), unpublishAt: inSeconds(2) }
+    });
+    const { id } = created.body;
+
+    const scheduled = await api.request('GET', '/api/content/_scheduled');
+    assert.deepStrictEqual(
+      scheduled.body.data.filter(entry => entry.id === id).map(entry => entry.action),
+      ['publish', 'unpublish']
+    );
+
+    const archived = await waitFor(async () => {
+      const current = await getPost(id);
+      return current.status === 'archived' && current;
+    });
+    assert.strictEqual(archived.publishAt, undefined);
+    assert.strictEqual(archived.unpublishAt, undefined);
+
+    // Each transition is an update, snapshotting the item it replaced
+    const versions = await api.request('GET', `/api/content/post/${id}/versions`);
+    assert.deepStrictEqual(versions.body.map(version => version.status), ['published', 'draft']);
+  });
+
+  it('follows edits to the schedule without rescanning every type', async () => {
+    const validator = require('../src/utils/validator');
+    const { listContentTypes } = validator;
+    let scans = 0;
+    validator.listContentTypes = (...args) => {
+      scans++;
+      return listContentTypes(...args);
+    };
+
+    try {
+      const created = await api.request('POST', '/api/content/post', { body: { title: 'Later', publishAt: inSeconds(3600) } });
+      const { id } = created.body;
+      for (let index = 0; index < 20; index++) {
+        await api.request('POST', '/api/content/post', { body: { title: `Unscheduled ${index}` } });
+      }
+
+      // Moving the date up re-arms the timer
+      await api.request('PUT', `/api/content/post/${id}`, { body: { publishAt: inSeconds(1) } });
+      await waitFor(async () => (await getPost(id)).status === 'published');
+
+      // Removing the date cancels the transition
+      const cancelled = await api.request('POST', '/api/content/post', { body: { title: 'Cancelled', publishAt: inSeconds(1) } });
+      await api.request('PATCH', `/api/content/post/${cancelled.body.id}`, {
+        body: { publishAt: null },
+        headers: { 'Content-Type': 'application/merge-patch+json' }
+      });
+      await new Promise(resolve => setTimeout(resolve, 1500));
+      assert.strictEqual((await getPost(cancelled.body.id)).status, 'draft');
+    } finally {
+      validator.listContentTypes = listContentTypes;
+    }
+    assert.strictEqual(scans, 0);
+  });
+});
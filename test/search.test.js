@@ -0,0 +1,69 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer } = require('./helpers');
+
+describe('cross-type search', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestServer({
+      post: {
+        type: 'object',
+        properties: {
+          title: { type: 'string' },
+          body: { type: 'string' }
+        }
+      },
+      page: {
+        type: 'object',
+        properties: {
+          title: { type: 'string' }
+        }
+      }
+    }, { env: { PUBLIC_GET_ENABLED: 'true' } });
+
+    await api.request('POST', '/api/content/post', { body: { id: 'p1', title: 'Garden tools', body: 'Pruning the garden', status: 'published' } });
+    await api.request('POST', '/api/content/post', { body: { id: 'p2', title: 'Kitchen', body: 'A small garden note' } });
+    await api.request('POST', '/api/content/page', { body: { id: 'g1', title: 'Garden', status: 'published' } });
+  });
+
+  after(() => api.close());
+
+  async function publicSearch(query) {
+    const response = await fetch(`${api.baseUrl}/api/search?${query}`);
+    return { status: response.status, body: await response.json() };
+  }
+
+  it('ranks matches from every type together', async () => {
+    const response = await api.request('GET', '/api/search?q=garden');
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.pagination.total, 3);
+    assert.deepStrictEqual(
+      response.body.data.map(result => `${result.type}/${result.data.id}`).sort(),
+      ['page/g1', 'post/p1', 'post/p2']
+    );
+    const scores = response.body.data.map(result => result.score);
+    assert.deepStrictEqual(scores, [...scores].sort((a, b) => b - a));
+  });
+
+  it('restricts to types and statuses, and pages the merged results', async () => {
+    const posts = await api.request('GET', '/api/search?q=garden&types=post&status=draft');
+    assert.deepStrictEqual(posts.body.data.map(result => result.data.id), ['p2']);
+
+    const page = await api.request('GET', '/api/search?q=garden&limit=1&offset=1');
+    assert.strictEqual(page.body.data.length, 1);
+    assert.strictEqual(page.body.pagination.hasMore, true);
+
+    const unknown = await api.request('GET', '/api/search?q=garden&types=nope');
+    assert.strictEqual(unknown.status, 400);
+  });
+
+  it('only shows published items to callers without the API key', async () => {
+    const response = await publicSearch('q=garden');
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(response.body.data.map(result => result.data.id).sort(), ['g1', 'p1']);
+
+    const drafts = await publicSearch('q=garden&status=draft');
+    assert.strictEqual(drafts.status, 401);
+  });
+});
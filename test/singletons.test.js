@@ -0,0 +1,72 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer } = require('./helpers');
+
+describe('singleton types', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestServer({
+      settings: {
+        type: 'object',
+        'x-singleton': true,
+        properties: {
+          siteName: { type: 'string' },
+          tagline: { type: 'string' }
+        },
+        required: ['siteName']
+      }
+    });
+  });
+
+  after(() => api.close());
+
+  it('is read and written at the type URL', async () => {
+    const missing = await api.request('GET', '/api/content/settings');
+    assert.strictEqual(missing.status, 404);
+
+    const invalid = await api.request('PUT', '/api/content/settings', { body: { tagline: 'No name' } });
+    assert.strictEqual(invalid.status, 400);
+
+    const created = await api.request('PUT', '/api/content/settings', { body: { siteName: 'FlatCMS' } });
+    assert.strictEqual(created.status, 201);
+    assert.strictEqual(created.body.id, 'singleton');
+
+    const updated = await api.request('PUT', '/api/content/settings', {
+      body: { tagline: 'Flat files' },
+      headers: { 'If-Match': created.headers.get('etag') }
+    });
+    assert.strictEqual(updated.status, 200);
+    assert.deepStrictEqual([updated.body.siteName, updated.body.tagline], ['FlatCMS', 'Flat files']);
+
+    const stale = await api.request('PUT', '/api/content/settings', {
+      body: { tagline: 'Lost update' },
+      headers: { 'If-Match': created.headers.get('etag') }
+    });
+    assert.strictEqual(stale.status, 412);
+
+    const read = await api.request('GET', '/api/content/settings?fields=tagline');
+    assert.deepStrictEqual(read.body, { id: 'singleton', tagline: 'Flat files' });
+  });
+
+  it('keeps versions under the fixed id', async () => {
+    const versions = await api.request('GET', '/api/content/settings/singleton/versions');
+    assert.strictEqual(versions.status, 200);
+    assert.strictEqual(versions.body.length, 1);
+    assert.strictEqual(versions.body[0].tagline, undefined);
+  });
+
+  it('rejects creating and deleting with 405 and an Allow header', async () => {
+    for (const [method, url] of [['POST', '/api/content/settings'], ['DELETE', '/api/content/settings/singleton']]) {
+      const response = await api.request(method, url, { body: method === 'POST' ? { siteName: 'Another' } : undefined });
+      assert.strictEqual(response.status, 405, `${method} ${url}`);
+      assert.strictEqual(response.headers.get('allow'), 'GET, PUT');
+    }
+
+    const bulk = await api.request('POST', '/api/content/_bulk', {
+      body: [{ op: 'create', type: 'settings', data: { siteName: 'Another' } }]
+    });
+    assert.strictEqual(bulk.status, 400);
+    assert.strictEqual(bulk.body.results[0].status, 405);
+  });
+});
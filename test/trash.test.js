@@ -0,0 +1,83 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const path = require('path');
+const { startTestServer } = require('./helpers');
+
+describe('trash', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestServer({
+      page: {
+        type: 'object',
+        properties: {
+          title: { type: 'string' },
+          slug: { type: 'string', unique: true }
+        }
+      }
+    });
+  });
+
+  after(() => api.close());
+
+  async function create(data) {
+    const response = await api.request('POST', '/api/content/page', { body: data });
+    assert.strictEqual(response.status, 201);
+    return response.body.id;
+  }
+
+  it('restores a deleted item with its versions', async () => {
+    const id = await create({ title: 'First', slug: 'first' });
+    await api.request('PUT', `/api/content/page/${id}`, { body: { title: 'First, edited' } });
+
+    const deleted = await api.request('DELETE', `/api/content/page/${id}`);
+    assert.strictEqual(deleted.status, 200);
+    const trash = await api.request('GET', '/api/content/_trash?type=page');
+    assert.deepStrictEqual(trash.body.data.map(entry => entry.trashId), [deleted.body.trashId]);
+    assert.strictEqual(trash.body.data[0].content.title, 'First, edited');
+
+    const restored = await api.request('POST', `/api/content/page/${id}/untrash`);
+    assert.strictEqual(restored.status, 200);
+    assert.strictEqual(restored.body.content.title, 'First, edited');
+    const versions = await api.request('GET', `/api/content/page/${id}/versions`);
+    assert.strictEqual(versions.body.length, 1);
+    assert.strictEqual((await api.request('GET', '/api/content/_trash?type=page')).body.data.length, 0);
+  });
+
+  it('refuses to restore over a unique value taken since the delete', async () => {
+    const id = await create({ title: 'Original', slug: 'taken' });
+    await api.request('DELETE', `/api/content/page/${id}`);
+    await create({ title: 'Replacement', slug: 'taken' });
+
+    const response = await api.request('POST', `/api/content/page/${id}/untrash`);
+    assert.strictEqual(response.status, 409);
+    assert.ok(response.body.details.length > 0);
+    assert.strictEqual((await api.request('GET', `/api/content/page/${id}`)).status, 404);
+    assert.strictEqual((await api.request('GET', '/api/content/_trash?type=page')).body.data.length, 1);
+    await api.request('DELETE', '/api/content/_trash/page');
+  });
+
+  it('restores an item once when restores race', async () => {
+    const id = await create({ title: 'Contended' });
+    await api.request('DELETE', `/api/content/page/${id}`);
+
+    const responses = await Promise.all([
+      api.request('POST', `/api/content/page/${id}/untrash`),
+      api.request('POST', `/api/content/page/${id}/untrash`)
+    ]);
+    assert.deepStrictEqual(responses.map(response => response.status).sort(), [200, 404]);
+    assert.strictEqual((await api.request('GET', `/api/content/page/${id}`)).status, 200);
+  });
+
+  it('permanently deletes an item from the trash', async () => {
+    const id = await create({ title: 'Gone' });
+    const deleted = await api.request('DELETE', `/api/content/page/${id}`);
+    const entryDir = path.join(api.contentDir, '.trash', 'page', deleted.body.trashId);
+    assert.deepStrictEqual((await fs.readdir(entryDir)).sort(), ['content.json', 'meta.json']);
+
+    const purged = await api.request('DELETE', `/api/content/_trash/page/${id}`);
+    assert.strictEqual(purged.body.purged, 1);
+    assert.strictEqual(await fs.pathExists(entryDir), false);
+  });
+});
@@ -0,0 +1,36 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer } = require('./helpers');
+
+// More pending deliveries than a function call can take as spread arguments
+const BACKLOG = 150000;
+
+describe('webhook retry backlog', () => {
+  let api;
+
+  before(async () => {
+    const later = new Date(Date.now() + 3600 * 1000).toISOString();
+    const deliveries = Array.from({ length: BACKLOG }, (_, index) => ({
+      id: `delivery-${index}`,
+      webhookId: 'unreachable',
+      event: 'content.update',
+      type: 'post',
+      status: 'pending',
+      createdAt: later,
+      nextAttemptAt: later,
+      completedAt: null,
+      attempts: [],
+      body: '{}'
+    }));
+
+    api = await startTestServer({}, { files: { '.webhooks/deliveries.json': { deliveries } } });
+  });
+
+  after(() => api.close());
+
+  it('loads a large queue of pending retries', async () => {
+    const response = await api.request('GET', '/api/webhooks/_deliveries?status=pending&limit=1');
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.pagination.total, BACKLOG);
+  });
+});
@@ -0,0 +1,123 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+const fs = require('fs-extra');
+const path = require('path');
+const { startTestServer, waitFor } = require('./helpers');
+
+const SECRET = 'a-test-secret-of-32-characters!!';
+
+describe('webhooks', () => {
+  let api;
+  let receiver;
+  let receiverUrl;
+  // Requests received, and the statuses to answer with (200 once they run out)
+  const received = [];
+  const statuses = [];
+
+  before(async () => {
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body, at: Date.now() });
+        res.statusCode = statuses.length > 0 ? statuses.shift() : 200;
+        res.end('done');
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+
+    api = await startTestServer({
+      post: {
+        type: 'object',
+        properties: {
+          title: { type: 'string' }
+        }
+      }
+    }, { env: { WEBHOOK_RETRY_DELAY: '1', WEBHOOK_MAX_ATTEMPTS: '3' } });
+  });
+
+  after(async () => {
+    await api.close();
+    await new Promise(resolve => receiver.close(resolve));
+  });
+
+  async function createHook(events) {
+    const response = await api.request('POST', '/api/webhooks', {
+      body: { url: receiverUrl, secret: SECRET, events, types: ['post'] }
+    });
+    assert.strictEqual(response.status, 201);
+    return response.body;
+  }
+
+  async function getDelivery(hook) {
+    const list = await api.request('GET', `/api/webhooks/${hook.id}/deliveries`);
+    return (await api.request('GET', `/api/webhooks/_deliveries/${list.body.data[0].id}`)).body;
+  }
+
+  it('sends signed events and retries failed deliveries after a delay', async () => {
+    const hook = await createHook(['content.create']);
+    received.length = 0;
+    statuses.push(500);
+
+    const created = await api.request('POST', '/api/content/post', { body: { title: 'Hello' } });
+    await waitFor(() => received.length === 2);
+
+    const [first, second] = received;
+    assert.strictEqual(first.headers['x-flatcms-delivery'], second.headers['x-flatcms-delivery']);
+    assert.ok(second.at - first.at >= 900, 'the retry waits WEBHOOK_RETRY_DELAY');
+
+    const { headers, body } = second;
+    const expected = crypto.createHmac('sha256', SECRET).update(`${headers['x-flatcms-timestamp']}.${body}`).digest('hex');
+    assert.strictEqual(headers['x-flatcms-signature'], `sha256=${expected}`);
+    const payload = JSON.parse(body);
+    assert.strictEqual(payload.event, 'content.create');
+    assert.strictEqual(payload.data.content.id, created.body.id);
+
+    const delivery = await waitFor(async () => {
+      const current = await getDelivery(hook);
+      return current.status === 'delivered' && current;
+    });
+    assert.deepStrictEqual(delivery.attempts.map(attempt => attempt.responseStatus), [500, 200]);
+    assert.strictEqual(delivery.type, 'post');
+    // Only pending and failed deliveries keep their payload
+    assert.strictEqual(delivery.payload, null);
+    // The log is saved in the background after each attempt
+    const logFile = path.join(api.contentDir, '.webhooks', 'deliveries.json');
+    await waitFor(async () => !(await fs.readFile(logFile, 'utf8')).includes(created.body.id));
+
+    const redelivered = await api.request('POST', `/api/webhooks/_deliveries/${delivery.id}/redeliver`);
+    assert.strictEqual(redelivered.status, 409);
+
+    await api.request('DELETE', `/api/webhooks/${hook.id}`);
+  });
+
+  it('gives up after WEBHOOK_MAX_ATTEMPTS and can redeliver a failed delivery', async () => {
+    const hook = await createHook(['content.update']);
+    received.length = 0;
+    statuses.push(503, 503, 503);
+
+    const created = await api.request('POST', '/api/content/post', { body: { title: 'Draft' } });
+    await api.request('PUT', `/api/content/post/${created.body.id}`, { body: { title: 'Final' } });
+
+    const delivery = await waitFor(async () => {
+      const current = await getDelivery(hook);
+      return current.status === 'failed' && current;
+    }, 10000);
+    assert.strictEqual(delivery.attempts.length, 3);
+    // 1s, then 2s between attempts
+    assert.ok(received[2].at - received[1].at >= 1900, 'the delay doubles after each attempt');
+    assert.strictEqual(delivery.payload.data.content.title, 'Final');
+
+    const redelivered = await api.request('POST', `/api/webhooks/_deliveries/${delivery.id}/redeliver`);
+    assert.strictEqual(redelivered.status, 202);
+    await waitFor(() => received.length === 4);
+    assert.strictEqual(JSON.parse(received[3].body).data.content.title, 'Final');
+
+    await api.request('DELETE', `/api/webhooks/${hook.id}`);
+  });
+});